@@ -0,0 +1,89 @@
+/**
+ * Named sets of classification thresholds. Each profile gives the maximum centipawn loss for
+ * excellent, good, inaccuracy and mistake in an equal position; evalScaling (in %) sets how much
+ * faster those thresholds grow as the previous evaluation moves away from equal
+ */
+export const ClassificationProfiles = {
+    strict: {
+        label: 'Strict',
+        excellent: 15, good: 35, inaccuracy: 65, mistake: 140, evalScaling: 60
+    },
+    standard: {
+        label: 'Standard',
+        excellent: 28, good: 61, inaccuracy: 108, mistake: 226, evalScaling: 100
+    },
+    lenient: {
+        label: 'Lenient',
+        excellent: 40, good: 85, inaccuracy: 150, mistake: 300, evalScaling: 125
+    },
+    beginner: {
+        label: 'Beginner (<1200)',
+        excellent: 50, good: 100, inaccuracy: 180, mistake: 350, evalScaling: 150
+    },
+    intermediate: {
+        label: 'Intermediate (1200-1800)',
+        excellent: 35, good: 75, inaccuracy: 130, mistake: 260, evalScaling: 115
+    },
+    advanced: {
+        label: 'Advanced (1800-2200)',
+        excellent: 24, good: 52, inaccuracy: 95, mistake: 200, evalScaling: 90
+    },
+    master: {
+        label: 'Master (2200+)',
+        excellent: 18, good: 40, inaccuracy: 75, mistake: 165, evalScaling: 75
+    }
+};
+
+export class ClassificationProfile {
+    // Quadratic and linear growth of each threshold with the previous evaluation
+    // These numbers are from the Game Report github repo by Wintrcat
+    static evalLossGrowth = {
+        best: [0.0001, 0.0236],
+        excellent: [0.0002, 0.1231],
+        good: [0.0002, 0.2643],
+        inaccuracy: [0.0002, 0.3624],
+        mistake: [0.0003, 0.4027]
+    };
+
+    // Best keeps Wintrcat's base so only near-perfect moves count as best in equal positions
+    static bestBase = -3.7143;
+
+    /**
+     * Builds the evaluation loss threshold functions for a profile
+     * @param {Object} profile - { excellent, good, inaccuracy, mistake, evalScaling }
+     * @returns {Object} - Classification type to (prevEval) => maximum evaluation loss
+     */
+    static createThresholds(profile) {
+        const scaling = (profile.evalScaling ?? 100) / 100;
+        const threshold = (type, base) => {
+            const [quadratic, linear] = this.evalLossGrowth[type];
+            return (prevEval) => {
+                const absEval = Math.abs(prevEval);
+                return Math.max(scaling * (quadratic * Math.pow(absEval, 2) + linear * absEval) + base, 0);
+            };
+        };
+
+        return {
+            best: threshold('best', this.bestBase),
+            excellent: threshold('excellent', profile.excellent),
+            good: threshold('good', profile.good),
+            inaccuracy: threshold('inaccuracy', profile.inaccuracy),
+            mistake: threshold('mistake', profile.mistake),
+            blunder: () => Infinity
+        };
+    }
+
+    /**
+     * Turns the profiles into settings presets for the threshold sliders
+     * @returns {Object} - Profile name to [{ key, value }] setting actions
+     */
+    static getPresetActions() {
+        return Object.fromEntries(Object.entries(ClassificationProfiles).map(([name, profile]) => [name, [
+            { key: 'excellentThreshold', value: profile.excellent },
+            { key: 'goodThreshold', value: profile.good },
+            { key: 'inaccuracyThreshold', value: profile.inaccuracy },
+            { key: 'mistakeThreshold', value: profile.mistake },
+            { key: 'evalScaling', value: profile.evalScaling }
+        ]]));
+    }
+}
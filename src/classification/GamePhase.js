@@ -3,13 +3,14 @@ import { Chess } from '../../libs/chess.js';
 export class GamePhase {
     constructor() {}
 
-    static getPhases(moves) {
+    static getPhases(moves, startFen = null) {
         if (!moves || moves.length === 0) {
             return [];
         }
 
         const phases = [];
-        const chess = new Chess();
+        // Games set up from a FEN are replayed from that position instead of the standard one
+        const chess = startFen ? new Chess(startFen) : new Chess();
         
         // Track phase changes
         let currentPhase = 'opening';
@@ -1,4 +1,5 @@
 import { Classification } from "./MoveClassifier.js";
+import { TacticalMotifs } from "./TacticalMotifs.js";
 
 export const CommentType = {
     NONE: "none",
@@ -180,6 +181,41 @@ export class MoveAnnotator {
         }
     };
 
+    static motifComments = {
+        played: {
+            you: [
+                "You found %s!",
+                "Well spotted—%s.",
+                "Nicely played, %s.",
+            ],
+            opponent: [
+                "Your opponent finds %s.",
+                "They spotted %s.",
+            ]
+        },
+        missed: {
+            you: [
+                "You had %s here.",
+                "There was %s available.",
+                "You missed %s.",
+            ],
+            opponent: [
+                "Your opponent missed %s.",
+                "They had %s here.",
+            ]
+        },
+        allowed: {
+            you: [
+                "This allows %s.",
+                "This walks into %s.",
+            ],
+            opponent: [
+                "This gives you %s.",
+                "Your opponent allows %s.",
+            ]
+        }
+    };
+
     static pickRand(comments) {
         return comments[Math.floor(Math.random() * comments.length)];
     }
@@ -258,6 +294,21 @@ export class MoveAnnotator {
         return this.pickRand(this.brilliantComments[isYou].passive).replace('%s', pieceName).replace('%s', piece.square);
     }
 
+    static motifs(move, userPerspective) {
+        const isYou = userPerspective ? 'you' : 'opponent';
+
+        return ['played', 'missed', 'allowed']
+            .filter(role => move.motifs[role].length > 0)
+            .map(role => {
+                const names = move.motifs[role].map(type => {
+                    const name = TacticalMotifs.getLabel(type).toLowerCase();
+                    return `${/^[aeiou]/.test(name) ? 'an' : 'a'} ${name}`;
+                });
+                return this.pickRand(this.motifComments[role][isYou]).replace('%s', names.join(' and '));
+            })
+            .join(' ');
+    }
+
     static annotateMove(move, moves, userPerspective) {
         const classification = move.classification;
         const type = move.commentType;
@@ -283,6 +334,10 @@ export class MoveAnnotator {
             return "This is the only move that works here, nice find!";
         }
 
+        if (move.motifs && Object.values(move.motifs).some(types => types.length > 0)) {
+            return this.motifs(move, userPerspective);
+        }
+
         return "Default comment!"
     }
 
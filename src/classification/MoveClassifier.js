@@ -2,6 +2,9 @@ import { Chess } from '../../libs/chess.js';
 import { EvaluationBar } from '../components/board/EvaluationBar.js';
 import { chessOpeningTree } from '../data/openings.js';
 import { MoveAnnotator } from './MoveAnnotator.js';
+import { WinDrawLoss } from '../evaluation/WinDrawLoss.js';
+import { ClassificationProfile, ClassificationProfiles } from './ClassificationProfile.js';
+import { StaticExchange } from './StaticExchange.js';
 
 export const ClasifCss = {
     MOVE_THEORY: "theory-move",
@@ -130,123 +133,28 @@ export class MoveClassifier {
         Classification.BLUNDER
     ];
 
-    static pieceValues = {
-        'p': 1,
-        'n': 3,
-        'b': 3,
-        'r': 5,
-        'q': 9,
-        'k': 1000
-    };
-
-    // Get the maximum evaluation loss for a classification to be applied
-    // Evaluation loss threshold for excellent in a previously equal position is 30
-    // These numbers are from the Game Report github repo by Wintrcat
-    static evalLossThresholds = {
-        [Classification.BEST.type]: (prevEval) => Math.max(0.0001 * Math.pow(Math.abs(prevEval), 2) + 0.0236 * Math.abs(prevEval) - 3.7143, 0),
-        [Classification.EXCELLENT.type]: (prevEval) => Math.max(0.0002 * Math.pow(Math.abs(prevEval), 2) + 0.1231 * Math.abs(prevEval) + 27.5455, 0),
-        [Classification.GOOD.type]: (prevEval) => Math.max(0.0002 * Math.pow(Math.abs(prevEval), 2) + 0.2643 * Math.abs(prevEval) + 60.5455, 0),
-        [Classification.INACCURACY.type]: (prevEval) => Math.max(0.0002 * Math.pow(Math.abs(prevEval), 2) + 0.3624 * Math.abs(prevEval) + 108.0909, 0),
-        [Classification.MISTAKE.type]: (prevEval) => Math.max(0.0003 * Math.pow(Math.abs(prevEval), 2) + 0.4027 * Math.abs(prevEval) + 225.8182, 0),
-        [Classification.BLUNDER.type]: () => Infinity
-    };
-
-    static getAttackers(chess, square, color) {
-        return chess.moves({ verbose: true }).filter(m => m.to === square && m.color === color);
-    }
-
-    static getDefenders(chess, square, targetColor) {
-        // Create a copy with swapped piece color to find defenders
-        const chessDef = new Chess(chess.fen());
-        const originalPiece = chessDef.get(square);
-        chessDef.remove(square);
-        chessDef.put({ type: originalPiece.type, color: targetColor === 'w' ? 'b' : 'w' }, square);
-        
-        // Set turn to target color to generate defending moves
-        const fenParts = chessDef.fen().split(' ');
-        fenParts[1] = targetColor;
-        const defenderChess = new Chess(fenParts.join(' '));
-        
-        return defenderChess.moves({ verbose: true }).filter(m => m.to === square && m.color === targetColor);
-    }
-
-    static isKingAdjacent(kingSquare, targetSquare) {
-        if (!kingSquare) return false;
-        
-        const fileDiff = Math.abs(kingSquare.charCodeAt(0) - targetSquare.charCodeAt(0));
-        const rankDiff = Math.abs(parseInt(kingSquare[1]) - parseInt(targetSquare[1]));
-        
-        return fileDiff <= 1 && rankDiff <= 1 && (fileDiff > 0 || rankDiff > 0);
-    }
-
-    static findKingSquare(chess, color) {
-        for (const row of chess.board()) {
-            for (const pieceObj of row) {
-                if (pieceObj?.type === 'k' && pieceObj.color === color) {
-                    return pieceObj.square;
-                }
-            }
-        }
-        return null;
-    }
-
-    static calculateMaterialExchange(targetValue, attackerValues, defenderValues) {
-        let netMaterial = -targetValue;
-        let attackerIndex = 0;
-        let defenderIndex = 0;
-        let isEnemyTurn = true;
+    static pieceValues = StaticExchange.pieceValues;
 
-        while (attackerIndex < attackerValues.length || defenderIndex < defenderValues.length) {
-            if (isEnemyTurn) {
-                if (attackerIndex >= attackerValues.length) break;
-                netMaterial -= attackerValues[attackerIndex++];
-            } else {
-                if (defenderIndex >= defenderValues.length) break;
-                netMaterial += defenderValues[defenderIndex++];
-            }
-            isEnemyTurn = !isEnemyTurn;
-        }
+    // Get the maximum evaluation loss for a classification to be applied, from the
+    // selected classification profile (see setProfile)
+    static evalLossThresholds = ClassificationProfile.createThresholds(ClassificationProfiles.standard);
 
-        return netMaterial;
+    /**
+     * Sets the thresholds used to classify moves by evaluation loss
+     * @param {Object} profile - { excellent, good, inaccuracy, mistake, evalScaling }, see ClassificationProfiles
+     */
+    static setProfile(profile) {
+        this.evalLossThresholds = ClassificationProfile.createThresholds(profile);
     }
 
     /**
-     * Checks if a piece is hanging (can be captured without adequate compensation)
+     * Checks if a piece is hanging (its opponent wins material by capturing it)
      * @param {string} fen - FEN string of the position
      * @param {string} square - Algebraic notation of the square to check
      * @returns {boolean} - True if the piece is hanging
      */
     static isPieceHanging(fen, square) {
-        const chess = new Chess(fen);
-        const piece = chess.get(square);
-        if (!piece) return false;
-
-        const { type: targetPiece, color: targetColor } = piece;
-        const enemyColor = targetColor === 'w' ? 'b' : 'w';
-
-        // Get attackers and defenders
-        const enemyAttackers = this.getAttackers(chess, square, enemyColor);
-        if (enemyAttackers.length === 0) return false;
-
-        const friendlyDefenders = this.getDefenders(chess, square, targetColor);
-
-        // Add king as potential attacker if adjacent
-        const kingSquare = this.findKingSquare(chess, enemyColor);
-        if (this.isKingAdjacent(kingSquare, square)) {
-            enemyAttackers.push({ piece: 'k', color: enemyColor });
-        }
-
-        // Quick check: more attackers than defenders
-        if (enemyAttackers.length > friendlyDefenders.length) return true;
-
-        // Calculate material exchange
-        const targetValue = this.pieceValues[targetPiece];
-        const attackerValues = enemyAttackers.map(m => this.pieceValues[m.piece]).sort((a, b) => a - b);
-        const defenderValues = friendlyDefenders.map(m => this.pieceValues[m.piece]).sort((a, b) => a - b);
-
-        const netMaterial = this.calculateMaterialExchange(targetValue, attackerValues, defenderValues);
-        
-        return netMaterial >= 0;
+        return StaticExchange.isHanging(fen, square);
     }
 
     /**
@@ -259,6 +167,7 @@ export class MoveClassifier {
      */
     static findSacrificedPieces(currentBoard, isBlack, lastPiece, fen) {
         const sacrificedPieces = [];
+        const capturedValue = lastPiece ? this.pieceValues[lastPiece.type] : 0;
         
         for (let row of currentBoard.board()) {
             for (let piece of row) {
@@ -271,13 +180,9 @@ export class MoveClassifier {
                 // Skip kings and pawns
                 if (piece.type == "k" || piece.type == "p") continue;
                 
-                // Skip if the captured piece was more valuable
-                if (lastPiece && this.pieceValues[lastPiece.type] >= this.pieceValues[piece.type]) {
-                    continue;
-                }
-                
-                // Check if piece is hanging
-                if (this.isPieceHanging(fen, piece.square)) {
+                // Only a sacrifice if the opponent wins back more than the move captured
+                // (so recaptures and even trades aren't sacrifices)
+                if (StaticExchange.evaluate(fen, piece.square) > capturedValue) {
                     sacrificedPieces.push(piece);
                 }
             }
@@ -398,40 +303,36 @@ export class MoveClassifier {
     /**
      * Checks if any attacker can safely capture the sacrificed piece
      * @param {Chess} captureTestBoard - Chess instance to test captures
-     * @param {Array} attackers - Array of possible attacking moves
+     * @param {Array} attackers - Array of possible attacking moves (promotions are separate moves)
      * @param {Object} piece - The piece being attacked
      * @param {Array} sacrificedPieces - All sacrificed pieces
      * @returns {boolean} - True if piece can be safely captured
      */
     static canAttackerSafelyCapture(captureTestBoard, attackers, piece, sacrificedPieces) {
-        const promotions = ['q', 'r', 'b', 'n'];
-        
+        const fen = captureTestBoard.fen();
+
         for (let attacker of attackers) {
-            for (let promotion of promotions) {
-                try {
-                    captureTestBoard.move({
-                        from: attacker.from,
-                        to: piece.square,
-                        promotion: promotion
-                    });
-                    
-                    // Check if capturing piece would be pinned/vulnerable
-                    const attackerPinned = this.isAttackerPinned(captureTestBoard, sacrificedPieces);
-                    
-                    // For high-value pieces (rook+), any safe capture is bad
-                    if (this.pieceValues[piece.type] >= 2) {
-                        if (!attackerPinned) {
-                            return true;
-                        }
-                    } 
+            // A capture that loses the exchange on the square doesn't win the sacrifice
+            if (StaticExchange.evaluateCapture(fen, attacker.from, attacker.to) <= 0) continue;
 
-                    // For lower value pieces, check also that there's no immediate mate
-                    else if (!attackerPinned && !captureTestBoard.moves().some(move => move.endsWith("#"))) {
-                        return true;
-                    }
-                    
-                    captureTestBoard.undo();
-                } catch {}
+            captureTestBoard.move(attacker);
+
+            // Check if capturing piece would be pinned/vulnerable
+            const attackerPinned = this.isAttackerPinned(captureTestBoard, sacrificedPieces);
+            const allowsMate = captureTestBoard.moves().some(move => move.endsWith("#"));
+
+            captureTestBoard.undo();
+
+            // For high-value pieces (rook+), any safe capture is bad
+            if (this.pieceValues[piece.type] >= 2) {
+                if (!attackerPinned) {
+                    return true;
+                }
+            }
+
+            // For lower value pieces, check also that there's no immediate mate
+            else if (!attackerPinned && !allowsMate) {
+                return true;
             }
         }
         
@@ -486,6 +387,29 @@ export class MoveClassifier {
         return true;
     }
 
+    /**
+     * Finds the most specific named opening the move sequence passes through
+     * @param {Array} moves - Array of moves in SAN format, from the standard starting position
+     * @returns {Object|null} - The opening's metadata ({ eco, name }) or null if none matched
+     */
+    static getOpening(moves) {
+        if (!moves || moves.length === 0) return null;
+
+        let currentNode = chessOpeningTree;
+        let opening = null;
+
+        for (const move of moves) {
+            if (!currentNode[move]) break;
+
+            currentNode = currentNode[move];
+            if (currentNode._metadata) {
+                opening = currentNode._metadata;
+            }
+        }
+
+        return opening;
+    }
+
     /**
      * Evaluates a move to determine its classification
      * @param {Object} move - Current move data
@@ -537,8 +461,9 @@ export class MoveClassifier {
             return classification;
         }
 
-        // Calculate win% for later on
-        const win = 100 - (50 + 50 * (2 / (1 + Math.exp(-0.00368208 * (bestLine.score * (isBlack ? -1 : 1)))) - 1));
+        // Calculate the mover's win% for later on (from the engine's WDL when it sent one)
+        const whiteWin = WinDrawLoss.getExpectedScore(bestLine);
+        const win = isBlack ? whiteWin : 100 - whiteWin;
         move.win = win;
 
         // Graph Evaluation (lying to the user)
@@ -581,10 +506,19 @@ export class MoveClassifier {
         // Helper function to calculate the evaluation loss difference
         const diff = (prevScore, currentScore) => isBlack ? prevScore - currentScore : currentScore - prevScore;
 
+        // With WDL on both sides, a score swing that doesn't change the expected result
+        // (a drawn endgame going from +1.5 to +0.5) isn't counted as a loss
+        const lossTo = (line) => {
+            const loss = diff(prevBestLine.score, line.score);
+            if (!prevBestLine.wdl || !line.wdl || prevBestLine.type !== "cp" || line.type !== "cp") return loss;
+
+            return Math.min(loss, diff(WinDrawLoss.getEquivalentScore(prevBestLine), WinDrawLoss.getEquivalentScore(line)));
+        };
+
         // Calculate the evaluation lost as a result of this move compared to the top computer moves
         const matchingTopLine = move.lines.find(line => line.uciMove === move.uciMove);
-        const lastLineEvalLoss = matchingTopLine ? diff(prevBestLine.score, matchingTopLine.score) : Infinity;
-        const evalLoss = Math.min(diff(prevBestLine.score, bestLine.score), lastLineEvalLoss);
+        const lastLineEvalLoss = matchingTopLine ? lossTo(matchingTopLine) : Infinity;
+        const evalLoss = Math.min(lossTo(bestLine), lastLineEvalLoss);
         
         // Used for esimated Elo calculations
         move.centipawnLoss = evalLoss;
@@ -601,8 +535,8 @@ export class MoveClassifier {
         } else {
             move.isTopEngineMove = false; // Not the top engine move
             if (noMate) {
-                // Standard move evaluation
-                classification = this.centipawnClassifications.find(classif => evalLoss <= this.evalLossThresholds[classif.type](0)) || classification;
+                // Standard move evaluation (thresholds widen the further from equal the previous position was)
+                classification = this.centipawnClassifications.find(classif => evalLoss <= this.evalLossThresholds[classif.type](prevBestLine.score)) || classification;
             }
 
             // If no mate last move but you blundered a mate
@@ -753,7 +687,8 @@ export class MoveClassifier {
         }
 
         // Do not allow blunder if the game is still completely winning or losing
-        const prevWin = 100 - (50 + 50 * (2 / (1 + Math.exp(-0.00368208 * (prevBestLine.score * (!isBlack ? -1 : 1)))) - 1));
+        const prevWhiteWin = WinDrawLoss.getExpectedScore(prevBestLine);
+        const prevWin = isBlack ? 100 - prevWhiteWin : prevWhiteWin;
         const prevOppositeWin = 100 - prevWin;
         if (classification == Classification.BLUNDER && (prevOppositeWin > 80 || prevOppositeWin < 20) && (win > 80 || win < 20)) {
             classification = Classification.INACCURACY;
@@ -0,0 +1,238 @@
+const KNIGHT_OFFSETS = [[1, 2], [2, 1], [2, -1], [1, -2], [-1, -2], [-2, -1], [-2, 1], [-1, 2]];
+const KING_OFFSETS = [[1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0], [-1, -1], [0, -1], [1, -1]];
+const ROOK_DIRECTIONS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+const BISHOP_DIRECTIONS = [[1, 1], [1, -1], [-1, 1], [-1, -1]];
+
+/**
+ * Static exchange evaluation (SEE): plays out every capture on a square, least valuable
+ * attacker first, to find how much material the exchange wins. Pieces lined up behind an
+ * attacker (x-rays and discovered defenders) join in once the piece in front has captured,
+ * pieces pinned to their king or queen sit out, and pawns capturing onto the last rank promote
+ */
+export class StaticExchange {
+    static pieceValues = {
+        'p': 1,
+        'n': 3,
+        'b': 3,
+        'r': 5,
+        'q': 9,
+        'k': 1000
+    };
+
+    /**
+     * Gets the material the opponent of a piece wins by capturing it (and the exchange that follows)
+     * @param {string} fen - FEN string of the position
+     * @param {string} square - Square of the piece
+     * @returns {number} - Material won in pawns, 0 if capturing doesn't win anything
+     */
+    static evaluate(fen, square) {
+        const board = this.parseBoard(fen);
+        const piece = board[square];
+        if (!piece) return 0;
+
+        const gains = this.playExchange(board, square, this.opposite(piece.color));
+        return this.resolveGains(gains, 0);
+    }
+
+    /**
+     * Gets the material a specific capture wins once the exchange on its square is played out
+     * @param {string} fen - FEN string of the position
+     * @param {string} from - Square of the capturing piece
+     * @param {string} to - Square of the captured piece
+     * @returns {number} - Material won in pawns (negative if the capture loses material)
+     */
+    static evaluateCapture(fen, from, to) {
+        const board = this.parseBoard(fen);
+        const attacker = board[from];
+        if (!attacker || !board[to]) return 0;
+
+        const gains = this.playExchange(board, to, attacker.color, { square: from, ...attacker });
+        if (gains.length === 0) return 0;
+
+        // The first capture is forced, only the replies can be declined
+        return gains[0] - this.resolveGains(gains, 1);
+    }
+
+    /**
+     * Checks if a piece is hanging (its opponent wins material by capturing it)
+     * @param {string} fen - FEN string of the position
+     * @param {string} square - Square of the piece
+     * @returns {boolean} - True if the piece is hanging
+     */
+    static isHanging(fen, square) {
+        return this.evaluate(fen, square) > 0;
+    }
+
+    /**
+     * Plays out the captures on a square, alternating sides, and records what each one takes
+     * @param {Object} board - Board from parseBoard (changed in place)
+     * @param {string} square - The square being fought over
+     * @param {string} color - The side capturing first
+     * @param {Object} firstAttacker - Optional forced first capturer ({ square, type, color })
+     * @returns {Array<number>} - Material taken by each capture in order
+     */
+    static playExchange(board, square, color, firstAttacker = null) {
+        const gains = [];
+        let attacker = firstAttacker || this.getLeastValuableAttacker(board, square, color);
+
+        while (attacker) {
+            const captured = board[square];
+
+            // The king can only capture a piece nothing else defends
+            if (attacker.type === 'k') {
+                const afterCapture = { ...board, [square]: attacker };
+                delete afterCapture[attacker.square];
+                if (this.getAttackers(afterCapture, square, this.opposite(color)).length > 0) break;
+            }
+
+            const promotes = attacker.type === 'p' && (square[1] === '8' || square[1] === '1');
+            gains.push(this.pieceValues[captured.type] + (promotes ? this.pieceValues.q - this.pieceValues.p : 0));
+
+            delete board[attacker.square];
+            board[square] = { type: promotes ? 'q' : attacker.type, color };
+
+            color = this.opposite(color);
+            attacker = this.getLeastValuableAttacker(board, square, color);
+        }
+
+        return gains;
+    }
+
+    /**
+     * Works back through an exchange: each side stops capturing once it would lose material
+     * @param {Array<number>} gains - Material taken by each capture
+     * @param {number} start - The first capture that may be declined
+     * @returns {number} - Material won by the side making capture number start
+     */
+    static resolveGains(gains, start) {
+        let score = 0;
+        for (let i = gains.length - 1; i >= start; i--) {
+            score = Math.max(0, gains[i] - score);
+        }
+        return score;
+    }
+
+    /**
+     * Finds the cheapest piece that can capture on a square without exposing its king or queen
+     * @param {Object} board - Board from parseBoard
+     * @param {string} square - The target square
+     * @param {string} color - The capturing side
+     * @returns {Object|null} - { square, type, color } of the attacker
+     */
+    static getLeastValuableAttacker(board, square, color) {
+        const attackers = this.getAttackers(board, square, color)
+            .sort((a, b) => this.pieceValues[a.type] - this.pieceValues[b.type]);
+
+        return attackers.find(attacker => !this.isPinned(board, attacker, square)) || null;
+    }
+
+    /**
+     * Checks if capturing would expose the capturer's king (an absolute pin), or its queen
+     * to a cheaper piece (a relative pin)
+     * @param {Object} board - Board from parseBoard
+     * @param {Object} attacker - { square, type, color } of the capturing piece
+     * @param {string} square - The target square
+     * @returns {boolean} - True if the attacker shouldn't capture
+     */
+    static isPinned(board, attacker, square) {
+        if (attacker.type === 'k') return false;
+
+        const enemy = this.opposite(attacker.color);
+        const afterCapture = { ...board, [square]: { type: attacker.type, color: attacker.color } };
+        delete afterCapture[attacker.square];
+
+        for (const [pieceSquare, piece] of Object.entries(afterCapture)) {
+            if (piece.color !== attacker.color) continue;
+
+            if (piece.type === 'k' && this.getAttackers(afterCapture, pieceSquare, enemy).length > 0) {
+                return true;
+            }
+
+            if (piece.type === 'q' && attacker.type !== 'q') {
+                const cheaperAttackers = (position) => this.getAttackers(position, pieceSquare, enemy)
+                    .filter(enemyPiece => this.pieceValues[enemyPiece.type] < this.pieceValues.q).length;
+                if (cheaperAttackers(afterCapture) > cheaperAttackers(board)) return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Gets the pieces of one side that attack a square directly
+     * @param {Object} board - Board from parseBoard
+     * @param {string} square - The target square
+     * @param {string} color - The attacking side
+     * @returns {Array<Object>} - { square, type, color } of each attacker
+     */
+    static getAttackers(board, square, color) {
+        const attackers = [];
+        const [file, rank] = this.toCoordinates(square);
+
+        const addIf = (target, types) => {
+            const piece = target && board[target];
+            if (piece && piece.color === color && types.includes(piece.type)) {
+                attackers.push({ square: target, ...piece });
+            }
+        };
+
+        // Pawns attack diagonally forwards, so they sit one rank behind the square
+        const pawnRank = color === 'w' ? rank - 1 : rank + 1;
+        addIf(this.toSquare(file - 1, pawnRank), ['p']);
+        addIf(this.toSquare(file + 1, pawnRank), ['p']);
+
+        KNIGHT_OFFSETS.forEach(([df, dr]) => addIf(this.toSquare(file + df, rank + dr), ['n']));
+        KING_OFFSETS.forEach(([df, dr]) => addIf(this.toSquare(file + df, rank + dr), ['k']));
+
+        const addSliders = (directions, types) => {
+            for (const [df, dr] of directions) {
+                let target = this.toSquare(file + df, rank + dr);
+                for (let step = 2; target && !board[target]; step++) {
+                    target = this.toSquare(file + df * step, rank + dr * step);
+                }
+                addIf(target, types);
+            }
+        };
+        addSliders(ROOK_DIRECTIONS, ['r', 'q']);
+        addSliders(BISHOP_DIRECTIONS, ['b', 'q']);
+
+        return attackers;
+    }
+
+    /**
+     * Reads the pieces of a FEN into a square-to-piece map
+     * @param {string} fen - FEN string
+     * @returns {Object} - e.g. { e1: { type: 'k', color: 'w' }, ... }
+     */
+    static parseBoard(fen) {
+        const board = {};
+        fen.split(' ')[0].split('/').forEach((row, rowIndex) => {
+            let file = 0;
+            for (const char of row) {
+                if (/\d/.test(char)) {
+                    file += parseInt(char);
+                    continue;
+                }
+                board[this.toSquare(file, 7 - rowIndex)] = {
+                    type: char.toLowerCase(),
+                    color: char === char.toUpperCase() ? 'w' : 'b'
+                };
+                file++;
+            }
+        });
+        return board;
+    }
+
+    static toCoordinates(square) {
+        return [square.charCodeAt(0) - 97, parseInt(square[1]) - 1];
+    }
+
+    static toSquare(file, rank) {
+        if (file < 0 || file > 7 || rank < 0 || rank > 7) return null;
+        return String.fromCharCode(97 + file) + (rank + 1);
+    }
+
+    static opposite(color) {
+        return color === 'w' ? 'b' : 'w';
+    }
+}
@@ -0,0 +1,318 @@
+import { Chess } from '../../libs/chess.js';
+import { StaticExchange } from './StaticExchange.js';
+
+export const Motif = {
+    FORK: { type: 'fork', label: 'Fork' },
+    PIN: { type: 'pin', label: 'Pin' },
+    SKEWER: { type: 'skewer', label: 'Skewer' },
+    DISCOVERED_ATTACK: { type: 'discovered_attack', label: 'Discovered attack' },
+    DOUBLE_CHECK: { type: 'double_check', label: 'Double check' },
+    BACK_RANK_MATE: { type: 'back_rank_mate', label: 'Back-rank mate' },
+    DEFLECTION: { type: 'deflection', label: 'Deflection' },
+    OVERLOADED_DEFENDER: { type: 'overloaded_defender', label: 'Overloaded defender' },
+    TRAPPED_PIECE: { type: 'trapped_piece', label: 'Trapped piece' }
+};
+
+// Classification types whose tactics were found, and those whose tactics were missed or allowed
+// (types rather than the Classification objects, as MoveClassifier imports the annotator that uses this)
+const FOUND_CLASSIFICATIONS = ['brilliant', 'great', 'best'];
+const MISTAKE_CLASSIFICATIONS = ['inaccuracy', 'mistake', 'miss', 'blunder'];
+
+const SLIDER_DIRECTIONS = {
+    'r': [[1, 0], [-1, 0], [0, 1], [0, -1]],
+    'b': [[1, 1], [1, -1], [-1, 1], [-1, -1]],
+    'q': [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [1, -1], [-1, 1], [-1, -1]]
+};
+
+/**
+ * Tags analysed moves with the tactical motifs behind them, read from the move itself and the
+ * engine lines around it: the motifs a best move plays, and the motifs a mistake missed (in the
+ * best line of the previous position) or allowed (in the opponent's best reply)
+ */
+export class TacticalMotifs {
+    // Plies of an engine line searched for motifs (the side to move's first two moves)
+    static searchDepth = 3;
+
+    /**
+     * Tags the moves of an analysed game with motifs ({ played, missed, allowed } lists of motif types)
+     * @param {Array<Object>} moves - Classified moves from MoveEvaluator.analyzeGame
+     * @param {Object} startPosition - The evaluated starting position
+     */
+    static tagMoves(moves, startPosition) {
+        moves.forEach((move, i) => {
+            const previous = i === 0 ? startPosition : moves[i - 1];
+            move.motifs = this.detectMotifs(move, previous);
+        });
+    }
+
+    /**
+     * Finds the motifs behind a single move
+     * @param {Object} move - Classified move ({ fen, uciMove, lines, classification })
+     * @param {Object} previous - The position before it ({ fen, lines })
+     * @returns {Object} - { played, missed, allowed } arrays of motif types
+     */
+    static detectMotifs(move, previous) {
+        const motifs = { played: [], missed: [], allowed: [] };
+        const bestLine = move.lines?.find(line => line.id === 1);
+        const prevBestLine = previous?.lines?.find(line => line.id === 1);
+
+        if (FOUND_CLASSIFICATIONS.includes(move.classification?.type)) {
+            motifs.played = this.detectLine(previous.fen, [move.uciMove, ...(bestLine?.pv || [])]);
+        } else if (MISTAKE_CLASSIFICATIONS.includes(move.classification?.type)) {
+            if (prevBestLine?.pv && prevBestLine.pv[0] !== move.uciMove) {
+                motifs.missed = this.detectLine(previous.fen, prevBestLine.pv);
+            }
+            if (bestLine?.pv) {
+                motifs.allowed = this.detectLine(move.fen, bestLine.pv);
+            }
+        }
+
+        return motifs;
+    }
+
+    /**
+     * Finds the motifs the side to move plays in the first plies of a line
+     * @param {string} fen - The position the line starts from
+     * @param {Array<string>} uciMoves - The line in UCI format
+     * @returns {Array<string>} - The motif types found
+     */
+    static detectLine(fen, uciMoves) {
+        const found = new Set();
+        const chess = new Chess(fen);
+        const played = [];
+
+        for (const uciMove of uciMoves.slice(0, this.searchDepth)) {
+            const before = chess.fen();
+            let move;
+            try {
+                move = chess.move({ from: uciMove.slice(0, 2), to: uciMove.slice(2, 4), promotion: uciMove[4] });
+            } catch {
+                break;
+            }
+            played.push({ move, before, after: chess.fen() });
+        }
+
+        // Only the side to move's plies make motifs; the replies in between set up deflections
+        for (let i = 0; i < played.length; i += 2) {
+            const { move, before, after } = played[i];
+            this.detectMove(before, after, move).forEach(type => found.add(type));
+
+            if (played[i + 2] && this.isDeflection(played[i], played[i + 1], played[i + 2])) {
+                found.add(Motif.DEFLECTION.type);
+            }
+        }
+
+        return [...found];
+    }
+
+    /**
+     * Finds the motifs of one move
+     * @param {string} before - FEN before the move
+     * @param {string} after - FEN after the move
+     * @param {Object} move - The chess.js move
+     * @returns {Array<string>} - The motif types found
+     */
+    static detectMove(before, after, move) {
+        const found = [];
+        const board = StaticExchange.parseBoard(after);
+        const previousBoard = StaticExchange.parseBoard(before);
+        const enemy = StaticExchange.opposite(move.color);
+        const chess = new Chess(after);
+
+        const kingSquare = Object.keys(board).find(square => board[square].type === 'k' && board[square].color === enemy);
+        const checkers = kingSquare ? StaticExchange.getAttackers(board, kingSquare, move.color) : [];
+
+        if (checkers.length >= 2) found.push(Motif.DOUBLE_CHECK.type);
+        if (chess.isCheckmate() && this.isBackRankMate(kingSquare, checkers, enemy)) found.push(Motif.BACK_RANK_MATE.type);
+        if (this.isFork(board, after, move, enemy)) found.push(Motif.FORK.type);
+        if (this.isDiscoveredAttack(board, previousBoard, after, move, enemy)) found.push(Motif.DISCOVERED_ATTACK.type);
+
+        const lineMotif = this.getLineMotif(board, move, enemy);
+        if (lineMotif) found.push(lineMotif);
+
+        if (this.hasOverloadedDefender(board, move, enemy)) found.push(Motif.OVERLOADED_DEFENDER.type);
+        if (!chess.inCheck() && this.hasTrappedPiece(chess, board, move, enemy)) found.push(Motif.TRAPPED_PIECE.type);
+
+        return found;
+    }
+
+    /**
+     * Checks if a piece is worth attacking: the king, anything worth more than the attacker,
+     * or anything the attacker wins material by capturing
+     */
+    static isTarget(board, fen, attacker, targetSquare) {
+        const target = board[targetSquare];
+        if (target.type === 'k') return true;
+        if (StaticExchange.pieceValues[target.type] > StaticExchange.pieceValues[attacker.type]) return true;
+        return StaticExchange.evaluateCapture(fen, attacker.square, targetSquare) > 0;
+    }
+
+    /**
+     * The moved piece attacks two targets at once (and isn't simply lost)
+     */
+    static isFork(board, fen, move, enemy) {
+        const attacker = { square: move.to, ...board[move.to] };
+        const targets = Object.keys(board).filter(square => board[square].color === enemy &&
+            StaticExchange.getAttackers(board, square, move.color).some(piece => piece.square === move.to) &&
+            this.isTarget(board, fen, attacker, square));
+
+        if (targets.length < 2) return false;
+        return targets.some(square => board[square].type === 'k') || !StaticExchange.isHanging(fen, move.to);
+    }
+
+    /**
+     * Moving a piece opens a line for another piece to attack a target
+     */
+    static isDiscoveredAttack(board, previousBoard, fen, move, enemy) {
+        return Object.keys(board).some(square => {
+            if (board[square].color !== enemy) return false;
+
+            const wasAttacking = StaticExchange.getAttackers(previousBoard, square, move.color).map(piece => piece.square);
+            return StaticExchange.getAttackers(board, square, move.color).some(piece =>
+                piece.square !== move.to && SLIDER_DIRECTIONS[piece.type] && !wasAttacking.includes(piece.square) &&
+                this.isTarget(board, fen, piece, square));
+        });
+    }
+
+    /**
+     * Pins and skewers by the moved piece: a line through an enemy piece to a more valuable one
+     * behind it (pin), or through a valuable piece to one behind it that it must abandon (skewer)
+     * @returns {string|null} - The motif type, if any
+     */
+    static getLineMotif(board, move, enemy) {
+        const directions = SLIDER_DIRECTIONS[move.piece];
+        if (!directions) return null;
+
+        const [file, rank] = StaticExchange.toCoordinates(move.to);
+        const value = (square) => StaticExchange.pieceValues[board[square].type];
+
+        for (const [df, dr] of directions) {
+            const hits = [];
+            for (let step = 1; hits.length < 2; step++) {
+                const square = StaticExchange.toSquare(file + df * step, rank + dr * step);
+                if (!square) break;
+                if (board[square]) hits.push(square);
+            }
+            if (hits.length < 2 || hits.some(square => board[square].color !== enemy)) continue;
+
+            const [front, back] = hits;
+            if (board[front].type !== 'k' && value(back) > value(front)) {
+                return Motif.PIN.type;
+            }
+            if (value(front) > value(back) && board[back].type !== 'p' &&
+                (value(back) > StaticExchange.pieceValues[move.piece] || StaticExchange.getAttackers(board, back, enemy).length === 0)) {
+                return Motif.SKEWER.type;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * One enemy piece is the only defender of two pieces the move now attacks
+     */
+    static hasOverloadedDefender(board, move, enemy) {
+        const defended = {};
+
+        for (const square of Object.keys(board)) {
+            if (board[square].color !== enemy || board[square].type === 'k') continue;
+
+            const attackers = StaticExchange.getAttackers(board, square, move.color);
+            if (attackers.length === 0) continue;
+
+            const defenders = StaticExchange.getAttackers(board, square, enemy);
+            if (defenders.length !== 1) continue;
+
+            const defender = defenders[0].square;
+            defended[defender] = defended[defender] || { count: 0, byMovedPiece: false };
+            defended[defender].count++;
+            if (attackers.some(piece => piece.square === move.to)) defended[defender].byMovedPiece = true;
+        }
+
+        return Object.values(defended).some(entry => entry.count >= 2 && entry.byMovedPiece);
+    }
+
+    /**
+     * The moved piece attacks a piece that is lost wherever it goes
+     */
+    static hasTrappedPiece(chess, board, move, enemy) {
+        const fen = chess.fen();
+
+        return Object.keys(board).some(square => {
+            const piece = board[square];
+            if (piece.color !== enemy || piece.type === 'k' || piece.type === 'p') return false;
+            if (!StaticExchange.getAttackers(board, square, move.color).some(attacker => attacker.square === move.to)) return false;
+            if (!StaticExchange.isHanging(fen, square)) return false;
+
+            // Pieces without legal moves are pinned rather than trapped
+            const escapes = chess.moves({ square, verbose: true });
+            return escapes.length > 0 && escapes.every(escape => {
+                chess.move(escape);
+                const stillLost = StaticExchange.evaluate(chess.fen(), escape.to) > (escape.captured ? StaticExchange.pieceValues[escape.captured] : 0);
+                chess.undo();
+                return stillLost;
+            });
+        });
+    }
+
+    /**
+     * Mate by a rook or queen along the back rank of a king with no way forward
+     */
+    static isBackRankMate(kingSquare, checkers, enemy) {
+        if (!kingSquare || checkers.length !== 1) return false;
+
+        const backRank = enemy === 'w' ? '1' : '8';
+        const checker = checkers[0];
+        return kingSquare[1] === backRank && checker.square[1] === backRank && ['r', 'q'].includes(checker.type);
+    }
+
+    /**
+     * A move that lures a defender away: the reply captures with a piece that was guarding the
+     * square the follow-up then wins material (or mates) on
+     * @param {Object} first - The side to move's first ply ({ move, before, after })
+     * @param {Object} reply - The opponent's reply
+     * @param {Object} followUp - The side to move's next ply
+     * @returns {boolean} - True if the line is a deflection
+     */
+    static isDeflection(first, reply, followUp) {
+        if (reply.move.to !== first.move.to || !reply.move.captured) return false;
+        if (followUp.move.to === reply.move.to) return false;
+
+        const winsMaterial = followUp.move.captured || followUp.move.san.endsWith('#');
+        if (!winsMaterial) return false;
+
+        // The deflected piece was guarding the follow-up's square before it captured
+        const boardBeforeReply = StaticExchange.parseBoard(reply.before);
+        return StaticExchange.getAttackers(boardBeforeReply, followUp.move.to, reply.move.color)
+            .some(piece => piece.square === reply.move.from);
+    }
+
+    /**
+     * Counts the motifs each player missed or allowed in their mistakes
+     * @param {Array<Object>} moves - Moves tagged by tagMoves
+     * @returns {Object} - { white, black } maps of motif type to the number of mistakes involving it
+     */
+    static countMistakeMotifs(moves) {
+        const counts = { white: {}, black: {} };
+
+        for (const move of moves) {
+            if (!move.motifs) continue;
+
+            const color = move.fen.includes(' b ') ? 'white' : 'black';
+            new Set([...move.motifs.missed, ...move.motifs.allowed]).forEach(type => {
+                counts[color][type] = (counts[color][type] || 0) + 1;
+            });
+        }
+
+        return counts;
+    }
+
+    /**
+     * Gets a motif's display label
+     * @param {string} type - The motif type
+     * @returns {string} - e.g. "Discovered attack"
+     */
+    static getLabel(type) {
+        return Object.values(Motif).find(motif => motif.type === type)?.label || type;
+    }
+}
@@ -1,6 +1,8 @@
 import { Chess } from '../../libs/chess.js';
 
 import { Chessboard } from './board/Chessboard.js';
+import { PositionEditor } from './board/PositionEditor.js';
+import { BoardExporter } from './board/BoardExporter.js';
 import { MoveTree } from './moves/MoveTree.js';
 import { MoveNavigator } from './moves/MoveNavigator.js';
 import { EvaluationQueue } from '../evaluation/EvaluationQueue.js';
@@ -14,11 +16,19 @@ import { MoveInformation } from './moves/MoveInformation.js';
 import { Clock } from './board/Clock.js';
 
 import { MoveEvaluator } from '../evaluation/MoveEvaluator.js';
-import { Classification } from '../classification/MoveClassifier.js';
+import { Chess960 } from '../evaluation/Chess960.js';
+import { LiveAnalysis } from '../evaluation/LiveAnalysis.js';
+import { BatchAnalysis } from '../evaluation/BatchAnalysis.js';
+import { Classification, MoveClassifier } from '../classification/MoveClassifier.js';
 import { SidebarOverlay } from './report/SidebarOverlay.js';
 import { GameClassifier } from '../classification/GameClassifier.js';
 import { SettingsMenu } from './settings/SettingsMenu.js';
 import { MistakeLearner } from './training/MistakeLearner.js';
+import { PracticeGame } from './training/PracticeGame.js';
+import { GuessTheMove } from './training/GuessTheMove.js';
+import { PuzzleExtractor } from './training/PuzzleExtractor.js';
+import { PuzzleCollection } from './training/PuzzleCollection.js';
+import { ReviewSchedule } from './training/ReviewSchedule.js';
 
 /**
  * Manages UI interactions and board state
@@ -44,14 +54,21 @@ export class ChessUI {
         }, this.chess);
 
         this.settingsMenu.init(this.board);
+        MoveClassifier.setProfile(this.settingsMenu.getClassificationProfile());
         this.board.setOption({ isInteractive: false });
 
         this.moveTree = new MoveTree();
         this.moveNavigator = new MoveNavigator(this);
         this.evaluationQueue = new EvaluationQueue(this.settingsMenu);
+        this.evaluationQueue.warmUp();
         this.mistakeLearner = new MistakeLearner(this);
+        this.practiceGame = new PracticeGame(this);
+        this.guessTheMove = new GuessTheMove(this);
+        this.positionEditor = new PositionEditor(this);
+        this.boardExporter = new BoardExporter(this);
 
         this.gamesList = new GamesList();
+        this.gamesList.setAnalysisSettingsProvider(() => this.getAnalysisSettings());
 
         GameGraph.render();
         GameGraph.setClickCallback((clickedMove) => {
@@ -67,7 +84,7 @@ export class ChessUI {
             }
         });
 
-        GameStats.render();
+        this.renderGameStats();
         EvaluationBar.updateEvaluationBar();
         MoveInformation.updateMoveInfo(this.moveTree.mainline[0], this.moveTree.mainline[0]);
         EngineLines.updateEngineLines(this.moveTree.mainline[0],
@@ -85,6 +102,95 @@ export class ChessUI {
                 this.moveNavigator.updateBoardArrows(this.moveTree.currentNode);
             }
         });
+
+        // Recalculate the accuracies of the current analysis when the accuracy model changes
+        window.addEventListener('accuracyModelChanged', (event) => {
+            if (!this.analysis?.moves?.length) return;
+
+            MoveEvaluator.applyAccuracyModel(this.analysis, event.detail);
+            this.renderGameStats();
+        });
+
+        // Re-classify the current analysis from its engine lines when the classification profile changes
+        window.addEventListener('classificationProfileChanged', (event) => {
+            MoveClassifier.setProfile(event.detail);
+            this.reclassifyGame();
+        });
+    }
+
+    /**
+     * Gets the engine settings used for game analysis
+     * @returns {Object} - { engineType, engineDepth, maxMoveTime, engineThreads, enginePoolSize, useEmbeddedEvals, accuracyModel }
+     */
+    getAnalysisSettings() {
+        return {
+            engineType: this.settingsMenu.getSettingValue('engineType'),
+            engineDepth: this.settingsMenu.getSettingValue('engineDepth') || 16,
+            maxMoveTime: this.settingsMenu.getSettingValue('maxMoveTime') || 5,
+            engineThreads: this.settingsMenu.getSettingValue('engineThreads') ?? 0,
+            enginePoolSize: this.settingsMenu.getSettingValue('enginePoolSize') ?? 0,
+            useEmbeddedEvals: this.settingsMenu.getSettingValue('useEmbeddedEvals') ?? true,
+            accuracyModel: this.settingsMenu.getSettingValue('accuracyModel') || 'classification'
+        };
+    }
+
+    /**
+     * Classifies the analysed game again with the current classification profile and refreshes the report
+     */
+    reclassifyGame() {
+        if (!this.analysis?.moves?.length) return;
+
+        MoveEvaluator.classifyGame(this.analysis, this.game, this.getAnalysisSettings().accuracyModel);
+        MoveEvaluator.applyClassificationsToMoveTree(this.moveTree, this.analysis.moves);
+
+        GameGraph.setAnalysis(this.analysis);
+        this.renderGameStats();
+        this.moveTree.render('move-tree', (node) => {
+            this.moveNavigator.handleTreeNodeClick(node);
+        });
+
+        // Redraw the current move's classification on the board and in the move info
+        if (!this.mistakeLearner.isActive) {
+            this.moveNavigator.handleTreeNodeClick(this.moveTree.currentNode);
+        }
+    }
+
+    /**
+     * Renders the game report (empty before a game is analysed) and wires up its buttons
+     */
+    renderGameStats() {
+        if (this.analysis) {
+            GameStats.render('.game-stats', this.analysis, this.game.white.name, this.game.black.name);
+        } else {
+            GameStats.render();
+        }
+
+        // Wire up the "Learn from Mistakes" button
+        $('#learn-from-mistakes').off('click').on('click', () => {
+            this.mistakeLearner.start();
+        });
+
+        // Wire up the "Solve Puzzles" button
+        $('#solve-puzzles').off('click').on('click', () => {
+            this.mistakeLearner.startPuzzles();
+        });
+
+        // Wire up the "Review due" button of the review dashboard
+        $('#review-due').off('click').on('click', () => {
+            this.mistakeLearner.startReview();
+        });
+
+        // Wire up the "Start Review" button
+        $('#start-review').off('click').on('click', () => {
+            // Scroll to top
+            window.scrollTo({ top: 0, behavior: 'smooth' });
+            
+            // Navigate to the first move
+            if (this.moveTree.mainline.length > 1) {
+                const firstMove = this.moveTree.mainline[1]; // mainline[0] is root
+                this.moveNavigator.handleTreeNodeClick(firstMove);
+            }
+        });
     }
 
     /**
@@ -112,24 +218,44 @@ export class ChessUI {
         return rest ? `${engineName} ${rest}` : engineName;
     }
 
+    /**
+     * Whether a new game can be loaded. A batch analysis switches the global variant and shares
+     * MoveEvaluator's cancel flag and workers, so loading waits until it's finished or cancelled
+     * @returns {boolean} - False (after telling the user) while a batch analysis runs
+     */
+    canLoadGame() {
+        if (!BatchAnalysis.running) return true;
+
+        this.moveNavigator.showNotification('Finish or cancel the batch analysis first');
+        return false;
+    }
+
     async load(game) {
+        if (!this.canLoadGame()) return;
+
+        // The whole game is about to be analysed, so free the live analysis engine
+        LiveAnalysis.stop();
+        this.practiceGame.exit();
+        this.guessTheMove.exit();
         this.moveNavigator.handleRestart();
 
         this.game = game;
 
-        // Load PGN into the main Chess instance first
+        // Chess960 games ([Variant "Chess960"]) switch the engines and cloud evaluation to 960 castling rules
+        Chess960.enabled = Chess960.isChess960PGN(this.game.pgn);
+
+        // Load PGN into the main Chess instance first (clearing any FEN the board loaded into it)
+        this.chess.clear();
         this.chess.loadPgn(this.game.pgn);
-        this.chess.reset(); // Reset to starting position for analysis
+        this.chess.reset(); // Reset to the PGN's starting position (standard or SetUp/FEN) for analysis
         
         this.moveTree.buildFromPGN(this.game.pgn, this.chess);
 
         // Set initial clocks before analysis starts
         Clock.setInitialClocks(this.moveTree, this.game.pgn);
 
-        const engineType = this.settingsMenu.getSettingValue('engineType');
-        const engineDepth = this.settingsMenu.getSettingValue('engineDepth') || 16;
-        const maxMoveTime = this.settingsMenu.getSettingValue('maxMoveTime') || 5;
-        const engineThreads = this.settingsMenu.getSettingValue('engineThreads') ?? 0;
+        const settings = this.getAnalysisSettings();
+        const engineType = settings.engineType;
 
         // Format engine name for display (e.g., "stockfish-17.1-nnue" -> "Stockfish 17.1 NNUE")
         const engineName = this.formatEngineName(engineType);
@@ -168,7 +294,7 @@ export class ChessUI {
                 const displayName = dynamicEngineName || engineName;
                 SidebarOverlay.updateEvaluationProgress(progress, displayName);
             },
-            { engineType, engineDepth, maxMoveTime, engineThreads }
+            settings
         );
 
         this.board.setOption({ isInteractive: true });
@@ -176,6 +302,10 @@ export class ChessUI {
         // Store analysis for click callback
         this.analysis = analysis;
 
+        // Save the opponent's blunders the user didn't punish as puzzles, and the user's mistakes for review
+        PuzzleCollection.add(PuzzleExtractor.extract(analysis, this.game));
+        ReviewSchedule.add(ReviewSchedule.extract(analysis, this.game));
+
         const graphedMoves = analysis.moves.map(move => move.graph / 100);
 
         const classify = new GameClassifier();
@@ -185,30 +315,25 @@ export class ChessUI {
         SidebarOverlay.hide();
         SidebarOverlay.stopFactCycling();
     
-        MoveEvaluator.applyClassificationsToMoveTree(this.moveTree, analysis.moves, this.game.pgn);
+        MoveEvaluator.applyClassificationsToMoveTree(this.moveTree, analysis.moves);
+
+        // Games set up from a FEN have no precomputed root evaluation, so use the analysed one
+        const root = this.moveTree.mainline[0];
+        root.evaluatedMove = analysis.startPosition;
+        if (this.moveTree.currentNode === root) {
+            EngineLines.updateEngineLines(root,
+                this.moveTree,
+                (node) => this.moveNavigator.handleTreeNodeClick(node),
+                (node, resultFen, prevFen) => this.moveNavigator.queueMoveForEvaluation(node, resultFen, prevFen)
+            );
+        }
         GameGraph.setAnalysis(analysis);
-        GameStats.render('.game-stats', analysis, game.white.name, game.black.name);
-
-        // Wire up the "Learn from Mistakes" button
-        $('#learn-from-mistakes').off('click').on('click', () => {
-            this.mistakeLearner.start();
-        });
-
-        // Wire up the "Start Review" button
-        $('#start-review').off('click').on('click', () => {
-            // Scroll to top
-            window.scrollTo({ top: 0, behavior: 'smooth' });
-            
-            // Navigate to the first move
-            if (this.moveTree.mainline.length > 1) {
-                const firstMove = this.moveTree.mainline[1]; // mainline[0] is root
-                this.moveNavigator.handleTreeNodeClick(firstMove);
-            }
-        });
+        this.renderGameStats();
 
         this.moveTree.render('move-tree', (node) => {
             this.moveNavigator.handleTreeNodeClick(node);
         });
+        this.moveNavigator.updateOpeningExplorer(this.moveTree.currentNode);
 
         $('.analysis-overlay').removeClass('active');
         $('.tab-content, .bottom-content').removeClass('blur-content');
@@ -0,0 +1,627 @@
+import { Chess } from '../../../libs/chess.js';
+import { Classification } from '../../classification/MoveClassifier.js';
+import { EvaluationBar } from './EvaluationBar.js';
+import { GifEncoder } from './GifEncoder.js';
+
+const FILES = 'abcdefgh';
+
+/**
+ * Exports the board as a PNG or SVG diagram, and the mainline (or part of it) as an animated GIF.
+ * Every frame is drawn as a standalone SVG with the pieces and classification badges inlined,
+ * so it can also be drawn onto a canvas for the PNG and GIF exports
+ */
+export class BoardExporter {
+    static sizes = [400, 600, 800, 1200];
+
+    constructor(chessUI) {
+        this.chessUI = chessUI;
+        this.isOpen = false;
+        this.isExporting = false;
+        this.images = new Map(); // Image URL -> Promise of its data URI
+        this.previewUrl = null;
+        this.previewId = 0; // Latest preview render, so slower earlier ones don't overwrite it
+    }
+
+    /**
+     * Opens the export dialog with a preview of the board
+     */
+    open() {
+        if ($('#board-export').is(':empty')) this.createDialog();
+
+        this.isOpen = true;
+        $('#board-export').addClass('active');
+
+        this.fillRange();
+        this.setStatus('');
+        this.updateOptions();
+
+        $(document).off('keydown.boardExport').on('keydown.boardExport', (e) => {
+            if (e.key === 'Escape') this.close();
+        });
+    }
+
+    close() {
+        this.isOpen = false;
+        $('#board-export').removeClass('active');
+        $(document).off('keydown.boardExport');
+    }
+
+    /**
+     * Builds the dialog's markup and wires up its controls
+     */
+    createDialog() {
+        const board = this.chessUI.board;
+        const sizes = BoardExporter.sizes.map(size => `<option value="${size}">${size} px</option>`).join('');
+
+        $('#board-export').html(`
+            <div class="board-export-content">
+                <div class="board-export-header">
+                    <h2>Export board</h2>
+                    <button class="board-export-close" id="export-close" title="Close">
+                        <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 384 512">
+                            <path d="M342.6 150.6c12.5-12.5 12.5-32.8 0-45.3s-32.8-12.5-45.3 0L192 210.7 86.6 105.4c-12.5-12.5-32.8-12.5-45.3 0s-12.5 32.8 0 45.3L146.7 256 41.4 361.4c-12.5 12.5-12.5 32.8 0 45.3s32.8 12.5 45.3 0L192 301.3 297.4 406.6c12.5 12.5 32.8 12.5 45.3 0s12.5-32.8 0-45.3L237.3 256 342.6 150.6z" fill="currentColor"/>
+                        </svg>
+                    </button>
+                </div>
+                <div class="board-export-body">
+                    <div class="board-export-preview"><img id="export-preview" alt="Export preview"></div>
+                    <div class="board-export-options">
+                        <label class="practice-option">Format
+                            <select id="export-format">
+                                <option value="png">PNG image</option>
+                                <option value="svg">SVG image</option>
+                                <option value="gif">Animated GIF</option>
+                            </select>
+                        </label>
+                        <label class="practice-option">Size
+                            <select id="export-size">${sizes}</select>
+                        </label>
+                        <label class="board-export-check"><input type="checkbox" id="export-coordinates"> Coordinates</label>
+                        <label class="board-export-check"><input type="checkbox" id="export-eval-bar"> Evaluation bar</label>
+                        <div class="board-export-gif-options">
+                            <label class="practice-option">From
+                                <select id="export-from"></select>
+                            </label>
+                            <label class="practice-option">To
+                                <select id="export-to"></select>
+                            </label>
+                            <label class="practice-option">Frame delay (ms)
+                                <input type="number" id="export-delay" min="100" max="10000" step="100" value="1000">
+                            </label>
+                        </div>
+                        <div class="board-export-status" id="export-status"></div>
+                        <div class="learning-actions-buttons">
+                            <button class="learning-action-btn primary" id="export-download">Download</button>
+                            <button class="learning-action-btn" id="export-copy">Copy</button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `);
+
+        $('#export-size').val(String(BoardExporter.sizes[1]));
+        $('#export-coordinates').prop('checked', board.getOption('showBoardLabels'));
+
+        $('#board-export select, #board-export input').on('change', () => this.updateOptions());
+        $('#export-download').on('click', () => this.download());
+        $('#export-copy').on('click', () => this.copy());
+        $('#export-close').on('click', () => this.close());
+
+        // Clicking the backdrop closes the dialog
+        $('#board-export').on('click', (e) => {
+            if (e.target.id === 'board-export') this.close();
+        });
+    }
+
+    /**
+     * Lists the mainline positions for the GIF range, from the start to the end of the game
+     */
+    fillRange() {
+        const mainline = this.chessUI.moveTree.mainline;
+
+        const options = mainline.map((node, index) => {
+            if (index === 0) return `<option value="0">Starting position</option>`;
+
+            const [, turn, , , , fullMove] = mainline[index - 1].fen.split(' ');
+            return `<option value="${index}">${fullMove}${turn === 'w' ? '.' : '...'} ${node.san}</option>`;
+        }).join('');
+
+        $('#export-from').html(options).val('0');
+        $('#export-to').html(options).val(String(mainline.length - 1));
+    }
+
+    /**
+     * Reads the dialog's options
+     * @returns {{format: string, size: number, coordinates: boolean, evalBar: boolean, from: number, to: number, delay: number}}
+     */
+    getOptions() {
+        const from = Number($('#export-from').val()) || 0;
+        const to = Number($('#export-to').val()) || 0;
+        const delay = Number($('#export-delay').val()) || 1000;
+
+        return {
+            format: $('#export-format').val(),
+            size: Number($('#export-size').val()),
+            coordinates: $('#export-coordinates').is(':checked'),
+            evalBar: $('#export-eval-bar').is(':checked'),
+            from: Math.min(from, to),
+            to: Math.max(from, to),
+            delay: Math.max(100, Math.min(10000, delay))
+        };
+    }
+
+    /**
+     * Shows the options for the selected format and refreshes the preview
+     */
+    updateOptions() {
+        const { format } = this.getOptions();
+
+        $('.board-export-gif-options').toggle(format === 'gif');
+        $('#export-copy').toggle(format !== 'gif'); // Clipboards don't take GIFs
+        $('#export-download').text(format === 'gif' ? 'Create GIF' : 'Download');
+
+        this.updatePreview();
+    }
+
+    /**
+     * Previews the current position, or the first frame of the GIF
+     */
+    async updatePreview() {
+        const previewId = ++this.previewId;
+        const options = this.getOptions();
+        const frame = options.format === 'gif'
+            ? this.getNodeFrame(this.chessUI.moveTree.mainline[options.from])
+            : this.getCurrentFrame();
+
+        try {
+            const svg = await this.buildSvg(frame, options);
+            if (previewId !== this.previewId) return;
+
+            if (this.previewUrl) URL.revokeObjectURL(this.previewUrl);
+            this.previewUrl = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+            $('#export-preview').attr('src', this.previewUrl);
+        } catch (error) {
+            if (previewId !== this.previewId) return;
+            console.error('Error rendering the export preview:', error);
+            this.setStatus('Could not render the board');
+        }
+    }
+
+    /**
+     * Exports the board (or the GIF) as a file
+     */
+    async download() {
+        if (this.isExporting) return;
+
+        const options = this.getOptions();
+        const date = new Date().toISOString().split('T')[0];
+        this.setExporting(true);
+
+        try {
+            const blob = await this.createFile(options);
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `chess-${options.format === 'gif' ? 'game' : 'position'}-${date}.${options.format}`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+            this.setStatus('');
+        } catch (error) {
+            console.error('Error exporting the board:', error);
+            this.setStatus('Export failed');
+        } finally {
+            this.setExporting(false);
+        }
+    }
+
+    /**
+     * Copies the board to the clipboard: as an image for PNG, as markup for SVG
+     */
+    async copy() {
+        if (this.isExporting) return;
+
+        const options = this.getOptions();
+        this.setExporting(true);
+
+        try {
+            if (options.format === 'svg') {
+                await navigator.clipboard.writeText(await this.buildSvg(this.getCurrentFrame(), options));
+            } else {
+                // The blob is passed as a promise so the copy still counts as part of the click
+                await navigator.clipboard.write([new ClipboardItem({ 'image/png': this.createFile(options) })]);
+            }
+            this.chessUI.moveNavigator.showNotification('Board copied to clipboard!');
+        } catch (error) {
+            console.error('Error copying the board:', error);
+            this.chessUI.moveNavigator.showNotification('Failed to copy board');
+        } finally {
+            this.setExporting(false);
+        }
+    }
+
+    /**
+     * Creates the exported file
+     * @param {Object} options - From getOptions
+     * @returns {Promise<Blob>} The PNG, SVG or GIF
+     */
+    async createFile(options) {
+        if (options.format === 'gif') return this.createGif(options);
+
+        const svg = await this.buildSvg(this.getCurrentFrame(), options);
+        if (options.format === 'svg') return new Blob([svg], { type: 'image/svg+xml' });
+
+        const canvas = await this.renderCanvas(svg);
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not encode the PNG')), 'image/png');
+        });
+    }
+
+    /**
+     * Renders the selected range of the mainline as an animated GIF
+     * @param {Object} options - From getOptions
+     * @returns {Promise<Blob>} The GIF
+     */
+    async createGif(options) {
+        const nodes = this.chessUI.moveTree.mainline.slice(options.from, options.to + 1);
+        let encoder = null;
+
+        for (const [index, node] of nodes.entries()) {
+            this.setStatus(`Rendering frame ${index + 1} of ${nodes.length}...`);
+
+            const canvas = await this.renderCanvas(await this.buildSvg(this.getNodeFrame(node), options));
+            encoder ??= new GifEncoder(canvas.width, canvas.height);
+
+            // The last position stays up longer before the animation starts over
+            const delay = index === nodes.length - 1 ? options.delay * 3 : options.delay;
+            encoder.addFrame(canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height).data, delay);
+        }
+
+        return new Blob([encoder.finish()], { type: 'image/gif' });
+    }
+
+    setExporting(isExporting) {
+        this.isExporting = isExporting;
+        $('#export-download, #export-copy').prop('disabled', isExporting);
+    }
+
+    setStatus(text) {
+        $('#export-status').text(text);
+    }
+
+    /**
+     * Describes the position on the board, as it's shown
+     * @returns {Object} The frame (see Chessboard.getRenderState, plus the evaluation)
+     */
+    getCurrentFrame() {
+        const state = this.chessUI.board.getRenderState();
+        const node = this.chessUI.moveTree.currentNode;
+
+        // Training modes show positions that aren't the move tree's, or hide its classifications
+        if (node.fen !== state.fen) return { ...state, evaluation: null };
+        if (!this.chessUI.moveNavigator.canAnnotate()) return { ...state, evaluation: this.getEvaluation(node) };
+
+        // The badge is read back from the board, so a classified move that shows none still gets one
+        const nodeFrame = this.getNodeFrame(node);
+        return {
+            ...state,
+            classification: state.classification || nodeFrame.classification,
+            evaluation: nodeFrame.evaluation
+        };
+    }
+
+    /**
+     * Describes a move tree position the way the analysis board shows it
+     * @param {Object} node - The move tree node
+     * @returns {Object} The frame
+     */
+    getNodeFrame(node) {
+        const classification = node.classification && Classification[node.classification.toUpperCase()];
+
+        return {
+            fen: node.fen,
+            flipped: this.chessUI.board.flipped,
+            lastMove: node.move ? [node.move.from, node.move.to] : [],
+            classification: classification?.src ? { type: classification.type, square: node.move.to } : null,
+            arrows: node.arrows || [],
+            highlights: node.highlights || [],
+            bestMoveArrows: [],
+            evaluation: this.getEvaluation(node)
+        };
+    }
+
+    /**
+     * Gets a node's evaluation for the evaluation bar
+     * @param {Object} node - The move tree node
+     * @returns {{score: number, type: string, mateForBlack?: boolean}|null} Null if it hasn't been evaluated
+     */
+    getEvaluation(node) {
+        if (node.evalScore !== undefined) return { score: node.evalScore, type: node.evalType || 'cp' };
+
+        // Finished games have no engine lines: checkmate is lost for the side to move
+        const chess = new Chess(node.fen);
+        if (chess.isCheckmate()) return { score: 0, type: 'mate', mateForBlack: chess.turn() === 'w' };
+
+        return null;
+    }
+
+    /**
+     * Draws a frame as SVG
+     * @param {Object} frame - From getCurrentFrame or getNodeFrame
+     * @param {{size: number, coordinates: boolean, evalBar: boolean}} options - The board's size in pixels and what to include
+     * @returns {Promise<string>} The SVG markup
+     */
+    async buildSvg(frame, { size, coordinates, evalBar }) {
+        const board = this.chessUI.board;
+        const theme = board.getOption('theme');
+        const styling = board.getOption('styling');
+        const square = size / 8;
+        const barWidth = evalBar ? Math.round(size / 20) : 0;
+        const position = (name) => this.getSquarePosition(name, frame.flipped, square);
+        const parts = [];
+
+        if (evalBar) parts.push(this.buildEvalBar(frame, barWidth, size));
+        parts.push(`<g transform="translate(${barWidth} 0)">`);
+
+        // Squares
+        if (theme.boardImageBackground && theme.boardBackgroundPath) {
+            const background = await this.getDataUri(theme.boardBackgroundPath);
+            parts.push(`<image href="${background}" width="${size}" height="${size}" preserveAspectRatio="xMidYMid slice"/>`);
+        } else {
+            for (let row = 0; row < 8; row++) {
+                for (let col = 0; col < 8; col++) {
+                    const color = (row + col) % 2 === 0 ? theme.boardLightSquareColor : theme.boardDarkSquareColor;
+                    parts.push(`<rect x="${col * square}" y="${row * square}" width="${square}" height="${square}" fill="${color}"/>`);
+                }
+            }
+        }
+
+        // Last move, in the classification's color when it has one
+        const classification = frame.classification && Classification[frame.classification.type.toUpperCase()];
+        for (const name of frame.lastMove) {
+            const { x, y } = position(name);
+            parts.push(classification
+                ? `<rect x="${x}" y="${y}" width="${square}" height="${square}" fill="${classification.color}" fill-opacity="0.5"/>`
+                : `<rect x="${x}" y="${y}" width="${square}" height="${square}" fill="${styling.justMovedColor}"/>`);
+        }
+
+        for (const highlight of frame.highlights) {
+            const { x, y } = position(highlight.slice(1));
+            parts.push(`<rect x="${x}" y="${y}" width="${square}" height="${square}" fill="${styling.annotationHighlightColors[highlight[0]]}"/>`);
+        }
+
+        if (coordinates) parts.push(this.buildCoordinates(frame.flipped, size, theme, styling));
+
+        // Pieces
+        for (const piece of this.getPieces(frame.fen)) {
+            const { x, y } = position(piece.square);
+            const image = await this.getDataUri(board.getPieceUrl(piece.color, piece.type));
+            parts.push(`<image href="${image}" x="${x}" y="${y}" width="${square}" height="${square}"/>`);
+        }
+
+        // Arrows
+        const center = (name) => {
+            const { x, y } = position(name);
+            return [x + square / 2, y + square / 2];
+        };
+        for (const arrow of frame.arrows) {
+            parts.push(this.buildArrow(center(arrow.slice(1, 3)), center(arrow.slice(3, 5)), styling.annotationArrowColors[arrow[0]], 1, size));
+        }
+        for (const arrow of frame.bestMoveArrows) {
+            parts.push(this.buildArrow(center(arrow.from), center(arrow.to), arrow.color, arrow.color.includes('rgba') ? 1 : arrow.opacity, size));
+        }
+
+        // Classification badge, at the top right corner of the square (or inside it on the board's edge)
+        if (classification?.src) {
+            const { x, y, col, row } = position(frame.classification.square);
+            const onBorder = col === 7 || row === 0;
+            const badge = await this.getDataUri(classification.src);
+            parts.push(`<image href="${badge}" x="${x + square * (onBorder ? 0.55 : 0.75)}" y="${y + square * (onBorder ? -0.05 : -0.25)}" width="${square / 2}" height="${square / 2}"/>`);
+        }
+
+        parts.push('</g>');
+
+        const width = size + barWidth;
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${size}" viewBox="0 0 ${width} ${size}">${parts.join('')}</svg>`;
+    }
+
+    /**
+     * Draws the rank and file labels along the left and bottom edges, like the board does
+     */
+    buildCoordinates(flipped, size, theme, styling) {
+        const square = size / 8;
+        const margin = square * 0.06;
+        const font = `font-family="${styling.fontFamily}" font-size="${Math.round(size / 36)}" font-weight="${styling.notationFontWeight}"`;
+        const labelColor = (row, col) => (row + col) % 2 === 0 ? theme.boardDarkSquareColor : theme.boardLightSquareColor;
+        const labels = [];
+
+        for (let row = 0; row < 8; row++) {
+            const rank = flipped ? row + 1 : 8 - row;
+            labels.push(`<text x="${margin}" y="${row * square + margin}" dominant-baseline="hanging" fill="${labelColor(row, 0)}" ${font}>${rank}</text>`);
+        }
+
+        for (let col = 0; col < 8; col++) {
+            const file = FILES[flipped ? 7 - col : col];
+            labels.push(`<text x="${(col + 1) * square - margin}" y="${size - margin}" text-anchor="end" fill="${labelColor(7, col)}" ${font}>${file}</text>`);
+        }
+
+        return labels.join('');
+    }
+
+    /**
+     * Draws an arrow between two square centers, matching the board's arrows (L-shaped for knight moves)
+     * @param {Array<number>} from - Center of the start square
+     * @param {Array<number>} to - Center of the target square
+     * @param {string} color - The arrow's color
+     * @param {number} opacity - The arrow's opacity
+     * @param {number} size - The board's size
+     * @returns {string} The SVG markup
+     */
+    buildArrow([fromX, fromY], [toX, toY], color, opacity, size) {
+        const headLength = size / 16;
+        const stroke = `stroke="${color}" stroke-width="${size / 48}"`;
+        const dx = toX - fromX;
+        const dy = toY - fromY;
+        const isKnightMove = Math.abs(dx) > 0 && Math.abs(dy) > 0 && Math.max(Math.abs(dx), Math.abs(dy)) === 2 * Math.min(Math.abs(dx), Math.abs(dy))
+            && Math.hypot(dx, dy) / size < 0.35;
+
+        let lines;
+        let angle;
+
+        if (isKnightMove) {
+            // Long leg first, then a short leg ending in the head
+            const horizontalFirst = Math.abs(dx) > Math.abs(dy);
+            const cornerX = horizontalFirst ? toX : fromX;
+            const cornerY = horizontalFirst ? fromY : toY;
+            angle = Math.atan2(toY - cornerY, toX - cornerX);
+
+            const startX = fromX + (horizontalFirst ? Math.sign(dx) * size / 22 : 0);
+            const startY = fromY + (horizontalFirst ? 0 : Math.sign(dy) * size / 22);
+            const overlap = size / 100; // So the legs join without a notch
+            const endX = toX - 0.865 * headLength * Math.cos(angle);
+            const endY = toY - 0.865 * headLength * Math.sin(angle);
+
+            lines = [
+                [startX, startY, cornerX + (horizontalFirst ? Math.sign(dx) * overlap : 0), cornerY + (horizontalFirst ? 0 : Math.sign(dy) * overlap)],
+                [cornerX - (horizontalFirst ? 0 : Math.sign(dx) * overlap), cornerY - (horizontalFirst ? Math.sign(dy) * overlap : 0), endX, endY]
+            ];
+        } else {
+            angle = Math.atan2(dy, dx);
+            lines = [[
+                fromX + (size / 22) * Math.cos(angle), fromY + (size / 22) * Math.sin(angle),
+                toX - 0.865 * headLength * Math.cos(angle), toY - 0.865 * headLength * Math.sin(angle)
+            ]];
+        }
+
+        const head = [[toX, toY], ...[-Math.PI / 6, Math.PI / 6].map(a => [
+            toX - headLength * Math.cos(angle + a),
+            toY - headLength * Math.sin(angle + a)
+        ])].map(point => point.join(',')).join(' ');
+
+        return `<g opacity="${opacity}">`
+            + lines.map(([x1, y1, x2, y2]) => `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" ${stroke}/>`).join('')
+            + `<polygon points="${head}" fill="${color}"/></g>`;
+    }
+
+    /**
+     * Draws the evaluation bar strip beside the board, with white's share at white's side of the board
+     */
+    buildEvalBar(frame, width, size) {
+        const evaluation = frame.evaluation;
+        let percentage = 50;
+
+        if (evaluation?.type === 'mate') {
+            percentage = evaluation.mateForBlack || evaluation.score < 0 ? 0 : 100;
+        } else if (evaluation) {
+            percentage = EvaluationBar.scoreToPercentage(evaluation.score);
+        }
+
+        const whiteHeight = size * percentage / 100;
+        const whiteY = frame.flipped ? 0 : size - whiteHeight;
+
+        return `<rect width="${width}" height="${size}" fill="#403d39"/>`
+            + `<rect y="${whiteY}" width="${width}" height="${whiteHeight}" fill="#f0f0f0"/>`;
+    }
+
+    /**
+     * Reads the pieces from a FEN
+     * @param {string} fen - The position
+     * @returns {Array<{square: string, color: string, type: string}>}
+     */
+    getPieces(fen) {
+        const pieces = [];
+
+        fen.split(' ')[0].split('/').forEach((rankText, rankIndex) => {
+            let file = 0;
+            for (const char of rankText) {
+                if (/\d/.test(char)) {
+                    file += Number(char);
+                    continue;
+                }
+
+                pieces.push({
+                    square: `${FILES[file]}${8 - rankIndex}`,
+                    color: char === char.toUpperCase() ? 'w' : 'b',
+                    type: char.toLowerCase()
+                });
+                file++;
+            }
+        });
+
+        return pieces;
+    }
+
+    /**
+     * Gets where a square is drawn
+     * @param {string} name - The square, e.g. "e4"
+     * @param {boolean} flipped - Whether black is at the bottom
+     * @param {number} square - Square size in pixels
+     * @returns {{x: number, y: number, col: number, row: number}}
+     */
+    getSquarePosition(name, flipped, square) {
+        const file = FILES.indexOf(name[0]);
+        const rank = Number(name[1]);
+        const col = flipped ? 7 - file : file;
+        const row = flipped ? rank - 1 : 8 - rank;
+
+        return { x: col * square, y: row * square, col, row };
+    }
+
+    /**
+     * Loads an image as a data URI, so the SVG doesn't depend on other files
+     * @param {string} url - The image's URL
+     * @returns {Promise<string>} The data URI
+     */
+    getDataUri(url) {
+        if (!this.images.has(url)) {
+            const dataUri = fetch(url)
+                .then(response => {
+                    if (!response.ok) throw new Error(`Could not load ${url}`);
+                    return response.blob();
+                })
+                .then(blob => new Promise((resolve, reject) => {
+                    // Servers don't always label SVG files, and images need the right type
+                    const image = url.endsWith('.svg') ? new Blob([blob], { type: 'image/svg+xml' }) : blob;
+                    const reader = new FileReader();
+                    reader.onload = () => resolve(reader.result);
+                    reader.onerror = () => reject(reader.error);
+                    reader.readAsDataURL(image);
+                }))
+                .catch(error => {
+                    this.images.delete(url);
+                    throw error;
+                });
+
+            this.images.set(url, dataUri);
+        }
+
+        return this.images.get(url);
+    }
+
+    /**
+     * Draws SVG markup onto a canvas of its size
+     * @param {string} svg - The SVG markup
+     * @returns {Promise<HTMLCanvasElement>} The canvas
+     */
+    async renderCanvas(svg) {
+        const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+
+        try {
+            const image = await new Promise((resolve, reject) => {
+                const img = new Image();
+                img.onload = () => resolve(img);
+                img.onerror = () => reject(new Error('Could not draw the board'));
+                img.src = url;
+            });
+
+            const canvas = document.createElement('canvas');
+            canvas.width = image.naturalWidth;
+            canvas.height = image.naturalHeight;
+            canvas.getContext('2d').drawImage(image, 0, 0);
+            return canvas;
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+}
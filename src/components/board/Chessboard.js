@@ -188,9 +188,9 @@ export class Chessboard {
 		this.styleSheet = null;
 
 		// Game state
-		this.arrows = [];
+		this.arrows = []; // [[from, to, color]], color being a key of annotationArrowColors
 		this.bestMoveArrows = []; // [{ from, to, color }]
-		this.highlights = [];
+		this.highlights = []; // [[index, color]]
 		this.squares = [];
 		this.events = {};
 		this.chess = handler;
@@ -222,6 +222,9 @@ export class Chessboard {
 				justMovedColor: 'rgba(255, 208, 0, 0.36)',
 				highlightColor: 'rgba(255, 82, 82, 0.71)',
 				arrowColor: 'rgba(223, 145, 0, 0.59)',
+				// User arrows and highlights by their PGN [%cal]/[%csl] color
+				annotationArrowColors: { G: 'rgba(21, 120, 27, 0.8)', R: 'rgba(136, 32, 32, 0.8)', B: 'rgba(0, 48, 136, 0.8)', Y: 'rgba(230, 143, 0, 0.8)' },
+				annotationHighlightColors: { G: 'rgba(21, 120, 27, 0.55)', R: 'rgba(200, 40, 40, 0.6)', B: 'rgba(0, 80, 190, 0.55)', Y: 'rgba(230, 143, 0, 0.6)' },
 				alternativeColor: 'rgba(223, 145, 0, 0.59)',
 				bestColor: 'rgba(231, 76, 60, 0.59)',
 				droppableIndicatorColor: 'rgba(0, 0, 0, 0.15)',
@@ -747,8 +750,8 @@ export class Chessboard {
 			fen: this.chess._currentFen || 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1',
 			flipped: this.flipped,
 			selectedPiece: this.selectedPiece,
-			arrows: [...this.arrows],
-			highlights: [...this.highlights],
+			arrows: this.arrows.map(arrow => [...arrow]),
+			highlights: this.highlights.map(highlight => [...highlight]),
 			history: this.chess.history ? this.chess.history({ verbose: true }) : [],
 			turn: this.chess.turn(),
 		};
@@ -769,13 +772,8 @@ export class Chessboard {
 			this.arrows = [...state.arrows];
 		}
 		if (state.highlights) {
-			this.highlights = [...state.highlights];
-			// Reapply highlights to DOM
-			this.highlights.forEach(highlight => {
-				const index = this.flipped ? 63 - highlight : highlight;
-				const square = this.getSquare(index);
-				square.classList.add(Css.HIGHLIGHT);
-			});
+			this.highlights = state.highlights.map(highlight => [...highlight]);
+			this._applyHighlights();
 		}
 		this._render(); // Redraw arrows
 		this.emit('positionchange', state.fen);
@@ -801,13 +799,12 @@ export class Chessboard {
 		this.refresh(true);
 		this.clearBoardHighlights();
 
-		this.highlights.forEach(highlight => {
-			const index = this.flipped ? 63 - highlight : highlight;
-			this.getSquare(index).classList.add(Css.HIGHLIGHT);
-		});
+		this.highlights.forEach(highlight => highlight[0] = 63 - highlight[0]);
+		this._applyHighlights();
 
 		this.arrows.forEach(arrow => {
-			arrow.forEach((_, j) => arrow[j] = 63 - arrow[j]);
+			arrow[0] = 63 - arrow[0];
+			arrow[1] = 63 - arrow[1];
 		});
 		
 		// Update board labels for the new orientation
@@ -872,6 +869,16 @@ export class Chessboard {
 		};
 	}
 
+	/**
+	 * Gets the image URL of a piece in the board's piece theme (e.g. for a piece palette)
+	 * @param {string} color - The piece color ('w' or 'b')
+	 * @param {string} type - The piece type ('p', 'n', 'b', 'r', 'q', 'k')
+	 * @returns {string} The URL of the piece image
+	 */
+	getPieceUrl(color, type) {
+		return this._getPieceUrl(color, type);
+	}
+
 	/**
 	 * Exports the current game in PGN format
 	 * @returns {string} PGN string
@@ -1184,12 +1191,13 @@ export class Chessboard {
 
 	/**
 	 * Toggles an arrow between two squares on the chessboard.
-	 * If an arrow already exists, it is removed; otherwise, it is added.
+	 * If an arrow of the same color already exists, it is removed; one of another color is recolored.
 	 *
 	 * @param {HTMLElement} start The starting square element.
 	 * @param {HTMLElement} end The ending square element.
+	 * @param {string} [color='G'] The arrow's color (G, R, B or Y).
 	 */
-	createArrow(start, end) {
+	createArrow(start, end, color = 'G') {
 		const startIndex = this.getSquareIndex(start);
 		const endIndex = this.getSquareIndex(end);
 
@@ -1197,10 +1205,12 @@ export class Chessboard {
 		const existingArrow = this.arrows.find(([s, e]) => s === startIndex && e === endIndex);
 		
 		// Toggle arrow state
-		if (existingArrow) {
+		if (existingArrow?.[2] === color) {
 			this.arrows = this.arrows.filter(arrow => arrow !== existingArrow);
+		} else if (existingArrow) {
+			existingArrow[2] = color;
 		} else {
-			this.arrows.push([startIndex, endIndex]);
+			this.arrows.push([startIndex, endIndex, color]);
 		}
 		
 		// Re-render the board
@@ -1212,13 +1222,66 @@ export class Chessboard {
 		this.emit('arrowcreate', fromSquare, toSquare);
 	}
 
+	/**
+	 * Gets the user's arrows and highlighted squares in PGN [%cal]/[%csl] notation.
+	 * @returns {{arrows: Array<string>, highlights: Array<string>}} e.g. { arrows: ['Ge2e4'], highlights: ['Rd5'] }
+	 */
+	getAnnotations() {
+		return {
+			arrows: this.arrows.map(([from, to, color]) =>
+				color + this.indexToAlgebraic(from, this.flipped) + this.indexToAlgebraic(to, this.flipped)),
+			highlights: this.highlights.map(([index, color]) => color + this.indexToAlgebraic(index, this.flipped))
+		};
+	}
+
+	/**
+	 * Replaces the user's arrows and highlighted squares.
+	 * @param {{arrows?: Array<string>, highlights?: Array<string>}} annotations In PGN [%cal]/[%csl] notation (e.g. 'Ge2e4', 'Rd5').
+	 */
+	setAnnotations({ arrows = [], highlights = [] } = {}) {
+		this.arrows = arrows.map(arrow => [
+			this.algebraicToIndex(arrow.slice(1, 3), this.flipped),
+			this.algebraicToIndex(arrow.slice(3, 5), this.flipped),
+			arrow[0]
+		]);
+		this.highlights = highlights.map(highlight => [this.algebraicToIndex(highlight.slice(1, 3), this.flipped), highlight[0]]);
+
+		this._applyHighlights();
+		this._render();
+	}
+
+	/**
+	 * Describes what the board is showing, so it can be drawn elsewhere (e.g. exported as an image).
+	 * Squares are in algebraic notation and the user's shapes in PGN [%cal]/[%csl] notation.
+	 * @returns {{fen: string, flipped: boolean, lastMove: Array<string>, classification: {type: string, square: string}|null,
+	 *   arrows: Array<string>, highlights: Array<string>, bestMoveArrows: Array<{from: string, to: string, color: string, opacity: number}>}}
+	 */
+	getRenderState() {
+		const toAlgebraic = (index) => this.indexToAlgebraic(index, this.flipped);
+
+		// DOMUtils.$ treats selectors starting with '#' as a bare id, so search inside the squares container
+		const badgeSquare = DOMUtils.$('.square:has(> img.classification)', DOMUtils.$(`#squares-${this.id}`));
+		const classification = badgeSquare && Object.values(Classification).find(c => c.class && DOMUtils.hasClass(badgeSquare, c.class));
+
+		return {
+			fen: this.chess.fen(),
+			flipped: this.flipped,
+			lastMove: DOMUtils.$$(`#squares-${this.id} .square.${Css.JUST_MOVED}`).map(square => toAlgebraic(this.getSquareIndex(square))),
+			classification: classification ? { type: classification.type, square: toAlgebraic(this.getSquareIndex(badgeSquare)) } : null,
+			...this.getAnnotations(),
+			bestMoveArrows: this.shouldShowBestMoveArrows()
+				? this.bestMoveArrows.map(arrow => ({ ...arrow, from: toAlgebraic(arrow.from), to: toAlgebraic(arrow.to) }))
+				: []
+		};
+	}
+
 	/**
 	 * Clears highlighted squares and removes all arrows from the board.
 	 */
 	clearBoardElements() {
-		DOMUtils.removeClass(DOMUtils.$$(`#squares-${this.id} .square`), Css.HIGHLIGHT);
 		this.arrows = [];
 		this.highlights = [];
+		this._applyHighlights();
 		this._render();
 		this.emit('clear');
 	}
@@ -1253,6 +1316,7 @@ export class Chessboard {
 	 * @private
 	 */
 	_attemptMove(fromIndex, toIndex, animate = false) {
+		toIndex = this._getCastlingTargetIndex(fromIndex, toIndex);
 		const legalDestinations = this._getLegalDestinations(fromIndex);
 		if (!legalDestinations.includes(toIndex) || this.pendingPromotion !== null) {
 			// Emit move cancelled event
@@ -1269,6 +1333,26 @@ export class Chessboard {
 		return true;
 	}
 
+	/**
+	 * Dropping the king on one of its own rooks castles towards that rook (the usual Chess960 input).
+	 * @private
+	 * @return {number} The king's castling destination index, or the original target index.
+	 */
+	_getCastlingTargetIndex(fromIndex, toIndex) {
+		const from = this.indexToAlgebraic(fromIndex, this.flipped);
+		const to = this.indexToAlgebraic(toIndex, this.flipped);
+		const piece = this.chess.get(from);
+		const target = this.chess.get(to);
+
+		if (piece?.type !== KING || target?.type !== ROOK || target.color !== piece.color) return toIndex;
+
+		const kingTo = (to[0] > from[0] ? 'g' : 'c') + from[1];
+		const castle = this.chess.moves({ square: from, verbose: true })
+			.find(move => move.to === kingTo && (move.isKingsideCastle() || move.isQueensideCastle()));
+
+		return castle ? this.algebraicToIndex(kingTo, this.flipped) : toIndex;
+	}
+
 	/**
 	 * Returns the list of legal destination square indices for a piece at the given board index.
 	 * @private
@@ -1300,37 +1384,72 @@ export class Chessboard {
 
 	/**
 	 * Handles castling moves, specifically the rook movement.
+	 * Works for Chess960 too, where the king may land on the rook's square (its image is gone then).
 	 * @private
 	 * @param {Object} moveResult The move result object.
 	 * @return {boolean} True if castling was handled; otherwise, false.
 	 */
 	_handleCastling(moveResult) {
-		const castleType = moveResult.isKingsideCastle() 
-			? 'kingside' 
-			: moveResult.isQueensideCastle() 
-				? 'queenside' 
-				: null;
-				
-		if (!castleType) return false;
-		
-		const castleMap = {
-			w: {kingside: ['h8', 'f8'], queenside: ['a8', 'd8']},
-			b: {kingside: ['h1', 'f1'], queenside: ['a1', 'd1']}
-		};
-		
-		const opponentColor = moveResult.color === WHITE ? BLACK : WHITE;
-		const [from, to] = castleMap[opponentColor][castleType];
-		const fromSquare = this.getSquare(this.algebraicToIndex(from, this.flipped));
-		const toSquare = this.getSquare(this.algebraicToIndex(to, this.flipped));
-		const piece = DOMUtils.$('img', fromSquare);
-		
-		this._updateBoard(fromSquare, toSquare, piece, false);
-		this._animatePiece(piece, fromSquare);
+		const rookSquares = this._getCastlingRookSquares(moveResult);
+		if (!rookSquares) return false;
+
+		const [from, to] = rookSquares;
+		if (from !== to) {
+			const fromSquare = this.getSquare(this.algebraicToIndex(from, this.flipped));
+			const toSquare = this.getSquare(this.algebraicToIndex(to, this.flipped));
+			const piece = from !== moveResult.to ? DOMUtils.$('img', fromSquare) : null;
+
+			if (piece) {
+				this._updateBoard(fromSquare, toSquare, piece, false);
+				this._animatePiece(piece, fromSquare);
+			} else {
+				DOMUtils.empty(toSquare);
+				this._createPiece(this.algebraicToIndex(to, this.flipped), ROOK, moveResult.color);
+			}
+		}
+
 		this._playSound(Sound.CASTLE);
 		
 		return true;
 	}
 
+	/**
+	 * Finds the rook's start and end squares for a castling move.
+	 * The rook is read from the position before the move, so Chess960 starting squares work as well.
+	 * @private
+	 * @param {Object} moveResult The move result object (needs `before`, `from` and `color`).
+	 * @return {Array<string>|null} [rookFrom, rookTo], or null if the move isn't castling.
+	 */
+	_getCastlingRookSquares(moveResult) {
+		const kingside = moveResult.isKingsideCastle();
+		if (!kingside && !moveResult.isQueensideCastle()) return null;
+
+		const rank = moveResult.color === WHITE ? '1' : '8';
+		const rookTo = (kingside ? 'f' : 'd') + rank;
+
+		// Expand the castling rank of the FEN before the move into one entry per file
+		const row = (moveResult.before || '').split(' ')[0].split('/')[moveResult.color === WHITE ? 7 : 0] || '';
+		const files = [];
+		for (const char of row) {
+			if (/\d/.test(char)) {
+				files.push(...Array(parseInt(char)).fill(null));
+			} else {
+				files.push(char);
+			}
+		}
+
+		// The castling rook is the outermost one on the castling side of the king (X-FEN)
+		const rook = moveResult.color === WHITE ? 'R' : 'r';
+		const kingFile = moveResult.from.charCodeAt(0) - 97;
+		const rookFile = kingside ? files.lastIndexOf(rook) : files.indexOf(rook);
+		if (rookFile === -1 || (kingside ? rookFile < kingFile : rookFile > kingFile)) {
+			// Fall back to the standard corners if the position can't be read
+			return [(kingside ? 'h' : 'a') + rank, rookTo];
+		}
+
+		return [String.fromCharCode(97 + rookFile) + rank, rookTo];
+	}
+
 	/**
 	 * Handles en passant moves.
 	 * @private
@@ -1368,34 +1487,32 @@ export class Chessboard {
 
 	/**
 	 * Handles undoing castling moves, specifically reversing the rook movement.
+	 * In Chess960 the king can move back onto the rook's castled square, so the rook is recreated then.
 	 * @private
 	 * @param {Object} moveResult The move result object.
 	 * @param {boolean} animate Whether to animate the move.
 	 * @return {boolean} True if castling undo was handled; otherwise, false.
 	 */
 	_handleUndoCastling(moveResult, animate = false) {
-		const castleType = moveResult.isKingsideCastle() 
-			? 'kingside' 
-			: moveResult.isQueensideCastle() 
-				? 'queenside' 
-				: null;
-				
-		if (!castleType) return false;
+		const rookSquares = this._getCastlingRookSquares(moveResult);
+		if (!rookSquares) return false;
 
 		// For undoing, the rook needs to go from its castled position back to its original position
-		const castleMap = {
-			w: {kingside: ['f8', 'h8'], queenside: ['d8', 'a8']},
-			b: {kingside: ['f1', 'h1'], queenside: ['d1', 'a1']}
-		};
-		
-		const opponentColor = moveResult.color === WHITE ? BLACK : WHITE;
-		const [from, to] = castleMap[opponentColor][castleType];
-		const fromSquare = this.getSquare(this.algebraicToIndex(from, this.flipped));
-		const toSquare = this.getSquare(this.algebraicToIndex(to, this.flipped));
-		const piece = DOMUtils.$('img', fromSquare);
-		
-		this._updateBoard(fromSquare, toSquare, piece, false);
-		if (animate) this._animatePiece(piece, fromSquare);
+		const [to, from] = rookSquares;
+		if (from !== to) {
+			const fromSquare = this.getSquare(this.algebraicToIndex(from, this.flipped));
+			const toSquare = this.getSquare(this.algebraicToIndex(to, this.flipped));
+			const piece = from !== moveResult.from ? DOMUtils.$('img', fromSquare) : null;
+
+			if (piece) {
+				this._updateBoard(fromSquare, toSquare, piece, false);
+				if (animate) this._animatePiece(piece, fromSquare);
+			} else {
+				DOMUtils.empty(toSquare);
+				this._createPiece(this.algebraicToIndex(to, this.flipped), ROOK, moveResult.color);
+			}
+		}
+
 		this._playSound(Sound.CASTLE);
 		
 		return true;
@@ -1791,12 +1908,13 @@ export class Chessboard {
 		this.canvas.height = this.canvas.clientHeight;
 
 		// Draw regular arrows
-		for (const [from, to] of this.arrows) {
+		for (const [from, to, color] of this.arrows) {
 			this._drawArrow(
 				this.canvas, ctx,
 				// Fancy (not really) math to get the squares center
 				(from % 8) * squareSize + halfSquare, Math.floor(from / 8) * squareSize + halfSquare,
-				(to % 8) * squareSize + halfSquare, Math.floor(to / 8) * squareSize + halfSquare
+				(to % 8) * squareSize + halfSquare, Math.floor(to / 8) * squareSize + halfSquare,
+				this.settings.styling.annotationArrowColors[color]
 			);
 		}
 
@@ -1825,24 +1943,53 @@ export class Chessboard {
 	}
 
 	/**
-	 * Toggles the 'highlight' class on the given square element.
+	 * Toggles the highlight on the given square element. A highlight of another color is recolored.
 	 * @private
 	 * @param {HTMLElement} square The jQuery object representing the square to be highlighted.
+	 * @param {string} [color='G'] The highlight's color (G, R, B or Y).
 	 */
-	_highlight(square) {
-		DOMUtils.toggleClass(square, 'highlight');
-
+	_highlight(square, color = 'G') {
 		const index = this.getSquareIndex(square);
-		const highlightIndex = this.highlights.indexOf(index);
+		const existing = this.highlights.find(([i]) => i === index);
 		
-		if (highlightIndex !== -1) {
-			this.highlights.splice(highlightIndex, 1);
+		if (existing?.[1] === color) {
+			this.highlights = this.highlights.filter(highlight => highlight !== existing);
+		} else if (existing) {
+			existing[1] = color;
 		} else {
-			this.highlights.push(index);
+			this.highlights.push([index, color]);
 		}
+
+		this._applyHighlights();
 		
 		const squareNotation = this.indexToAlgebraic(index, this.flipped);
-		this.emit('highlight', squareNotation);
+		this.emit('highlight', squareNotation, color);
+	}
+
+	/**
+	 * Sets the highlight classes of the squares from this.highlights.
+	 * @private
+	 */
+	_applyHighlights() {
+		const colorClasses = Object.keys(this.settings.styling.annotationHighlightColors).map(color => `${Css.HIGHLIGHT}-${color}`);
+		DOMUtils.removeClass(DOMUtils.$$(`#squares-${this.id} .square`), [Css.HIGHLIGHT, ...colorClasses].join(' '));
+
+		for (const [index, color] of this.highlights) {
+			DOMUtils.addClass(this.getSquare(index), `${Css.HIGHLIGHT} ${Css.HIGHLIGHT}-${color}`);
+		}
+	}
+
+	/**
+	 * Picks the color of a right-click arrow or highlight from the modifier keys held, like Lichess:
+	 * none for green, Shift (or Ctrl) for red, Alt (or Meta) for blue, and both for yellow.
+	 * @private
+	 * @param {MouseEvent} event The mouse event.
+	 * @return {string} The color (G, R, B or Y).
+	 */
+	_getAnnotationColor(event) {
+		const red = event.shiftKey || event.ctrlKey;
+		const blue = event.altKey || event.metaKey;
+		return ['G', 'R', 'B', 'Y'][(red ? 1 : 0) + (blue ? 2 : 0)];
 	}
 
 	/**
@@ -1854,14 +2001,15 @@ export class Chessboard {
 	 * @param {number} fromY The starting y-coordinate.
 	 * @param {number} toX The ending x-coordinate.
 	 * @param {number} toY The ending y-coordinate.
+	 * @param {string} [color] The arrow's CSS color (defaults to the arrowColor styling).
 	 */
-	_drawArrow(canvas, ctx, fromX, fromY, toX, toY) {
+	_drawArrow(canvas, ctx, fromX, fromY, toX, toY, color = this.settings.styling.arrowColor) {
 		if (!canvas || !ctx) return;
 		
 		const s = canvas.width;
 		const headLength = s / 16;
 		ctx.lineWidth = s / 48;
-		ctx.fillStyle = ctx.strokeStyle = this.settings.styling.arrowColor;
+		ctx.fillStyle = ctx.strokeStyle = color;
 
 		// If the move is knight move
 		const threshold = 0.05;
@@ -2121,11 +2269,13 @@ export class Chessboard {
 			const endSquare = this.getSquareFromPosition(x, y);
 			if (!startSquare || !endSquare) return;
 
+			const color = this._getAnnotationColor(event);
 			if (startSquare.dataset.square === endSquare.dataset.square) {
-				this._highlight(startSquare);
+				this._highlight(startSquare, color);
 			} else {
-				this.createArrow(startSquare, endSquare);
+				this.createArrow(startSquare, endSquare, color);
 			}
+			this.emit('annotationschange', this.getAnnotations());
 		}
 	}
 
@@ -2319,8 +2469,12 @@ export class Chessboard {
 		if (!square) return;
 		
 		const squareIndex = this.getSquareIndex(square);
+		const hadAnnotations = this.arrows.length > 0 || this.highlights.length > 0;
 		this.clearBoardElements();
 
+		// A left click wipes the user's shapes, so listeners keeping them must forget them too
+		if (hadAnnotations) this.emit('annotationschange', this.getAnnotations());
+
 		// Handle deselection
 		if (this.selectedPiece === squareIndex) {
 			return this._deselectPiece();
@@ -2344,7 +2498,7 @@ export class Chessboard {
 			return this._deselectPiece();
 		}
 
-		DOMUtils.removeClass(DOMUtils.$$(`#squares-${this.id} .square`), `${Css.HIGHLIGHT} ${Css.DROPPABLE} ${Css.SELECTED}`);
+		DOMUtils.removeClass(DOMUtils.$$(`#squares-${this.id} .square`), `${Css.DROPPABLE} ${Css.SELECTED}`);
 		
 		const legalDestinations = this._getLegalDestinations(squareIndex);
 		if (legalDestinations.length === 0) {
@@ -2711,6 +2865,12 @@ export class Chessboard {
 			'background-image': `linear-gradient(${s.highlightColor} 100%, ${s.highlightColor} 0%)`
 		});
 
+		for (const [color, value] of Object.entries(s.annotationHighlightColors)) {
+			DOMUtils.addCSSRule(this.styleSheet, `#squares-${this.id} .highlight.highlight-${color}`, {
+				'background-image': `linear-gradient(${value} 100%, ${value} 0%)`
+			});
+		}
+
 		// Draggable styling
 		DOMUtils.addCSSRule(this.styleSheet, `#squares-${this.id} .ui-draggable`, {
 			'user-select': 'none',
@@ -174,18 +174,21 @@ export class Clock {
             return null;
         };
         
+        // Side to move in the starting position (black may move first in games set up from a FEN)
+        const startingTurn = Clock.getStartingTurn(moveTree);
+        
         // For the starting position, show initial time for both players
         if (currentNode.id === 'root') {
             const initialTime = getInitialTime();
-            Clock.displayClock('#white-clock .clock-time', initialTime, true); // White to move initially
-            Clock.displayClock('#black-clock .clock-time', initialTime, false);
+            Clock.displayClock('#white-clock .clock-time', initialTime, startingTurn === 'w');
+            Clock.displayClock('#black-clock .clock-time', initialTime, startingTurn === 'b');
             return;
         }
         
         // Find the most recent clock times for both players
         let whiteTime = null;
         let blackTime = null;
-        let nextToMove = 'w'; // Default to white
+        let nextToMove = startingTurn;
         
         // Walk backwards through the mainline to find the most recent times
         const nodeIndex = moveTree.getNodeIndex(currentNode);
@@ -236,9 +239,20 @@ export class Clock {
         // Get initial time from PGN TimeControl header
         const initialTime = Clock.getTimeControlFromPGN(pgn);
         
-        // Set both clocks to initial time, with white active
-        Clock.displayClock('#white-clock .clock-time', initialTime, true);
-        Clock.displayClock('#black-clock .clock-time', initialTime, false);
+        // Set both clocks to initial time, with the side to move active
+        const startingTurn = Clock.getStartingTurn(moveTree);
+        Clock.displayClock('#white-clock .clock-time', initialTime, startingTurn === 'w');
+        Clock.displayClock('#black-clock .clock-time', initialTime, startingTurn === 'b');
+    }
+    
+    /**
+     * Gets the side to move in the move tree's starting position
+     * @param {Object} moveTree - The move tree instance
+     * @returns {string} 'w' or 'b' (defaults to 'w' when the root has no FEN yet)
+     */
+    static getStartingTurn(moveTree) {
+        const rootFen = moveTree?.mainline?.[0]?.fen;
+        return rootFen && rootFen.split(' ')[1] === 'b' ? 'b' : 'w';
     }
     
     /**
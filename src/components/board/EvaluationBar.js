@@ -1,3 +1,5 @@
+import { WinDrawLoss } from "../../evaluation/WinDrawLoss.js";
+
 export class EvaluationBar {
     constructor() {}
 
@@ -28,5 +30,13 @@ export class EvaluationBar {
         $(".eval-text").removeClass("white-winning black-winning")
             .addClass(isWhiteWinning ? "white-winning" : "black-winning")
             .text(evalText);
+
+        // Win/draw/loss odds on hover, when the engine reported them
+        const $container = $(".eval-bar-container");
+        if (evaluation.wdl) {
+            $container.attr("title", WinDrawLoss.format(evaluation.wdl));
+        } else {
+            $container.removeAttr("title");
+        }
     }
 }
\ No newline at end of file
@@ -0,0 +1,209 @@
+/**
+ * Encodes RGBA frames as a looping animated GIF (GIF89a). Each frame gets its own 256 color
+ * palette made of its most common colors, which suits board diagrams: flat square colors,
+ * a few piece colors and their anti-aliased edges
+ */
+export class GifEncoder {
+    static maxCodes = 4096;
+
+    /**
+     * @param {number} width - Frame width in pixels
+     * @param {number} height - Frame height in pixels
+     */
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.bytes = [];
+
+        this.writeString('GIF89a');
+        this.writeShort(width);
+        this.writeShort(height);
+        this.bytes.push(0x00, 0x00, 0x00); // No global color table, background color, pixel aspect ratio
+
+        // Netscape application extension, so the animation loops forever
+        this.bytes.push(0x21, 0xff, 0x0b);
+        this.writeString('NETSCAPE2.0');
+        this.bytes.push(0x03, 0x01, 0x00, 0x00, 0x00);
+    }
+
+    /**
+     * Adds a frame
+     * @param {Uint8ClampedArray} pixels - RGBA pixels of the whole frame (e.g. ImageData.data)
+     * @param {number} delay - How long the frame is shown, in milliseconds
+     */
+    addFrame(pixels, delay) {
+        const { palette, indices } = GifEncoder.quantize(pixels);
+
+        // Graphic control extension: the delay is in hundredths of a second
+        this.bytes.push(0x21, 0xf9, 0x04, 0x00);
+        this.writeShort(Math.round(delay / 10));
+        this.bytes.push(0x00, 0x00);
+
+        // Image descriptor covering the whole frame, with a local color table of 256 colors
+        this.bytes.push(0x2c);
+        this.writeShort(0);
+        this.writeShort(0);
+        this.writeShort(this.width);
+        this.writeShort(this.height);
+        this.bytes.push(0x87);
+
+        for (let i = 0; i < 256; i++) {
+            this.bytes.push(...(palette[i] || [0, 0, 0]));
+        }
+
+        // Image data: the minimum code size, then the LZW codes in sub-blocks of up to 255 bytes
+        this.bytes.push(8);
+        const data = GifEncoder.lzwEncode(indices, 8);
+        for (let i = 0; i < data.length; i += 255) {
+            const block = data.slice(i, i + 255);
+            this.bytes.push(block.length, ...block);
+        }
+        this.bytes.push(0x00);
+    }
+
+    /**
+     * Ends the GIF
+     * @returns {Uint8Array} The GIF file
+     */
+    finish() {
+        this.bytes.push(0x3b);
+        return new Uint8Array(this.bytes);
+    }
+
+    writeShort(value) {
+        this.bytes.push(value & 0xff, (value >> 8) & 0xff);
+    }
+
+    writeString(text) {
+        for (const char of text) this.bytes.push(char.charCodeAt(0));
+    }
+
+    /**
+     * Reduces a frame to 256 colors. Colors are grouped at 5 bits per channel, the most common
+     * groups become the palette (at their average color) and every other group uses its nearest
+     * palette color
+     * @param {Uint8ClampedArray} pixels - RGBA pixels
+     * @returns {{palette: Array<Array<number>>, indices: Uint8Array}} The palette and each pixel's entry in it
+     */
+    static quantize(pixels) {
+        const pixelCount = pixels.length / 4;
+        const keys = new Uint16Array(pixelCount);
+        const counts = new Uint32Array(32768);
+        const sums = new Float64Array(32768 * 3);
+
+        for (let p = 0, i = 0; p < pixelCount; p++, i += 4) {
+            const key = ((pixels[i] >> 3) << 10) | ((pixels[i + 1] >> 3) << 5) | (pixels[i + 2] >> 3);
+            keys[p] = key;
+            counts[key]++;
+            sums[key * 3] += pixels[i];
+            sums[key * 3 + 1] += pixels[i + 1];
+            sums[key * 3 + 2] += pixels[i + 2];
+        }
+
+        const averageColor = (key) => [0, 1, 2].map(channel => Math.round(sums[key * 3 + channel] / counts[key]));
+
+        const used = [];
+        for (let key = 0; key < counts.length; key++) {
+            if (counts[key] > 0) used.push(key);
+        }
+        used.sort((a, b) => counts[b] - counts[a]);
+
+        const palette = used.slice(0, 256).map(averageColor);
+        const lookup = new Int16Array(32768).fill(-1);
+        used.slice(0, 256).forEach((key, index) => lookup[key] = index);
+
+        const indices = new Uint8Array(pixelCount);
+        for (let p = 0; p < pixelCount; p++) {
+            const key = keys[p];
+            if (lookup[key] === -1) lookup[key] = this.findNearest(palette, averageColor(key));
+            indices[p] = lookup[key];
+        }
+
+        return { palette, indices };
+    }
+
+    /**
+     * Finds the palette entry closest to a color
+     * @param {Array<Array<number>>} palette - RGB palette
+     * @param {Array<number>} color - RGB color
+     * @returns {number} Index of the nearest entry
+     */
+    static findNearest(palette, [r, g, b]) {
+        let nearest = 0;
+        let nearestDistance = Infinity;
+
+        palette.forEach(([pr, pg, pb], index) => {
+            const distance = (r - pr) ** 2 + (g - pg) ** 2 + (b - pb) ** 2;
+            if (distance < nearestDistance) {
+                nearest = index;
+                nearestDistance = distance;
+            }
+        });
+
+        return nearest;
+    }
+
+    /**
+     * Compresses palette indices with GIF's variable code size LZW
+     * @param {Uint8Array} indices - Palette index of each pixel
+     * @param {number} minCodeSize - Bits per palette index
+     * @returns {Array<number>} The packed codes
+     */
+    static lzwEncode(indices, minCodeSize) {
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        const output = [];
+
+        let codeSize = minCodeSize + 1;
+        let nextCode = endCode + 1;
+        let dictionary = new Map(); // prefix code * 256 + index -> code
+        let buffer = 0;
+        let bufferBits = 0;
+
+        const write = (code) => {
+            buffer |= code << bufferBits;
+            bufferBits += codeSize;
+            while (bufferBits >= 8) {
+                output.push(buffer & 0xff);
+                buffer >>>= 8;
+                bufferBits -= 8;
+            }
+        };
+
+        write(clearCode);
+
+        let prefix = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const index = indices[i];
+            const key = prefix * 256 + index;
+            const code = dictionary.get(key);
+
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+
+            write(prefix);
+
+            if (nextCode < this.maxCodes) {
+                // The decoder reads wider codes once the table outgrows the current size
+                if (nextCode >= (1 << codeSize)) codeSize++;
+                dictionary.set(key, nextCode++);
+            } else {
+                // The table is full: start over
+                write(clearCode);
+                dictionary = new Map();
+                codeSize = minCodeSize + 1;
+                nextCode = endCode + 1;
+            }
+
+            prefix = index;
+        }
+
+        write(prefix);
+        write(endCode);
+        if (bufferBits > 0) output.push(buffer & 0xff);
+
+        return output;
+    }
+}
@@ -0,0 +1,553 @@
+import { Chess, validateFen } from '../../../libs/chess.js';
+import { Chessboard } from './Chessboard.js';
+import { GameLoader } from '../games/GameLoader.js';
+
+const FILES = 'abcdefgh';
+
+/**
+ * Board editor for setting up a position by hand: pieces are dragged from a palette (or placed by
+ * clicking with a palette piece selected), moved around the board, and removed by dragging them
+ * off the board, right-clicking or with the eraser. The position is kept here rather than in a
+ * chess.js instance, since it can be illegal while it's being edited
+ */
+export class PositionEditor {
+    static startFen = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
+    // The king and rook squares each castling right needs
+    static castlingSquares = {
+        K: { color: 'w', king: 'e1', rook: 'h1' },
+        Q: { color: 'w', king: 'e1', rook: 'a1' },
+        k: { color: 'b', king: 'e8', rook: 'h8' },
+        q: { color: 'b', king: 'e8', rook: 'a8' }
+    };
+
+    static pieceTypes = ['k', 'q', 'r', 'b', 'n', 'p'];
+
+    constructor(chessUI) {
+        this.chessUI = chessUI;
+        this.board = null; // Created on first open, once its container is visible
+        this.chess = new Chess(); // Only used to draw the position on the editor's board
+        this.isOpen = false;
+
+        this.pieces = {}; // { square: { type, color } }
+        this.turn = 'w';
+        this.castling = { K: false, Q: false, k: false, q: false };
+        this.enPassant = '-';
+        this.halfMoves = 0;
+        this.fullMoves = 1;
+
+        this.tool = null; // Selected palette piece ('wq', ...), 'erase', or null to move pieces
+        this.drag = null; // { piece, from, startX, startY, moved, $ghost }
+    }
+
+    /**
+     * Opens the editor with the position on the main board
+     */
+    open() {
+        const currentNode = this.chessUI.moveTree.currentNode;
+        const fen = currentNode.move ? currentNode.move.after : currentNode.fen;
+
+        $('#position-editor').addClass('active');
+        this.isOpen = true;
+
+        if (!this.board) this.createBoard();
+        if (this.board.flipped !== this.chessUI.board.flipped) this.board.flip();
+
+        this.setFen(fen || PositionEditor.startFen);
+        this.selectTool(null);
+        this.update();
+
+        $(document).off('keydown.positionEditor').on('keydown.positionEditor', (e) => {
+            if (e.key === 'Escape') this.close();
+        });
+    }
+
+    close() {
+        this.cancelDrag();
+        this.isOpen = false;
+        $('#position-editor').removeClass('active');
+        $(document).off('keydown.positionEditor');
+    }
+
+    /**
+     * Builds the editor's markup and board, and wires up its controls
+     */
+    createBoard() {
+        const castlingOptions = [['K', 'White O-O'], ['Q', 'White O-O-O'], ['k', 'Black O-O'], ['q', 'Black O-O-O']]
+            .map(([right, label]) => `<label><input type="checkbox" data-right="${right}"> ${label}</label>`)
+            .join('');
+
+        $('#position-editor').html(`
+            <div class="position-editor-content">
+                <div class="position-editor-header">
+                    <h2>Set up position</h2>
+                    <button class="position-editor-close" id="editor-close" title="Close">
+                        <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 384 512">
+                            <path d="M342.6 150.6c12.5-12.5 12.5-32.8 0-45.3s-32.8-12.5-45.3 0L192 210.7 86.6 105.4c-12.5-12.5-32.8-12.5-45.3 0s-12.5 32.8 0 45.3L146.7 256 41.4 361.4c-12.5 12.5-12.5 32.8 0 45.3s32.8 12.5 45.3 0L192 301.3 297.4 406.6c12.5 12.5 32.8 12.5 45.3 0s12.5-32.8 0-45.3L237.3 256 342.6 150.6z" fill="currentColor"/>
+                        </svg>
+                    </button>
+                </div>
+                <div class="position-editor-body">
+                    <div class="position-editor-board-area">
+                        <div class="position-editor-palette" data-color="b"></div>
+                        <div class="position-editor-board"><div id="position-editor-board"></div></div>
+                        <div class="position-editor-palette" data-color="w"></div>
+                    </div>
+                    <div class="position-editor-options">
+                        <div class="learning-actions-buttons">
+                            <button class="learning-action-btn" id="editor-start">Starting position</button>
+                            <button class="learning-action-btn" id="editor-clear">Clear board</button>
+                            <button class="learning-action-btn" id="editor-flip">Flip board</button>
+                        </div>
+                        <label class="practice-option">Side to move
+                            <select id="editor-turn">
+                                <option value="w">White</option>
+                                <option value="b">Black</option>
+                            </select>
+                        </label>
+                        <div class="position-editor-castling">${castlingOptions}</div>
+                        <label class="practice-option">En passant
+                            <select id="editor-en-passant"></select>
+                        </label>
+                        <label class="practice-option">Halfmove clock
+                            <input type="number" id="editor-half-moves" min="0">
+                        </label>
+                        <label class="practice-option">Move number
+                            <input type="number" id="editor-full-moves" min="1">
+                        </label>
+                        <input type="text" class="position-editor-fen" id="editor-fen" spellcheck="false" autocomplete="off">
+                        <div class="position-editor-error" id="editor-error"></div>
+                        <div class="learning-actions-buttons">
+                            <button class="learning-action-btn primary" id="editor-analyse">Analyse</button>
+                            <button class="learning-action-btn" id="editor-copy-fen">Copy FEN</button>
+                            <button class="learning-action-btn" id="editor-share">Share</button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `);
+
+        const mainBoard = this.chessUI.board;
+        this.board = new Chessboard('#position-editor-board', {
+            theme: {
+                boardDarkSquareColor: mainBoard.getOption('theme.boardDarkSquareColor'),
+                boardLightSquareColor: mainBoard.getOption('theme.boardLightSquareColor'),
+                pieceFolderName: mainBoard.getOption('theme.pieceFolderName')
+            },
+            showBoardLabels: mainBoard.getOption('showBoardLabels'),
+            audioEnabled: false,
+            isInteractive: false
+        }, this.chess);
+
+        // Palettes
+        $('.position-editor-palette').each((_, palette) => {
+            const color = $(palette).data('color');
+            const pieces = PositionEditor.pieceTypes.map(type => `
+                <div class="position-editor-tool" data-tool="${color}${type}">
+                    <img src="${this.board.getPieceUrl(color, type)}" alt="${color}${type}" draggable="false">
+                </div>
+            `).join('');
+            const eraser = color === 'w' ? `
+                <div class="position-editor-tool" data-tool="erase" title="Erase">
+                    <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 448 512">
+                        <path d="M135.2 17.7L128 32H32C14.3 32 0 46.3 0 64S14.3 96 32 96H416c17.7 0 32-14.3 32-32s-14.3-32-32-32H320l-7.2-14.3C307.4 6.8 296.3 0 284.2 0H163.8c-12.1 0-23.2 6.8-28.6 17.7zM416 128H32L53.2 467c1.6 25.3 22.6 45 47.9 45H346.9c25.3 0 46.3-19.7 47.9-45L416 128z" fill="currentColor"/>
+                    </svg>
+                </div>
+            ` : '';
+            $(palette).html(pieces + eraser);
+        });
+
+        $('.position-editor-palette').on('pointerdown', '.position-editor-tool', (e) => this.handleToolPointerDown(e));
+        $('.position-editor-board')
+            .on('pointerdown', (e) => this.handleBoardPointerDown(e))
+            .on('contextmenu', (e) => e.preventDefault());
+
+        // Position controls
+        $('#editor-start').on('click', () => {
+            this.setFen(PositionEditor.startFen);
+            this.update();
+        });
+        $('#editor-clear').on('click', () => {
+            this.pieces = {};
+            this.update();
+        });
+        $('#editor-flip').on('click', () => {
+            this.board.flip();
+            this.update();
+        });
+        $('#editor-turn').on('change', (e) => {
+            this.turn = e.target.value;
+            this.update();
+        });
+        $('.position-editor-castling input').on('change', (e) => {
+            this.castling[$(e.target).data('right')] = e.target.checked;
+            this.update();
+        });
+        $('#editor-en-passant').on('change', (e) => {
+            this.enPassant = e.target.value;
+            this.update();
+        });
+        $('#editor-half-moves').on('change', (e) => {
+            this.halfMoves = Math.max(0, parseInt(e.target.value) || 0);
+            this.update();
+        });
+        $('#editor-full-moves').on('change', (e) => {
+            this.fullMoves = Math.max(1, parseInt(e.target.value) || 1);
+            this.update();
+        });
+        $('#editor-fen').on('change', (e) => {
+            if (this.setFen(e.target.value)) {
+                this.update();
+            } else {
+                $('#editor-error').text('That FEN could not be read');
+            }
+        });
+
+        // Actions
+        $('#editor-close').on('click', () => this.close());
+        $('#editor-analyse').on('click', () => this.analyse());
+        $('#editor-copy-fen').on('click', () => this.copyFen());
+        $('#editor-share').on('click', () => this.share());
+
+        // Closing by clicking outside the editor
+        $('#position-editor').on('click', (e) => {
+            if (e.target === e.currentTarget) this.close();
+        });
+    }
+
+    /**
+     * Reads a FEN into the editor. Missing trailing fields get their usual defaults
+     * @param {string} fen - The FEN to read
+     * @returns {boolean} - False if its piece placement can't be read
+     */
+    setFen(fen) {
+        const tokens = fen.trim().split(/\s+/);
+        const rows = tokens[0]?.split('/');
+        if (rows?.length !== 8) return false;
+
+        const pieces = {};
+        for (let rank = 0; rank < 8; rank++) {
+            let file = 0;
+            for (const char of rows[rank]) {
+                if (/[1-8]/.test(char)) {
+                    file += parseInt(char);
+                } else if (/[pnbrqk]/i.test(char) && file < 8) {
+                    pieces[FILES[file] + (8 - rank)] = { type: char.toLowerCase(), color: char === char.toUpperCase() ? 'w' : 'b' };
+                    file++;
+                } else {
+                    return false;
+                }
+            }
+            if (file !== 8) return false;
+        }
+
+        const castling = tokens[2] || '-';
+        this.pieces = pieces;
+        this.turn = tokens[1] === 'b' ? 'b' : 'w';
+        this.castling = { K: castling.includes('K'), Q: castling.includes('Q'), k: castling.includes('k'), q: castling.includes('q') };
+        this.enPassant = /^[a-h][36]$/.test(tokens[3]) ? tokens[3] : '-';
+        this.halfMoves = Math.max(0, parseInt(tokens[4]) || 0);
+        this.fullMoves = Math.max(1, parseInt(tokens[5]) || 1);
+        return true;
+    }
+
+    /**
+     * Writes the edited position as a FEN
+     * @returns {string} - The FEN
+     */
+    getFen() {
+        const rows = [];
+        for (let rank = 8; rank >= 1; rank--) {
+            let row = '';
+            let empty = 0;
+            for (const file of FILES) {
+                const piece = this.pieces[file + rank];
+                if (!piece) {
+                    empty++;
+                    continue;
+                }
+                if (empty) row += empty;
+                row += piece.color === 'w' ? piece.type.toUpperCase() : piece.type;
+                empty = 0;
+            }
+            rows.push(empty ? row + empty : row);
+        }
+
+        const castling = Object.keys(this.castling).filter(right => this.castling[right]).join('') || '-';
+        return `${rows.join('/')} ${this.turn} ${castling} ${this.enPassant} ${this.halfMoves} ${this.fullMoves}`;
+    }
+
+    /**
+     * Checks the edited position can be played from
+     * @returns {string|null} - Why it can't, or null if it's legal
+     */
+    validate() {
+        const fen = this.getFen();
+
+        const { ok, error } = validateFen(fen);
+        if (!ok) {
+            const reason = error.replace('Invalid FEN: ', '');
+            return reason.charAt(0).toUpperCase() + reason.slice(1);
+        }
+
+        for (const [color, name] of [['w', 'White'], ['b', 'Black']]) {
+            const pieces = Object.values(this.pieces).filter(piece => piece.color === color);
+            if (pieces.filter(piece => piece.type === 'p').length > 8) return `${name} has more than 8 pawns`;
+            if (pieces.length > 16) return `${name} has more than 16 pieces`;
+        }
+
+        // The side that just moved can't have left its king in check
+        const opponent = this.turn === 'w' ? 'b' : 'w';
+        const opponentKing = this.findKing(opponent);
+        if (new Chess(fen).isAttacked(opponentKing, this.turn)) {
+            return `${opponent === 'w' ? 'White' : 'Black'} is in check, but it's ${this.turn === 'w' ? 'White' : 'Black'} to move`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Updates the board and controls after an edit, dropping castling rights and an en passant
+     * square the position no longer allows
+     */
+    update() {
+        for (const right of Object.keys(this.castling)) {
+            if (!this.canCastle(right)) this.castling[right] = false;
+        }
+
+        const enPassantSquares = this.getEnPassantSquares();
+        if (!enPassantSquares.includes(this.enPassant)) this.enPassant = '-';
+
+        try {
+            this.chess.load(this.getFen(), { skipValidation: true });
+        } catch (e) {
+            this.chess.clear();
+        }
+        this.board.refresh();
+
+        const fen = this.getFen();
+        const error = this.validate();
+
+        $('#editor-turn').val(this.turn);
+        $('.position-editor-castling input').each((_, input) => {
+            const right = $(input).data('right');
+            input.checked = this.castling[right];
+            input.disabled = !this.canCastle(right);
+        });
+        $('#editor-en-passant').html(['-', ...enPassantSquares]
+            .map(square => `<option value="${square}">${square === '-' ? 'None' : square}</option>`)
+            .join('')).val(this.enPassant);
+        $('#editor-half-moves').val(this.halfMoves);
+        $('#editor-full-moves').val(this.fullMoves);
+        $('#editor-fen').val(fen);
+        $('#editor-error').text(error || '');
+        $('#editor-analyse, #editor-share').prop('disabled', Boolean(error));
+    }
+
+    /**
+     * Whether the king and rook a castling right needs are on their starting squares
+     * @param {string} right - 'K', 'Q', 'k' or 'q'
+     * @returns {boolean}
+     */
+    canCastle(right) {
+        const { color, king, rook } = PositionEditor.castlingSquares[right];
+        return this.pieces[king]?.type === 'k' && this.pieces[king].color === color &&
+            this.pieces[rook]?.type === 'r' && this.pieces[rook].color === color;
+    }
+
+    /**
+     * Gets the squares a pawn could just have double-pushed past
+     * @returns {Array<string>} - e.g. ['d6'] with White to move after ...d7-d5
+     */
+    getEnPassantSquares() {
+        const pusher = this.turn === 'w' ? 'b' : 'w';
+        const [pawnRank, passedRank, startRank] = this.turn === 'w' ? [5, 6, 7] : [4, 3, 2];
+
+        return [...FILES]
+            .filter(file => {
+                const pawn = this.pieces[file + pawnRank];
+                return pawn?.type === 'p' && pawn.color === pusher &&
+                    !this.pieces[file + passedRank] && !this.pieces[file + startRank];
+            })
+            .map(file => file + passedRank);
+    }
+
+    findKing(color) {
+        return Object.keys(this.pieces).find(square => this.pieces[square].type === 'k' && this.pieces[square].color === color);
+    }
+
+    /**
+     * Puts a piece on a square. There can only be one king of each color, so placing a king
+     * moves it instead
+     * @param {Object} piece - { type, color }
+     * @param {string} square - e.g. 'e4'
+     */
+    place(piece, square) {
+        if (piece.type === 'k') {
+            const king = this.findKing(piece.color);
+            if (king) delete this.pieces[king];
+        }
+        this.pieces[square] = { type: piece.type, color: piece.color };
+    }
+
+    /**
+     * Selects a palette tool, or goes back to moving pieces if it's already selected
+     * @param {string|null} tool - e.g. 'wq', or 'erase'
+     */
+    selectTool(tool) {
+        this.tool = tool && tool !== this.tool ? tool : null;
+        $('.position-editor-tool').removeClass('selected');
+        if (this.tool) $(`.position-editor-tool[data-tool="${this.tool}"]`).addClass('selected');
+        $('.position-editor-board').toggleClass('placing', Boolean(this.tool));
+    }
+
+    getSquareAt(x, y) {
+        const square = this.board.getSquareFromPosition(x, y);
+        return square ? this.board.indexToAlgebraic(this.board.getSquareIndex(square), this.board.flipped) : null;
+    }
+
+    handleBoardPointerDown(e) {
+        const square = this.getSquareAt(e.clientX, e.clientY);
+        if (!square) return;
+        e.preventDefault();
+
+        // Right click removes a piece whichever tool is selected
+        if (e.button === 2 || this.tool === 'erase') {
+            delete this.pieces[square];
+            this.update();
+            return;
+        }
+
+        if (this.tool) {
+            const piece = { color: this.tool[0], type: this.tool[1] };
+            const current = this.pieces[square];
+            if (current?.type === piece.type && current.color === piece.color) {
+                delete this.pieces[square];
+            } else {
+                this.place(piece, square);
+            }
+            this.update();
+            return;
+        }
+
+        if (this.pieces[square]) this.startDrag(this.pieces[square], square, e);
+    }
+
+    handleToolPointerDown(e) {
+        e.preventDefault();
+        const tool = $(e.currentTarget).data('tool');
+
+        if (tool === 'erase') {
+            this.selectTool(tool);
+            return;
+        }
+
+        this.startDrag({ color: tool[0], type: tool[1] }, null, e);
+    }
+
+    /**
+     * Starts dragging a piece from the board or the palette
+     * @param {Object} piece - { type, color }
+     * @param {string|null} from - The square it's dragged from, or null from the palette
+     * @param {PointerEvent} e - The pointerdown event
+     */
+    startDrag(piece, from, e) {
+        const size = this.board.squareSize;
+        const $ghost = $('<img class="position-editor-ghost" draggable="false">')
+            .attr('src', this.board.getPieceUrl(piece.color, piece.type))
+            .css({ width: size, height: size, left: e.clientX - size / 2, top: e.clientY - size / 2 })
+            .appendTo('body');
+
+        this.drag = { piece, from, startX: e.clientX, startY: e.clientY, moved: false, $ghost };
+
+        $(document)
+            .on('pointermove.positionEditorDrag', (event) => this.moveDrag(event))
+            .on('pointerup.positionEditorDrag pointercancel.positionEditorDrag', (event) => this.endDrag(event));
+    }
+
+    moveDrag(e) {
+        const drag = this.drag;
+        if (!drag) return;
+
+        if (!drag.moved && Math.hypot(e.clientX - drag.startX, e.clientY - drag.startY) > 4) {
+            drag.moved = true;
+            drag.$ghost.addClass('visible');
+
+            // Lift the piece off its square while it's being dragged
+            if (drag.from) {
+                const index = this.board.algebraicToIndex(drag.from, this.board.flipped);
+                $(this.board.getSquare(index)).find('img').css('visibility', 'hidden');
+            }
+        }
+
+        const size = this.board.squareSize;
+        drag.$ghost.css({ left: e.clientX - size / 2, top: e.clientY - size / 2 });
+    }
+
+    endDrag(e) {
+        const drag = this.drag;
+        this.cancelDrag();
+        if (!drag) return;
+
+        // A palette piece clicked rather than dragged is selected for placing
+        if (!drag.moved) {
+            if (!drag.from) this.selectTool(drag.piece.color + drag.piece.type);
+            return;
+        }
+
+        // Pieces dropped off the board are removed
+        const target = e.type === 'pointerup' ? this.getSquareAt(e.clientX, e.clientY) : null;
+        if (drag.from) delete this.pieces[drag.from];
+        if (target) this.place(drag.piece, target);
+        this.update();
+    }
+
+    cancelDrag() {
+        $(document).off('.positionEditorDrag');
+        this.drag?.$ghost.remove();
+        this.drag = null;
+    }
+
+    /**
+     * Opens the position on the main board as a new game, with the engine analysing it
+     */
+    analyse() {
+        if (this.validate() || !this.chessUI.canLoadGame()) return;
+
+        const game = GameLoader.loadGameFromFEN(this.getFen());
+        this.close();
+        window.dispatchEvent(new CustomEvent('loadPGNGame', { detail: game }));
+    }
+
+    copyFen() {
+        navigator.clipboard.writeText(this.getFen()).then(() => {
+            this.chessUI.moveNavigator.showNotification('FEN copied to clipboard!');
+        }).catch(() => {
+            this.chessUI.moveNavigator.showNotification('Failed to copy FEN');
+        });
+    }
+
+    /**
+     * Shares a link that opens the position for analysis
+     */
+    share() {
+        if (this.validate()) return;
+
+        const fen = this.getFen();
+        const url = `${window.location.origin}${window.location.pathname}?fen=${encodeURIComponent(fen)}`;
+
+        if (navigator.share) {
+            navigator.share({
+                title: 'Chess Position',
+                text: `Check out this chess position: ${fen}`,
+                url
+            }).catch(console.error);
+        } else {
+            navigator.clipboard.writeText(url).then(() => {
+                this.chessUI.moveNavigator.showNotification('Link copied to clipboard!');
+            }).catch(() => {
+                this.chessUI.moveNavigator.showNotification('Failed to copy link');
+            });
+        }
+    }
+}
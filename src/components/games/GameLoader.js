@@ -1,3 +1,5 @@
+import { validateFen } from '../../../libs/chess.js';
+
 export const Platform = {
     CHESSCOM: 'chesscom',
     LICHESS: 'lichess',
@@ -19,6 +21,64 @@ export class GameLoader {
         return data;
     }
 
+    /**
+     * Splits a PGN file (e.g. a tournament export) into one PGN string per game.
+     * A game ends at its result token, or where a tag pair follows movetext;
+     * brace comments are skipped so tags or results quoted inside them don't split a game
+     * @param {string} pgn - The PGN file contents
+     * @returns {Array<string>} - The games' PGNs, in file order
+     */
+    static splitPGN(pgn) {
+        const games = [];
+        let lines = [];
+        let inMovetext = false;
+        let inComment = false;
+        let ended = false;
+
+        const finishGame = () => {
+            const game = lines.join('\n').trim();
+            if (game) games.push(game);
+
+            lines = [];
+            inMovetext = false;
+            ended = false;
+        };
+
+        for (const line of pgn.replace(/^\uFEFF/, '').split(/\r?\n/)) {
+            const trimmed = line.trim();
+            const isTag = !inComment && trimmed.startsWith('[');
+
+            if (trimmed && !inComment && (ended || (inMovetext && isTag))) {
+                finishGame();
+            }
+            lines.push(line);
+
+            // Tag pairs, blank lines and escaped lines ("%...") aren't movetext
+            if (!trimmed || isTag || (!inComment && trimmed.startsWith('%'))) continue;
+            inMovetext = true;
+
+            // Keep the text outside comments to find the last movetext token
+            let text = '';
+            for (const char of line) {
+                if (inComment) {
+                    if (char === '}') inComment = false;
+                } else if (char === '{') {
+                    inComment = true;
+                } else if (char === ';') {
+                    break;
+                } else {
+                    text += char;
+                }
+            }
+
+            const tokens = text.trim().split(/\s+/);
+            ended = !inComment && /^(1-0|0-1|1\/2-1\/2|\*)$/.test(tokens[tokens.length - 1]);
+        }
+        finishGame();
+
+        return games;
+    }
+
     static async fetchSingleLichessGame(gameId) {
         try {
             const response = await fetch(`https://lichess.org/game/export/${gameId}`, {
@@ -193,4 +253,17 @@ export class GameLoader {
             },
         }
     }
-}
\ No newline at end of file
+
+    /**
+     * Builds a game that starts from a set-up position and has no moves yet
+     * @param {string} fen - The position's FEN
+     * @returns {Object|null} - game object facing the side to move, or null if the FEN is invalid
+     */
+    static loadGameFromFEN(fen) {
+        if (!validateFen(fen).ok) return null;
+
+        const game = this.loadGameFromPGN(`[SetUp "1"]\n[FEN "${fen}"]\n\n*`);
+        game.username = fen.split(' ')[1] === 'b' ? game.black.name : game.white.name;
+        return game;
+    }
+}
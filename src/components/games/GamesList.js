@@ -1,4 +1,6 @@
-import { Platform } from "./GameLoader.js";
+import { GameLoader, Platform } from "./GameLoader.js";
+import { BatchAnalysis } from "../../evaluation/BatchAnalysis.js";
+import { PlayerReport } from "../report/PlayerReport.js";
 
 export const TimeControl = {
     ALL: 'all',
@@ -46,6 +48,8 @@ export class GamesList {
         this.loadMoreSize = 30;
 
         this.profilePictureCache = new Map();
+        this.analysisSettingsProvider = null;
+        this.report = null;
         this.activeFilters = {
             result: Result.ALL,
             timeControl: TimeControl.ALL,
@@ -178,11 +182,15 @@ export class GamesList {
 
     loadPGNGame(pgnText) {
         try {
-            this.setCookie(this.cookieNames[Platform.PGN], pgnText);
-            const gameData = this.processPGNGame(pgnText);
-            this.allGames = [gameData];
+            this.savePGN(pgnText);
+
+            // A file can hold many games (e.g. a tournament export), each gets its own list entry
+            const games = GameLoader.splitPGN(pgnText);
+            if (!games.length) throw new Error('No games found in PGN');
+
+            this.allGames = games.map((gamePgn, index) => this.processPGNGame(gamePgn, index));
             // For PGN games, use white player as the username since result is from white's perspective
-            this.currentUsername = gameData.white;
+            this.currentUsername = this.allGames[0].white;
             this.displayedGames = [];
             this.filterAndRenderGames(true);
         } catch (error) {
@@ -191,11 +199,23 @@ export class GamesList {
         }
     }
 
-    processPGNGame(pgnText) {
+    savePGN(pgnText) {
+        const cookieName = this.cookieNames[Platform.PGN];
+
+        // Cookies only hold about 4KB, so whole PGN files are kept in localStorage instead
+        if (pgnText.length > 3500) {
+            this.setCookie(cookieName, '', -1);
+            localStorage.setItem(cookieName, pgnText);
+        } else {
+            this.setCookie(cookieName, pgnText);
+        }
+    }
+
+    processPGNGame(pgnText, index = 0) {
         const pgnData = this.parsePGN(pgnText);
         
-        // Generate a unique game ID based on content
-        const gameId = this.generatePGNGameId(pgnText);
+        // Generate a unique game ID based on content (the index keeps duplicate games apart)
+        const gameId = `${this.generatePGNGameId(pgnText)}-${index}`;
         
         // Extract player names
         const white = pgnData.white || 'White';
@@ -217,8 +237,10 @@ export class GamesList {
         // Determine if it's rated (default to true for PGN)
         const rated = pgnData.rated !== 'false';
         
-        // Use current timestamp for end time
-        const endTime = Math.floor(Date.now() / 1000);
+        // Use the game date for end time when it's known, otherwise the current timestamp
+        const date = this.formatPGNDate(pgnData.date);
+        const parsedDate = Date.parse(pgnData.date?.replace(/\./g, '-'));
+        const endTime = Math.floor((isNaN(parsedDate) ? Date.now() : parsedDate) / 1000);
         
         return {
             gameId,
@@ -227,6 +249,9 @@ export class GamesList {
             black,
             blackRating,
             result,
+            resultText: pgnData.result || '*',
+            date,
+            event: pgnData.event && pgnData.event !== '?' ? pgnData.event : '',
             time: 0, // PGN doesn't typically have time info
             timeControl,
             accuracy: '-', // PGN doesn't have accuracy info
@@ -238,6 +263,21 @@ export class GamesList {
         };
     }
 
+    formatPGNDate(date) {
+        if (!date) return '';
+
+        // Drop unknown parts ("2024.??.??" -> "2024")
+        const parts = date.split('.');
+        const unknown = parts.findIndex(part => part.includes('?'));
+        return (unknown === -1 ? parts : parts.slice(0, unknown)).join('.');
+    }
+
+    escapeHTML(text) {
+        return String(text).replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+    }
+
     generatePGNGameId(pgnText) {
         // Generate a simple hash of the PGN text
         let hash = 0;
@@ -497,7 +537,8 @@ export class GamesList {
             isWhite,
             rated: game.rated,
             endTime: game.end_time,
-            platform: Platform.CHESSCOM
+            platform: Platform.CHESSCOM,
+            pgn: game.pgn
         };
     }
 
@@ -525,7 +566,8 @@ export class GamesList {
             isWhite,
             rated: game.rated,
             endTime: new Date(game.lastMoveAt || game.createdAt).getTime() / 1000,
-            platform: Platform.LICHESS
+            platform: Platform.LICHESS,
+            pgn: game.pgn
         };
     }
 
@@ -662,6 +704,7 @@ export class GamesList {
         }
         
         this.$container.html(games.map(game => this.createGameItem(game)).join(''));
+        this.addBatchAnalysisButton(totalCount);
         this.addLoadMoreButton(games.length, totalCount);
         this.loadProfilePictures();
         this.bindPGNGameEvents();
@@ -680,11 +723,93 @@ export class GamesList {
         this.bindPGNGameEvents();
     }
 
+    setAnalysisSettingsProvider(provider) {
+        this.analysisSettingsProvider = provider;
+    }
+
+    addBatchAnalysisButton(totalCount) {
+        if (totalCount < 2) return;
+
+        // Every game matching the filters is analysed, not only the ones shown so far
+        this.$container.prepend(`<li class="load-more-container batch-analysis-container">
+            <button class="load-more-button batch-analysis-button">Analyze all ${totalCount} games</button>
+        </li>`);
+        this.$container.find('.batch-analysis-button').on('click', () => this.startBatchAnalysis());
+    }
+
+    async startBatchAnalysis() {
+        if (BatchAnalysis.running) return;
+
+        const games = this.allGames
+            .filter(game => game.pgn && this.matchesFilters(game))
+            .map(game => ({
+                ...GameLoader.loadGameFromPGN(game.pgn),
+                date: game.date || new Date(game.endTime * 1000).toISOString().split('T')[0].replace(/-/g, '.'),
+                event: game.event || ''
+            }));
+        if (!games.length) return;
+
+        this.$container.html(`
+            <li class="game-item loading-item batch-progress-item">
+                <div class="loading-container">
+                    <span class="loading-text batch-progress-text">Analyzing game 1 of ${games.length}...</span>
+                </div>
+                <div class="analysis-progress">
+                    <div class="analysis-progress-bar batch-progress-bar"></div>
+                </div>
+                <button class="pgn-load-button batch-cancel-button">Cancel</button>
+            </li>
+        `);
+        this.$container.find('.batch-cancel-button').on('click', () => BatchAnalysis.cancel());
+
+        const settings = this.analysisSettingsProvider ? this.analysisSettingsProvider() : {};
+        const results = await BatchAnalysis.run(games, settings, ({ index, total, progress }) => {
+            const overall = ((index + progress / 100) / total) * 100;
+            this.$container.find('.batch-progress-text').text(`Analyzing game ${index + 1} of ${total}... ${Math.round(progress)}%`);
+            this.$container.find('.batch-progress-bar').css('width', `${overall}%`);
+        });
+
+        if (BatchAnalysis.cancelled && !results.length) {
+            this.displayedGames = [];
+            this.filterAndRenderGames(true);
+            return;
+        }
+
+        this.report = PlayerReport.build(results);
+        this.showReport();
+    }
+
+    showReport() {
+        if (!this.report) return;
+
+        this.$container.html(`
+            <li class="batch-report-container">
+                <div class="batch-report-actions">
+                    <button class="pgn-load-button batch-report-back">Back to games</button>
+                    <button class="pgn-load-button batch-report-export" data-format="json">Export JSON</button>
+                    <button class="pgn-load-button batch-report-export" data-format="csv">Export CSV</button>
+                </div>
+                <p class="batch-report-summary">${this.report.games} ${this.report.games === 1 ? 'game' : 'games'} analyzed</p>
+                <div class="batch-report-content"></div>
+            </li>
+        `);
+
+        PlayerReport.render(this.$container.find('.batch-report-content'), this.report);
+
+        this.$container.find('.batch-report-export').on('click', (e) => {
+            PlayerReport.download(this.report, $(e.currentTarget).data('format'));
+        });
+        this.$container.find('.batch-report-back').on('click', () => {
+            this.displayedGames = [];
+            this.filterAndRenderGames(true);
+        });
+    }
+
     addLoadMoreButton(currentCount, totalCount) {
         this.$container.find('.load-more-container').remove();
         
         let buttonHtml = '';
-        if (this.currentPlatform === Platform.CHESSCOM) {
+        if (this.currentPlatform === Platform.CHESSCOM || this.currentPlatform === Platform.PGN) {
             if (currentCount < totalCount) {
                 buttonHtml = `<li class="load-more-container">
                     <button class="load-more-button">Load More Games (${currentCount}/${totalCount})</button>
@@ -737,22 +862,30 @@ export class GamesList {
             ? `<div class="profile-picture-placeholder"></div>`
             : `<img class="profile-picture" src="./assets/placeholders/pawn_400.png" data-username="${opponent.name}">`;
 
-        // Handle PGN games differently - they load directly without URL params
+        // Handle PGN games differently - they show both players and load directly without URL params
         const gameItemContent = game.platform === Platform.PGN ? `
-            <div class="game-item pgn-game-item" data-pgn="${encodeURIComponent(game.pgn)}">
+            <div class="game-item pgn-game-item" data-game-id="${game.gameId}">
                 <div class="left-side">
-                    <div class="opponent">
-                        ${profilePicture}
-                        <h4 class="name">${opponent.name}</h4>
-                        <p class="rating">${opponent.rating}</p>
+                    <div class="pgn-players">
+                        <div class="pgn-player">
+                            <span class="pgn-piece white"></span>
+                            <h4 class="name">${this.escapeHTML(game.white)}</h4>
+                            <p class="rating">${game.whiteRating || ''}</p>
+                        </div>
+                        <div class="pgn-player">
+                            <span class="pgn-piece black"></span>
+                            <h4 class="name">${this.escapeHTML(game.black)}</h4>
+                            <p class="rating">${game.blackRating || ''}</p>
+                        </div>
                     </div>
                 </div>
                 <div class="right-side">
-                    <div class="accuracy">${displayAccuracy}</div>
-                    <div class="game-time">${timeIcons[game.timeControl] || timeIcons.other}</div>
-                    <div class="result ${game.result}">
-                        ${resultIcons[game.result]}
+                    <div class="pgn-game-details">
+                        <span class="pgn-game-event">${this.escapeHTML(game.event)}</span>
+                        <span class="pgn-game-date">${this.escapeHTML(game.date)}</span>
                     </div>
+                    <div class="game-time">${timeIcons[game.timeControl] || timeIcons.other}</div>
+                    <div class="pgn-result ${game.result}">${this.escapeHTML(game.resultText)}</div>
                 </div>
             </div>
         ` : `
@@ -779,17 +912,20 @@ export class GamesList {
 
     bindPGNGameEvents() {
         // Bind click events for PGN games
-        this.$container.find('.pgn-game-item').off('click').on('click', function(e) {
+        this.$container.find('.pgn-game-item').off('click').on('click', (e) => {
             e.preventDefault();
-            const pgn = decodeURIComponent($(this).data('pgn'));
-            
+            const $item = $(e.currentTarget);
+            const game = this.allGames.find(game => game.gameId === $item.attr('data-game-id'));
+            if (!game) return;
+
+            this.$container.find('.pgn-game-item').removeClass('selected');
+            $item.addClass('selected');
+
             // Load the PGN game directly using the existing game loader
-            import('./GameLoader.js').then(({ GameLoader }) => {
-                const gameData = GameLoader.loadGameFromPGN(pgn);
-                
-                // Trigger a custom event to load the game
-                window.dispatchEvent(new CustomEvent('loadPGNGame', { detail: gameData }));
-            });
+            const gameData = GameLoader.loadGameFromPGN(game.pgn);
+
+            // Trigger a custom event to load the game
+            window.dispatchEvent(new CustomEvent('loadPGNGame', { detail: gameData }));
         });
     }
 
@@ -1,6 +1,8 @@
 import { Chess } from "../../../libs/chess.js";
 import { Classification } from "../../classification/MoveClassifier.js";
 import { MoveEvaluator } from "../../evaluation/MoveEvaluator.js";
+import { LiveAnalysis } from "../../evaluation/LiveAnalysis.js";
+import { WinDrawLoss } from "../../evaluation/WinDrawLoss.js";
 import { EvaluationBar } from "../board/EvaluationBar.js";
 
 export const IgnoredSuggestionTypes = [
@@ -12,11 +14,26 @@ export const IgnoredSuggestionTypes = [
 ];
 
 export class EngineLines {
+    static liveToggleCallback = null;
+
+    static setLiveToggleCallback(callback) {
+        this.liveToggleCallback = callback;
+    }
+
     static updateEngineLines(node, moveTree, handleTreeNodeClick, queueMoveForEvaluation) {
         const $engineLines = $(".engine-lines").empty().addClass("collapsed");
 
+        // Handle root node with pre-computed evaluation (only the standard start position has one)
+        if (node?.id === 'root' && (!node.fen || node.fen === MoveEvaluator.startPositionEvaluation.fen)) {
+            node.evaluatedMove = MoveEvaluator.startPositionEvaluation;
+            node.fen = MoveEvaluator.startPositionEvaluation.fen;
+        }
+
+        // Live analysis lines replace the stored ones once its first depth completes
+        const evaluation = (node && LiveAnalysis.getEvaluation(node.fen)) || node?.evaluatedMove;
+
         // Create title element
-        const titleElement = this.createEngineTitleElement(node);
+        const titleElement = this.createEngineTitleElement(node, evaluation);
         $engineLines.append(titleElement);
 
         // Handle missing node
@@ -25,12 +42,6 @@ export class EngineLines {
             return;
         }
 
-        // Handle root node with pre-computed evaluation
-        if (node.id === 'root') {
-            node.evaluatedMove = MoveEvaluator.startPositionEvaluation;
-            node.fen = "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1";
-        }
-
         // Handle game-over position
         const chess = new Chess(node.fen);
         if (chess.isGameOver()) {
@@ -39,17 +50,32 @@ export class EngineLines {
         }
 
         // Handle missing evaluation data
-        if (!node.evaluatedMove || !node.evaluatedMove.lines) {
+        if (!evaluation || !evaluation.lines) {
             this.showEngineWaitingMessage("Analyzing position...", true);
             return;
         }
 
         // Display evaluation lines
-        this.displayEngineLines(node, moveTree, handleTreeNodeClick, queueMoveForEvaluation);
+        this.displayEngineLines(node, evaluation, moveTree, handleTreeNodeClick, queueMoveForEvaluation);
+    }
+
+    /**
+     * Re-renders the engine lines without collapsing them (used while live analysis streams new depths)
+     */
+    static refreshEngineLines(node, moveTree, handleTreeNodeClick, queueMoveForEvaluation) {
+        const wasExpanded = !$(".engine-lines").hasClass("collapsed");
+
+        this.updateEngineLines(node, moveTree, handleTreeNodeClick, queueMoveForEvaluation);
+
+        if (wasExpanded) {
+            $(".engine-lines").removeClass("collapsed")
+                .find(".engine-lines-container, .engine-lines-waiting").show();
+            $(".engine-lines-collapse-button").html('<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 512 512"><!--!Font Awesome Free 6.7.2 by @fontawesome - https://fontawesome.com License - https://fontawesome.com/license/free Copyright 2025 Fonticons, Inc.--><path d="M233.4 105.4c12.5-12.5 32.8-12.5 45.3 0l192 192c12.5 12.5 12.5 32.8 0 45.3s-32.8 12.5-45.3 0L256 173.3 86.6 342.6c-12.5 12.5-32.8 12.5-45.3 0s-12.5-32.8 0-45.3l192-192z" fill="currentColor"/></svg>');
+        }
     }
 
-    static displayEngineLines(node, moveTree, handleTreeNodeClick, queueMoveForEvaluation) {
-        const lines = node.evaluatedMove.lines;
+    static displayEngineLines(node, evaluation, moveTree, handleTreeNodeClick, queueMoveForEvaluation) {
+        const lines = evaluation.lines;
         const $linesContainer = $("<div>").addClass("engine-lines-container");
         const sortedLines = [...lines].sort((a, b) => a.id - b.id);
 
@@ -142,10 +168,32 @@ export class EngineLines {
             scoreText = evalValue > 0 ? "+" + evalValue.toFixed(2) : evalValue.toFixed(2);
         }
 
-        return $("<div>")
+        const $scoreBox = $("<div>")
             .addClass("engine-score")
             .addClass(line.score >= 0 ? "white-score" : "black-score")
             .text(scoreText);
+
+        if (line.wdl) {
+            $scoreBox.attr("title", WinDrawLoss.format(line.wdl))
+                .append(this.createWDLBar(line.wdl));
+        }
+
+        return $scoreBox;
+    }
+
+    /**
+     * Creates the thin win/draw/loss bar shown along the bottom of a score box
+     * @param {Object} wdl - { win, draw, loss } in per mille from white's point of view
+     * @returns {jQuery} The bar element
+     */
+    static createWDLBar(wdl) {
+        const $bar = $("<div>").addClass("engine-wdl");
+
+        [["win", wdl.win], ["draw", wdl.draw], ["loss", wdl.loss]].forEach(([key, value]) => {
+            $("<span>").addClass(`engine-wdl-${key}`).css("width", `${value / 10}%`).appendTo($bar);
+        });
+
+        return $bar;
     }
 
     static parsePrincipalVariation(node, line) {
@@ -153,7 +201,7 @@ export class EngineLines {
         const movesList = [];
         const uciMovesList = [];
 
-        let moveNumber = Math.ceil(node.moveNumber);
+        let moveNumber = tempChess.moveNumber();
         let isWhiteTurn = tempChess.turn() === 'w';
 
         // Parse moves from UCI to SAN format
@@ -311,8 +359,8 @@ export class EngineLines {
         });
     }
 
-    static createEngineTitleElement(node) {
-        const hasEvaluation = (node?.evaluatedMove?.lines?.length > 0) || (node?.id === 'root');
+    static createEngineTitleElement(node, evaluation = node?.evaluatedMove) {
+        const hasEvaluation = (evaluation?.lines?.length > 0) || (node?.id === 'root');
 
         const $title = $("<div>")
             .addClass("section-title engine-lines-title")
@@ -320,15 +368,32 @@ export class EngineLines {
             .append($("<span>").text("Computer"));
 
         // Add depth info if available
-        if (node?.evaluatedMove?.lines?.[0]) {
-            const depth = node.evaluatedMove.lines[0].depth || "?";
-            const engine = node.evaluatedMove.engine || "";
+        if (evaluation?.lines?.[0]) {
+            const depth = evaluation.lines[0].depth || "?";
+            const engine = evaluation.engine || "";
+            // Scores read from a PGN may not say how deep they were searched
+            const fromPGN = engine === MoveEvaluator.embeddedEngineName && !evaluation.lines[0].depth;
             $title.append(
                 $("<span>").addClass("engine-depth")
-                    .text("Depth " + depth + " " + engine)
+                    .text(fromPGN ? engine : "Depth " + depth + " " + engine)
             );
         }
 
+        // Live analysis toggle (keeps the engine searching the current position)
+        if (this.liveToggleCallback) {
+            const $liveToggle = $("<span>")
+                .addClass("engine-live-toggle")
+                .toggleClass("active", LiveAnalysis.enabled)
+                .attr("title", LiveAnalysis.enabled ? "Stop live analysis" : "Start live analysis")
+                .append($("<span>").addClass("engine-live-switch"))
+                .append($("<span>").text("Live"))
+                .on("click", (e) => {
+                    e.stopPropagation();
+                    this.liveToggleCallback();
+                });
+            $title.append($liveToggle);
+        }
+
         // Add collapse/expand button (start with down arrow since collapsed by default)
         const $collapseButton = $("<span>")
             .addClass("engine-lines-collapse-button")
@@ -1,5 +1,7 @@
 import { Chess } from "../../../libs/chess.js";
 import { Classification } from "../../classification/MoveClassifier.js";
+import { PGNParser } from "./PGNParser.js";
+import { TacticalMotifs } from "../../classification/TacticalMotifs.js";
 
 export const IgnoredSuggestionTypes = [
     Classification.BRILLIANT.type,
@@ -77,6 +79,7 @@ export class MoveInformation {
 		
 		$("<span>").text("Analysing...").appendTo($analysing);
 		$analysing.appendTo($moveInfo);
+		$moveInfo.append(MoveInformation.createAnnotationElement(node));
 		return;
 	}
 
@@ -146,12 +149,65 @@ export class MoveInformation {
             }
 
             $moveInfoContainer.append($moveInfoLine);
+            $moveInfoContainer.append(MoveInformation.createMotifsElement(node));
+            $moveInfoContainer.append(MoveInformation.createAnnotationElement(node));
         }
 
         // Add the container to the move-info div
         $moveInfo.append($moveInfoContainer);
     }
 
+    /**
+     * Creates the tactical motif tags of an analysed move
+     * @param {Object} node - The current move node.
+     * @returns {jQuery|null} The motif tags, or null if the move has none.
+     */
+    static createMotifsElement(node) {
+        const motifs = node.evaluatedMove?.motifs;
+        if (!motifs) return null;
+
+        const roles = [
+            { key: 'played', prefix: '' },
+            { key: 'missed', prefix: 'Missed ' },
+            { key: 'allowed', prefix: 'Allows ' }
+        ];
+
+        const $motifs = $("<div>").addClass("move-motifs");
+        roles.forEach(({ key, prefix }) => {
+            motifs[key].forEach(type => {
+                $("<span>").addClass("move-motif").addClass(`move-motif-${key}`)
+                    .text(prefix + TacticalMotifs.getLabel(type).toLowerCase())
+                    .appendTo($motifs);
+            });
+        });
+
+        return $motifs.children().length > 0 ? $motifs : null;
+    }
+
+    /**
+     * Creates the annotation imported with the move from a PGN (its NAGs and comment)
+     * @param {Object} node - The current move node.
+     * @returns {jQuery|null} The annotation element, or null if the move has none.
+     */
+    static createAnnotationElement(node) {
+        if (!node.comment && !node.nags?.length) return null;
+
+        const $annotation = $("<div>").addClass("move-annotation");
+
+        if (node.nags?.length > 0) {
+            $("<span>").addClass("move-annotation-nags")
+                .text(node.san + " " + PGNParser.formatNAGs(node.nags))
+                .appendTo($annotation);
+        }
+        if (node.comment) {
+            $("<span>").addClass("move-annotation-comment")
+                .text(node.comment)
+                .appendTo($annotation);
+        }
+
+        return $annotation;
+    }
+
     /**
      * Shows learning mode feedback in the move info box
      * @param {string} message - The feedback message to display
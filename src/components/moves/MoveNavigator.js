@@ -1,8 +1,13 @@
+import { Chess } from '../../../libs/chess.js';
 import { MoveInformation } from './MoveInformation.js';
 import { EvaluationBar } from '../board/EvaluationBar.js';
 import { EngineLines } from './EngineLines.js';
+import { OpeningExplorer } from './OpeningExplorer.js';
 import { GameGraph } from '../report/GameGraph.js';
 import { Clock } from '../board/Clock.js';
+import { PGNWriter } from './PGNWriter.js';
+import { LiveAnalysis } from '../../evaluation/LiveAnalysis.js';
+import { PuzzleCollection } from '../training/PuzzleCollection.js';
 
 export class MoveNavigator {
     constructor(chessUI) {
@@ -27,8 +32,13 @@ export class MoveNavigator {
         $("#popup-quick-menu").on("click", (e) => this.handleQuickMenuToggle(e));
         $("#share-fen").on("click", () => this.handleShareFen());
         $("#copy-pgn").on("click", () => this.handleCopyPgn());
+        $("#export-board").on("click", () => this.handleExportBoard());
         $("#flip-board").on("click", () => this.handleFlipBoard());
         $("#download-pgn").on("click", () => this.handleDownloadPgn());
+        $("#export-puzzles").on("click", () => this.handleExportPuzzles());
+        $("#play-from-here").on("click", () => this.handlePlayFromHere());
+        $("#guess-the-move").on("click", () => this.handleGuessTheMove());
+        $("#setup-position").on("click", () => this.handleSetupPosition());
         $("#show-best").on("click", () => this.handleShowBest());
         $("#show-best-btn").on("click", () => this.handleShowBest());
         
@@ -42,6 +52,9 @@ export class MoveNavigator {
 
         // Keyboard navigation
         $(document).on('keydown', (e) => {
+            // The position editor and the export dialog have their own inputs
+            if (this.chessUI.positionEditor?.isOpen || this.chessUI.boardExporter?.isOpen) return;
+
             switch (e.keyCode) {
                 case 39: $("#forward").trigger('click'); break; // Right arrow
                 case 37: $("#backward").trigger('click'); break; // Left arrow
@@ -66,10 +79,62 @@ export class MoveNavigator {
 
         // Set up new chessboard event listeners
         this.chessUI.board.on('usermove', (moveObj) => this.handleUserMove(moveObj));
+        this.chessUI.board.on('annotationschange', (annotations) => this.handleAnnotationsChange(annotations));
 
         // Learning mode event handlers
         $("#hint").on("click", () => this.handleHint());
         $("#leave-learning").on("click", () => this.handleLeaveLearning());
+
+        // Live analysis toggle in the engine lines title
+        EngineLines.setLiveToggleCallback(() => this.toggleLiveAnalysis());
+    }
+
+    /**
+     * Switches live (infinite) analysis of the current position on or off
+     */
+    toggleLiveAnalysis() {
+        const node = this.chessUI.moveTree.currentNode;
+
+        if (LiveAnalysis.enabled) {
+            LiveAnalysis.stop();
+            this.updateAfterMove(node);
+            return;
+        }
+
+        LiveAnalysis.start(
+            this.chessUI.evaluationQueue.getEngineOptions(),
+            (fen, evaluation) => this.showLiveEvaluation(fen, evaluation)
+        );
+        this.updateAfterMove(node);
+
+        // Show the lines as they come in
+        if ($(".engine-lines").hasClass("collapsed")) {
+            EngineLines.toggleEngineLinesCollapse();
+        }
+    }
+
+    /**
+     * Updates the engine lines, evaluation bar and arrows with a new depth from live analysis
+     * @param {string} fen - FEN of the analysed position
+     * @param {Object} evaluation - The live evaluation ({ fen, lines, engine })
+     */
+    showLiveEvaluation(fen, evaluation) {
+        const node = this.chessUI.moveTree.currentNode;
+        if (node.fen !== fen) return;
+
+        EngineLines.refreshEngineLines(
+            node,
+            this.chessUI.moveTree,
+            (node) => this.handleTreeNodeClick(node),
+            (node, resultFen, prevFen) => this.queueMoveForEvaluation(node, resultFen, prevFen)
+        );
+
+        const topLine = evaluation.lines.find(line => line.id === 1);
+        if (topLine) {
+            EvaluationBar.updateEvaluationBar({ evalScore: topLine.score, evalType: topLine.type, wdl: topLine.wdl });
+        }
+
+        this.updateBoardArrows(node);
     }
 
     handleCopyFenToClipboard() {
@@ -79,6 +144,13 @@ export class MoveNavigator {
     }
 
     updateAfterMove(node) {
+        // Variations imported from the PGN aren't part of the game analysis, so they're evaluated once visited
+        if (!node.isMainline && node.move && !node.classification && !node.evaluationStatus) {
+            node.evaluationStatus = 'pending';
+            this.chessUI.moveTree.render('move-tree', (node) => this.handleTreeNodeClick(node));
+            this.queueMoveForEvaluation(node, node.move.after, node.move.before);
+        }
+
         this.chessUI.moveTree.updateCurrentMove(node.id);
 
         if (node.evalScore !== undefined) {
@@ -87,13 +159,20 @@ export class MoveNavigator {
 
         MoveInformation.updateMoveInfo(node, this.chessUI.moveTree.getPreviousMove());
 
-        EngineLines.updateEngineLines(
+        // While live analysis runs the lines stay open and follow the new position
+        EngineLines[LiveAnalysis.enabled ? 'refreshEngineLines' : 'updateEngineLines'](
             node, 
             this.chessUI.moveTree, 
             (node) => this.handleTreeNodeClick(node), 
             (node, resultFen, prevFen) => this.queueMoveForEvaluation(node, resultFen, prevFen)
         );
 
+        if (LiveAnalysis.enabled) {
+            LiveAnalysis.analyse(node.fen);
+        }
+
+        this.updateOpeningExplorer(node);
+
         GameGraph.updateCurrentMoveNumber(node.moveNumber);
         
         // Update clocks
@@ -107,6 +186,7 @@ export class MoveNavigator {
 
         // Update board arrows per mode
         this.updateBoardArrows(node);
+        this.showAnnotations(node);
         
         // Update show-best button state based on evaluation availability
         this.updateShowBestButtonState(node);
@@ -120,10 +200,26 @@ export class MoveNavigator {
      * @param {Object} node - The current move tree node
      */
     updateBoardArrows(node) {
-        if (!this.chessUI.analysis || !this.chessUI.analysis.moves) return;
+        // The engine's best moves would give the move away
+        if (this.isBoardLocked()) {
+            this.chessUI.board.clearBestMoveArrows();
+            return;
+        }
 
         const mode = this.chessUI.settingsMenu.getSettingValue('bestMoveArrowsMode') || 'best-response';
 
+        // Live analysis shows its current best move, updated as the search deepens
+        const liveBestLine = LiveAnalysis.getEvaluation(node.fen)?.lines.find(l => l.id === 1);
+        if (liveBestLine?.uciMove) {
+            this.chessUI.board.clearBestMoveArrows();
+            if (mode !== 'none') {
+                this.chessUI.board.setBestMoveArrow(liveBestLine.uciMove);
+            }
+            return;
+        }
+
+        if (!this.chessUI.analysis || !this.chessUI.analysis.moves) return;
+
         // Always start by clearing arrows
         this.chessUI.board.clearBestMoveArrows();
 
@@ -222,7 +318,51 @@ export class MoveNavigator {
         }
     }
 
+    /**
+     * Whether a practice game or guess the move session is moving through the tree itself, so
+     * it can't be browsed (practice games go on from their own node, and guess the move hides the
+     * game's next move)
+     * @returns {boolean}
+     */
+    isBoardLocked() {
+        return Boolean(this.chessUI.practiceGame?.isActive || this.chessUI.guessTheMove?.isActive);
+    }
+
+    /**
+     * Keeps the arrows and highlights the user drew on the current move, so they're back when it's revisited
+     * @param {{arrows: Array<string>, highlights: Array<string>}} annotations - The board's shapes in [%cal]/[%csl] notation
+     */
+    handleAnnotationsChange({ arrows, highlights }) {
+        // Training modes show positions the move tree isn't on
+        if (!this.canAnnotate()) return;
+
+        const node = this.chessUI.moveTree.currentNode;
+        if (arrows.length > 0) node.arrows = arrows; else delete node.arrows;
+        if (highlights.length > 0) node.highlights = highlights; else delete node.highlights;
+    }
+
+    /**
+     * Draws a move's stored arrows and highlights (from the user or the PGN's [%cal]/[%csl]) on the board
+     * @param {Object} node - The current move tree node
+     */
+    showAnnotations(node) {
+        if (!this.canAnnotate()) return;
+
+        this.chessUI.board.setAnnotations({ arrows: node.arrows, highlights: node.highlights });
+    }
+
+    /**
+     * Whether the board shows the move tree's current position, so drawn shapes belong to its node
+     * @returns {boolean}
+     */
+    canAnnotate() {
+        return !this.isBoardLocked() && !this.chessUI.mistakeLearner?.isActive;
+    }
+
     handleForwardMove() {
+        // Saved puzzles aren't positions of the loaded game
+        if (this.chessUI.mistakeLearner?.puzzleMode || this.isBoardLocked()) return;
+
         const nextNode = this.chessUI.moveTree.getNextMove();
         if (!nextNode || !nextNode.move) return;
 
@@ -244,6 +384,9 @@ export class MoveNavigator {
     }
 
     handleBackwardMove() {
+        // Saved puzzles aren't positions of the loaded game
+        if (this.chessUI.mistakeLearner?.puzzleMode || this.isBoardLocked()) return;
+
         if (this.chessUI.moveTree.currentNode === this.chessUI.moveTree.mainline[0]) return;
 
         const currentNode = this.chessUI.moveTree.currentNode;
@@ -287,7 +430,11 @@ export class MoveNavigator {
     }
 
     handleRestart() {
-        this.chessUI.board.fen();
+        // Saved puzzles aren't positions of the loaded game
+        if (this.chessUI.mistakeLearner?.puzzleMode || this.isBoardLocked()) return;
+
+        // Root FEN is the game's starting position (undefined falls back to the standard one)
+        this.chessUI.board.fen(this.chessUI.moveTree.mainline[0].fen || undefined);
 
         this.chessUI.moveTree.navigateTo('root');
         this.chessUI.moveTree.updateCurrentMove('root');
@@ -316,9 +463,56 @@ export class MoveNavigator {
         // Update move info and board arrows
         MoveInformation.updateMoveInfo(this.chessUI.moveTree.currentNode, null);
         this.updateBoardArrows(this.chessUI.moveTree.currentNode);
+        this.showAnnotations(this.chessUI.moveTree.currentNode);
+        this.updateOpeningExplorer(this.chessUI.moveTree.currentNode);
+    }
+
+    /**
+     * Updates the opening explorer panel for a node
+     * @param {Object} node - The current move tree node
+     */
+    updateOpeningExplorer(node) {
+        OpeningExplorer.updateOpeningExplorer(
+            node,
+            this.chessUI.moveTree,
+            (node) => this.handleTreeNodeClick(node),
+            (san) => this.playSanMove(san)
+        );
+    }
+
+    /**
+     * Plays a move from the current position, navigating to it if it's already in the move tree
+     * @param {string} san - The move in SAN (e.g., "Nf3")
+     */
+    playSanMove(san) {
+        if (this.chessUI.mistakeLearner?.isActive) return;
+
+        const moveTree = this.chessUI.moveTree;
+        const currentNode = moveTree.currentNode;
+
+        // The next mainline move isn't one of the node's children
+        const currentIndex = moveTree.getNodeIndex(currentNode);
+        const nextMainlineMove = currentIndex !== -1 ? moveTree.mainline[currentIndex + 1] : null;
+        const existingNode = nextMainlineMove?.san === san
+            ? nextMainlineMove
+            : currentNode.children.find(child => child.san === san);
+
+        if (existingNode) {
+            this.handleTreeNodeClick(existingNode);
+            return;
+        }
+
+        try {
+            const move = new Chess(currentNode.fen || undefined).move(san);
+            this.playBestMoveFromUCI(move.from + move.to + (move.promotion || ''));
+        } catch (e) {
+            console.warn(`Cannot play ${san} from the current position`);
+        }
     }
 
     handleSkipToEnd() {
+        if (this.isBoardLocked()) return;
+
         const lastMove = this.chessUI.moveTree.getFinalMove();
         this.handleTreeNodeClick(lastMove);
 
@@ -338,6 +532,25 @@ export class MoveNavigator {
             return this.chessUI.mistakeLearner.handleUserMove(moveObj);
         }
 
+        // In a practice game, the engine answers the user's moves
+        if (this.chessUI.practiceGame?.isActive) {
+            return this.chessUI.practiceGame.handleUserMove(moveObj);
+        }
+
+        // In guess the move, the move is scored against the game's
+        if (this.chessUI.guessTheMove?.isActive) {
+            return this.chessUI.guessTheMove.handleUserMove(moveObj);
+        }
+
+        return this.playMoveInTree(moveObj);
+    }
+
+    /**
+     * Adds a move the board has made to the move tree, navigating to it if it's already there
+     * @param {Object} moveObj - The move made on the board
+     * @returns {boolean} - True once the tree is at the move
+     */
+    playMoveInTree(moveObj) {
         // Check if the move exists in the mainline next
         const currentIndex = this.chessUI.moveTree.getNodeIndex(this.chessUI.moveTree.currentNode);
         if (currentIndex !== -1 && currentIndex + 1 < this.chessUI.moveTree.mainline.length) {
@@ -363,6 +576,8 @@ export class MoveNavigator {
     }
 
     handleTreeNodeClick(node) {
+        if (this.isBoardLocked()) return;
+
         // Reset continuation state when manually navigating (unless navigating back via goBackToBadMove)
         if (!this._isGoingBackToBadMove) {
             this.badMoveNode = null;
@@ -495,6 +710,7 @@ export class MoveNavigator {
             if (topLine) {
                 node.evalScore = topLine.score;
                 node.evalType = topLine.type || 'cp';
+                node.wdl = topLine.wdl;
             }
 
             // Update UI if this is the current node
@@ -564,8 +780,21 @@ export class MoveNavigator {
         $("#quick-menu").removeClass('show');
     }
 
+    /**
+     * Builds the annotated PGN of the current move tree, including variations and analysis
+     * @returns {string} The PGN, or an empty string if there's no game
+     */
+    getAnnotatedPgn() {
+        const moveTree = this.chessUI.moveTree;
+        if (!moveTree || (moveTree.mainline.length <= 1 && !this.chessUI.game?.pgn)) {
+            return '';
+        }
+
+        return PGNWriter.write(moveTree, this.chessUI.game || {});
+    }
+
     handleCopyPgn() {
-        const pgn = this.chessUI.game?.pgn || '';
+        const pgn = this.getAnnotatedPgn();
         if (pgn) {
             navigator.clipboard.writeText(pgn).then(() => {
                 this.showNotification('PGN copied to clipboard!');
@@ -578,8 +807,13 @@ export class MoveNavigator {
         $("#quick-menu").removeClass('show');
     }
 
+    handleExportBoard() {
+        $("#quick-menu").removeClass('show');
+        this.chessUI.boardExporter.open();
+    }
+
     handleDownloadPgn() {
-        const pgn = this.chessUI.game?.pgn || '';
+        const pgn = this.getAnnotatedPgn();
         if (pgn) {
             const blob = new Blob([pgn], { type: 'text/plain' });
             const url = URL.createObjectURL(blob);
@@ -597,6 +831,32 @@ export class MoveNavigator {
         $("#quick-menu").removeClass('show');
     }
 
+    handleSetupPosition() {
+        $("#quick-menu").removeClass('show');
+        this.chessUI.positionEditor.open();
+    }
+
+    handleGuessTheMove() {
+        $("#quick-menu").removeClass('show');
+        this.chessUI.guessTheMove.open();
+    }
+
+    handlePlayFromHere() {
+        $("#quick-menu").removeClass('show');
+        this.chessUI.practiceGame.open();
+    }
+
+    handleExportPuzzles() {
+        const puzzles = PuzzleCollection.getAll();
+        if (puzzles.length > 0) {
+            PuzzleCollection.download(puzzles);
+            this.showNotification(`${puzzles.length} puzzle${puzzles.length > 1 ? 's' : ''} exported!`);
+        } else {
+            this.showNotification('No puzzles saved yet');
+        }
+        $("#quick-menu").removeClass('show');
+    }
+
     /**
      * Checks if evaluation data exists for the current position and updates the show-best button state
      * @param {Object} node - The current move tree node
@@ -700,34 +960,23 @@ export class MoveNavigator {
             $placeholder.appendTo($moveInfo);
             
             try {
-                // Import Engine class
-                const { Engine } = await import('../../evaluation/Engine.js');
                 const { MoveEvaluator } = await import('../../evaluation/MoveEvaluator.js');
                 
                 // Try cloud evaluation first
                 let lines = await MoveEvaluator.tryCloudEvaluation(currentFen);
                 
-                // If no cloud evaluation, use local engine
+                // If no cloud evaluation, use a pooled local engine
                 if (!lines || lines.length === 0) {
-                    const engineType = this.chessUI.settingsMenu?.getSettingValue('engineType') || 'stockfish-17.1-lite';
-                    const threadCount = this.chessUI.settingsMenu?.getSettingValue('engineThreads') ?? 0;
-                    const engine = new Engine({ engineType: engineType, threadCount: threadCount });
                     const depth = this.chessUI.settingsMenu?.getSettingValue('engineDepth') || 16;
                     const maxMoveTime = this.chessUI.settingsMenu?.getSettingValue('maxMoveTime') || 5;
                     
-                    lines = await this.chessUI.evaluationQueue.evaluateWithEngine(
+                    ({ lines } = await this.chessUI.evaluationQueue.evaluateWithEngine(
                         currentFen, 
                         depth, 
                         0, 
                         100, 
-                        engine, 
                         maxMoveTime
-                    );
-                    
-                    // Clean up engine
-                    if (engine && engine.worker) {
-                        engine.worker.terminate();
-                    }
+                    ));
                 }
                 
                 if (lines && lines.length > 0) {
@@ -1097,18 +1346,14 @@ export class MoveNavigator {
         // If no evaluation, request one
         if (!evaluationData) {
             try {
-                const { Engine } = await import('../../evaluation/Engine.js');
                 const { MoveEvaluator } = await import('../../evaluation/MoveEvaluator.js');
                 
                 let lines = await MoveEvaluator.tryCloudEvaluation(currentFen);
                 
                 if (!lines || lines.length === 0) {
-                    const engineType = this.chessUI.settingsMenu?.getSettingValue('engineType') || 'stockfish-17.1-lite';
-                    const threadCount = this.chessUI.settingsMenu?.getSettingValue('engineThreads') ?? 0;
                     const depth = this.chessUI.settingsMenu?.getSettingValue('engineDepth') || 18;
                     
-                    const engine = await Engine.createEngine(engineType, threadCount);
-                    lines = await engine.analyzePosition(currentFen, depth);
+                    ({ lines } = await this.chessUI.evaluationQueue.evaluateWithEngine(currentFen, depth, 0, 100));
                 }
                 
                 if (lines && lines.length > 0) {
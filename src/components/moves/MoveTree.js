@@ -1,5 +1,6 @@
 import { Chess } from "./../../../libs/chess.js";
 import { Classification } from "../../classification/MoveClassifier.js";
+import { PGNParser } from "./PGNParser.js";
 
 export class MoveTree {
     constructor() {
@@ -9,143 +10,97 @@ export class MoveTree {
         this.final = null;
         this.idCounter = 0;
         this.currentIndex = 0;
-        this.clockData = new Map(); // Store clock data for each position
     }
 
     /**
-     * Extracts clock annotations from PGN string
-     * @param {string} pgn - The PGN string
-     * @returns {Array} Array of clock data objects
+     * Builds the tree from a PGN: the mainline, its variations, and the comments,
+     * NAGs and clock times annotated on the moves
+     * @param {string} pgn - The game's PGN
+     * @param {Chess} chess - Chess instance to load the starting position into (left at the start position)
+     * @returns {Array<Object>} - The mainline moves (verbose chess.js moves)
      */
-    extractClockAnnotations(pgn) {
-        const clockData = [];
-        
-        // Remove header from PGN to get only the moves
-        const headerRegex = /^\[[\s\S]*?\]\s*$/gm;
-        const moveText = pgn.replace(headerRegex, '').trim();
-        
-        // Find all clock annotations in the format {[%clk 0:03:00.9]}
-        const clockRegex = /\{[^}]*\[%clk\s+([^\]]+)\][^}]*\}/g;
-        const clockMatches = [...moveText.matchAll(clockRegex)];
-        
-        if (clockMatches.length === 0) {
-            return clockData;
-        }
-        
-        // Extract moves with their positions
-        const moveRegex = /\d+\.\s*([^\s{]+)(?:\s+\{[^}]*\})?\s*([^\s{]+)?(?:\s+\{[^}]*\})?/g;
-        let moveIndex = 0;
-        let clockIndex = 0;
-        let match;
-        
-        while ((match = moveRegex.exec(moveText)) !== null) {
-            const whiteMove = match[1];
-            const blackMove = match[2];
-            
-            if (whiteMove) {
-                // Check if there's a clock annotation after this white move
-                const whiteMovePos = match.index + match[0].indexOf(whiteMove);
-                const nextClockMatch = clockMatches[clockIndex];
-                
-                if (nextClockMatch && nextClockMatch.index > whiteMovePos) {
-                    // Find the next clock annotation that comes after this move
-                    let foundClock = false;
-                    for (let i = clockIndex; i < clockMatches.length; i++) {
-                        if (clockMatches[i].index > whiteMovePos) {
-                            clockData[moveIndex] = {
-                                moveIndex: moveIndex,
-                                color: 'white',
-                                clock: clockMatches[i][1].trim()
-                            };
-                            clockIndex = i + 1;
-                            foundClock = true;
-                            break;
-                        }
-                    }
-                }
-                moveIndex++;
-            }
-            
-            if (blackMove) {
-                // Check if there's a clock annotation after this black move
-                const blackMovePos = match.index + match[0].indexOf(blackMove);
-                const nextClockMatch = clockMatches[clockIndex];
-                
-                if (nextClockMatch && nextClockMatch.index > blackMovePos) {
-                    // Find the next clock annotation that comes after this move
-                    let foundClock = false;
-                    for (let i = clockIndex; i < clockMatches.length; i++) {
-                        if (clockMatches[i].index > blackMovePos) {
-                            clockData[moveIndex] = {
-                                moveIndex: moveIndex,
-                                color: 'black',
-                                clock: clockMatches[i][1].trim()
-                            };
-                            clockIndex = i + 1;
-                            foundClock = true;
-                            break;
-                        }
-                    }
-                }
-                moveIndex++;
-            }
-        }
-        
-        return clockData;
-    }
-
     buildFromPGN(pgn, chess) {
         // Use the provided chess instance or create a new one
         const chessInstance = chess || new Chess();
 
-        // Extract clock annotations before PGN parsing
-        const clockData = this.extractClockAnnotations(pgn);
-        
+        // Clear first so a FEN previously loaded into a shared instance isn't used as the start position
+        chessInstance.clear();
         chessInstance.loadPgn(pgn);
-        const history = chessInstance.history({ verbose: true });
-        chessInstance.reset();
+        chessInstance.reset(); // Back to the PGN's starting position (honours SetUp/FEN headers)
 
         this.mainline = [{ id: 'root', moveNumber: null, san: null, fen: chessInstance.fen(), children: [], isMainline: true }];
         this.nodeMap = new Map().set('root', this.mainline[0]);
         this.currentNode = this.mainline[0];
         this.currentIndex = 0;
+        this.final = null;
+
+        const line = PGNParser.parse(pgn);
+        if (line.comment) this.mainline[0].comment = line.comment;
+        this.annotateShapes(this.mainline[0], line.commands);
+
+        this.addLine(line, this.mainline[0]);
         
-        let moveNumber = 1, isWhiteTurn = true;
-        
-        for (const [index, move] of history.entries()) {
-            const nodeId = `move_${moveNumber}_${isWhiteTurn ? 'w' : 'b'}_${move.san.replace(/[+#]/g, m => m === '+' ? 'check' : 'mate')}`;
-            
-            const node = {
-                id: nodeId,
-                moveNumber: isWhiteTurn ? moveNumber : moveNumber + 0.5,
-                san: move.san,
-                move: move,
-                fen: null,
-                children: [],
-                isMainline: true,
-                parentIndex: this.mainline.length - 1
-            };
-            
-            // Add clock data if available
-            const clockInfo = clockData.find(c => c.moveIndex === index);
-            if (clockInfo) {
-                node.clock = clockInfo.clock;
+        this.currentNode = this.mainline[0];
+
+        return this.mainline.slice(1).map(node => node.move);
+    }
+
+    /**
+     * Plays a parsed PGN line into the tree, recursing into its variations
+     * @param {Object} line - Line from PGNParser.parse
+     * @param {Object} parent - The node the line starts from
+     * @param {boolean} isVariation - Whether the line is a variation, which never extends the mainline
+     */
+    addLine(line, parent, isVariation = false) {
+        const chess = new Chess();
+
+        for (const [index, parsedMove] of line.moves.entries()) {
+            let move;
+            try {
+                chess.load(parent.fen);
+                move = chess.move(parsedMove.san, { strict: false });
+            } catch (e) {
+                // An illegal or unreadable move ends the line, as nothing after it can be replayed
+                console.warn(`Skipping PGN line from invalid move: ${parsedMove.san}`);
+                return;
             }
-            
-            chessInstance.move(move.lan);
-            node.fen = chessInstance.fen();
-            
-            this.mainline.push(node);
-            this.nodeMap.set(node.id, node);
-            
-            if (!isWhiteTurn) moveNumber++;
-            isWhiteTurn = !isWhiteTurn;
-            this.final = node;
+
+            const node = this.addMove(move, parent.id, !isVariation);
+            this.annotateNode(node, parsedMove);
+
+            // The mainline's opening comment is the game's, kept on the root
+            if (index === 0 && line.comment && !node.isMainline) node.preComment = line.comment;
+
+            // Variations replace this move, so they branch from its parent
+            parsedMove.variations.forEach(variation => this.addLine(variation, parent, true));
+
+            parent = node;
         }
-        
-        this.currentNode = this.mainline[0];
+    }
 
-        return history;
+    /**
+     * Copies a parsed move's comment, NAGs, clock time and shapes onto its node
+     * @param {Object} node - The move's tree node
+     * @param {Object} parsedMove - Move from PGNParser.parse
+     */
+    annotateNode(node, parsedMove) {
+        if (parsedMove.comment) node.comment = parsedMove.comment;
+        if (parsedMove.nags.length > 0) node.nags = parsedMove.nags;
+        if (parsedMove.commands.clk) node.clock = parsedMove.commands.clk;
+        this.annotateShapes(node, parsedMove.commands);
+    }
+
+    /**
+     * Copies the arrows ([%cal]) and highlighted squares ([%csl]) of a comment onto a node
+     * @param {Object} node - The tree node
+     * @param {Object} commands - The comment's commands from PGNParser.parse
+     */
+    annotateShapes(node, commands) {
+        const arrows = PGNParser.parseShapes(commands.cal).filter(shape => shape.length === 5);
+        const highlights = PGNParser.parseShapes(commands.csl).filter(shape => shape.length === 3);
+
+        if (arrows.length > 0) node.arrows = arrows;
+        if (highlights.length > 0) node.highlights = highlights;
     }
     
     updateClassification(nodeId, move) {
@@ -160,6 +115,7 @@ export class MoveTree {
             if (topLine) {
                 node.evalScore = topLine.score;
                 node.evalType = topLine.type || 'cp';
+                node.wdl = topLine.wdl;
             }
         }
     }
@@ -189,12 +145,23 @@ export class MoveTree {
         return this.mainline.findIndex(n => n.id === node.id);
     }
 
-    addMove(move, parentId) {
+    /**
+     * Adds a move after a node, or returns the node already there for it
+     * @param {Object} move - The move (verbose chess.js move)
+     * @param {string} parentId - ID of the node the move is played from
+     * @param {boolean} extendMainline - Whether a move after the last mainline move continues the mainline
+     * @returns {Object|null} - The move's node, or null if the parent doesn't exist
+     */
+    addMove(move, parentId, extendMainline = true) {
         const chess = new Chess();
         const parent = this.nodeMap.get(parentId);
         if (!parent) return null;
-        
-        const existingNode = this.findExistingMove(parent, move);
+
+        const parentIndex = this.getNodeIndex(parent);
+        const isMainline = extendMainline && parent.isMainline && parentIndex === this.mainline.length - 1;
+
+        // A move continuing the mainline gets its own node even if a variation already plays it
+        const existingNode = !isMainline && this.findExistingMove(parent, move);
         if (existingNode) return existingNode;
 
         const originalFen = chess.fen();
@@ -202,8 +169,6 @@ export class MoveTree {
         
         const isWhiteTurn = chess.turn() === 'w';
         const moveNumber = chess.moveNumber();
-        const parentIndex = this.getNodeIndex(parent);
-        const isMainline = parent.isMainline && parentIndex === this.mainline.length - 1;
 
         this.idCounter++;
         let nodeId = `${isMainline ? 'move' : 'var'}_${moveNumber}_${isWhiteTurn ? 'w' : 'b'}_${move.san.replace(/[+#]/g, m => m === '+' ? 'check' : 'mate')}${isMainline ? '' : '_' + this.idCounter}`;
@@ -312,27 +277,46 @@ export class MoveTree {
         
         $container.empty();
         const $mainLine = $('<div>').addClass('main-line').appendTo($container);
+
+        const root = this.mainline[0];
+        if (root.comment) {
+            $mainLine.append(this._createCommentElement(root.comment));
+        }
         
         let currentTurnContainer = null;
-        const rootHasVariations = this.mainline[0].children.length > 0;
+        // Black moves get their own "N..." turn after a comment or variations, and when the game starts with black
+        let needsNumber = true;
         
         for (let i = 1; i < this.mainline.length; i++) {
             const node = this.mainline[i];
+            const blackNeedsNumber = node.move?.color === 'b' && needsNumber;
             
-            if (node.move?.color === 'w' || !currentTurnContainer) {
+            if (node.move?.color === 'w' || !currentTurnContainer || blackNeedsNumber) {
                 currentTurnContainer = $('<div>').addClass('turn').appendTo($mainLine);
             }
             
             const moveElement = this._createMoveElement(node, clickHandler);
+            if (blackNeedsNumber) {
+                $(moveElement).prepend($('<span>').addClass('move-number').text(Math.floor(node.moveNumber) + '...'));
+            }
             currentTurnContainer.append(moveElement);
+            needsNumber = false;
+
+            if (node.comment) {
+                $mainLine.append(this._createCommentElement(node.comment));
+                needsNumber = true;
+            }
             
-            if ((i === 1 && rootHasVariations) || node.children.length > 0) {
+            // Alternatives to the first move are listed with the first move's own variations
+            const variations = i === 1 ? [...root.children, ...node.children] : node.children;
+            if (variations.length > 0) {
                 const $variationsContainer = $('<div>').addClass('variations').appendTo($mainLine);
                 
-                (i === 1 && rootHasVariations ? this.mainline[0].children : node.children).forEach(child => {
+                variations.forEach(child => {
                     const $variationContainer = $('<div>').addClass('variation').appendTo($variationsContainer);
                     this._renderVariation(child, $variationContainer[0], clickHandler);
                 });
+                needsNumber = true;
             }
         }
     }
@@ -340,11 +324,16 @@ export class MoveTree {
     _renderVariation(node, container, clickHandler) {
         const movesInVariation = this._buildVariationMovesList(node);
         let currentTurnContainer = null;
+        let needsNumber = true;
+
+        if (node.preComment) {
+            $(container).append(this._createCommentElement(node.preComment));
+        }
         
         for (let i = 0; i < movesInVariation.length; i++) {
             const currentNode = movesInVariation[i];
             
-            if (i === 0 && currentNode.move?.color === 'b') {
+            if (currentNode.move?.color === 'b' && needsNumber) {
                 const $turnContainer = $('<div>').addClass('turn').appendTo(container);
                 const $parentElement = $('<div>').addClass('move-entry');
                 
@@ -361,6 +350,12 @@ export class MoveTree {
             else {
                 currentTurnContainer.append(this._createMoveElement(currentNode, clickHandler));
             }
+            needsNumber = false;
+
+            if (currentNode.comment) {
+                $(container).append(this._createCommentElement(currentNode.comment));
+                needsNumber = true;
+            }
             
             if (currentNode.children.length > 1) {
                 const $variationsContainer = $('<div>').addClass('variations').appendTo(container);
@@ -369,6 +364,7 @@ export class MoveTree {
                     const $variationContainer = $('<div>').addClass('variation').appendTo($variationsContainer);
                     this._renderVariation(currentNode.children[j], $variationContainer[0], clickHandler);
                 }
+                needsNumber = true;
             }
         }
     }
@@ -433,6 +429,10 @@ export class MoveTree {
         }
         
         $moveContainer.append($moveText);
+
+        if (node.nags?.length > 0) {
+            $moveContainer.append($('<span>').addClass('move-nag').text(PGNParser.formatNAGs(node.nags)));
+        }
         
         if (clickHandler) {
             $moveContainer.on('click', () => clickHandler(node));
@@ -441,6 +441,15 @@ export class MoveTree {
         return $moveContainer;
     }
     
+    /**
+     * Creates the element for a PGN comment shown in the move list
+     * @param {string} comment - The comment text
+     * @returns {jQuery} The comment element
+     */
+    _createCommentElement(comment) {
+        return $('<div>').addClass('move-comment').text(comment);
+    }
+    
     updateCurrentMove(nodeId) {
         $('.current-move').removeClass('current-move');
         $('.current-container').removeClass('current-container');
@@ -0,0 +1,190 @@
+import { chessOpeningTree } from "../../data/openings.js";
+import { MoveClassifier } from "../../classification/MoveClassifier.js";
+import { MoveEvaluator } from "../../evaluation/MoveEvaluator.js";
+import { Chess960 } from "../../evaluation/Chess960.js";
+
+/**
+ * Opening panel for the moves tab: names the opening of the current position,
+ * lists the book continuations from it and shows where the game left theory
+ */
+export class OpeningExplorer {
+    static expanded = false;
+
+    /**
+     * Re-renders the panel for a move tree node
+     * @param {Object} node - The current move tree node
+     * @param {MoveTree} moveTree - The game's move tree
+     * @param {Function} handleTreeNodeClick - Navigates to a tree node
+     * @param {Function} playMove - Plays a SAN move from the current position
+     */
+    static updateOpeningExplorer(node, moveTree, handleTreeNodeClick, playMove) {
+        const $explorer = $(".opening-explorer").empty();
+        if (!$explorer.length || !node || !moveTree) return;
+
+        $explorer.toggleClass("collapsed", !this.expanded);
+
+        // The book only covers games from the standard starting position
+        const rootFen = moveTree.mainline[0].fen;
+        if (Chess960.enabled || (rootFen && rootFen !== MoveEvaluator.startPositionEvaluation.fen)) {
+            $explorer.append(this.createTitleElement(null, false));
+            $explorer.append($("<div>").addClass("opening-explorer-message")
+                .text("No opening book for games from a custom position"));
+            return;
+        }
+
+        const moves = moveTree.getMovesToNode(node.id).map(move => move.san);
+        const bookNode = this.getBookNode(moves);
+        const opening = MoveClassifier.getOpening(moves);
+
+        $explorer.append(this.createTitleElement(opening, !!bookNode));
+
+        const $content = $("<div>").addClass("opening-explorer-content");
+        $content.append(this.createTheoryElement(moveTree, node, handleTreeNodeClick));
+
+        if (bookNode) {
+            $content.append(this.createContinuationsElement(bookNode, playMove));
+        } else {
+            $content.append($("<div>").addClass("opening-explorer-message")
+                .text("This position is out of book"));
+        }
+
+        if (!this.expanded) $content.hide();
+        $explorer.append($content);
+    }
+
+    /**
+     * Follows a move sequence through the opening tree
+     * @param {Array<string>} moves - Moves in SAN from the starting position
+     * @returns {Object|null} - The opening tree node, or null if the sequence leaves the book
+     */
+    static getBookNode(moves) {
+        let bookNode = chessOpeningTree;
+
+        for (const move of moves) {
+            bookNode = bookNode[move];
+            if (!bookNode) return null;
+        }
+
+        return bookNode;
+    }
+
+    /**
+     * Lists the book moves from an opening tree node with the opening each one leads to
+     * @param {Object} bookNode - Node of the opening tree
+     * @returns {Array<Object>} - [{ san, eco, name, named }] where named is false if the name comes from a deeper line
+     */
+    static getContinuations(bookNode) {
+        return Object.keys(bookNode)
+            .filter(key => key !== '_metadata')
+            .map(san => {
+                const child = bookNode[san];
+                const opening = child._metadata || this.findNamedLine(child);
+                return { san, eco: opening?.eco || '', name: opening?.name || '', named: !!child._metadata };
+            });
+    }
+
+    /**
+     * Finds the closest named opening below a node (breadth first)
+     * @param {Object} bookNode - Node of the opening tree
+     * @returns {Object|null} - The opening's metadata ({ eco, name })
+     */
+    static findNamedLine(bookNode) {
+        const queue = [bookNode];
+
+        while (queue.length > 0) {
+            const current = queue.shift();
+            for (const [key, child] of Object.entries(current)) {
+                if (key === '_metadata') continue;
+                if (child._metadata) return child._metadata;
+                queue.push(child);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Finds the first mainline move that isn't in the opening book
+     * @param {MoveTree} moveTree - The game's move tree
+     * @returns {Object|null} - The mainline node that left theory, or null if the game never did
+     */
+    static getDeviationNode(moveTree) {
+        let bookNode = chessOpeningTree;
+
+        for (const node of moveTree.mainline.slice(1)) {
+            bookNode = bookNode[node.san];
+            if (!bookNode) return node;
+        }
+
+        return null;
+    }
+
+    static createTitleElement(opening, inBook) {
+        const $title = $("<div>")
+            .addClass("section-title clickable-title opening-explorer-title")
+            .addClass(inBook ? "in-book" : "out-of-book")
+            .append($("<span>").text("Opening"));
+
+        if (opening) {
+            $title.append($("<span>").addClass("opening-explorer-name")
+                .text(`${opening.eco} ${opening.name}`)
+                .attr("title", `${opening.eco} ${opening.name}`));
+        }
+
+        $title.on("click", () => {
+            this.expanded = !this.expanded;
+            $(".opening-explorer").toggleClass("collapsed", !this.expanded);
+            $(".opening-explorer-content").toggle(this.expanded);
+        });
+
+        return $title;
+    }
+
+    static createTheoryElement(moveTree, node, handleTreeNodeClick) {
+        const $theory = $("<div>").addClass("opening-explorer-theory");
+        const deviation = this.getDeviationNode(moveTree);
+
+        if (!deviation) {
+            return $theory.text(moveTree.mainline.length > 1 ? "The game stayed in book" : "");
+        }
+
+        const moveNumber = Math.floor(deviation.moveNumber);
+        const label = deviation.move?.color === 'b' ? `${moveNumber}... ${deviation.san}` : `${moveNumber}. ${deviation.san}`;
+
+        $theory.append($("<span>").text("Game left theory with "));
+        $theory.append($("<span>")
+            .addClass("opening-explorer-deviation")
+            .toggleClass("current", deviation.id === node.id)
+            .text(label)
+            .on("click", () => handleTreeNodeClick(deviation)));
+
+        return $theory;
+    }
+
+    static createContinuationsElement(bookNode, playMove) {
+        const $list = $("<div>").addClass("opening-explorer-moves");
+        const continuations = this.getContinuations(bookNode);
+
+        if (continuations.length === 0) {
+            return $list.append($("<div>").addClass("opening-explorer-message").text("End of the book line"));
+        }
+
+        continuations.forEach(({ san, eco, name, named }) => {
+            const $move = $("<div>")
+                .addClass("opening-explorer-move")
+                .on("click", () => playMove(san));
+
+            $move.append($("<span>").addClass("opening-explorer-san").text(san));
+            $move.append($("<span>").addClass("opening-explorer-eco").text(eco));
+            $move.append($("<span>")
+                .addClass("opening-explorer-line")
+                .toggleClass("unnamed", !named)
+                .text(name)
+                .attr("title", name));
+
+            $list.append($move);
+        });
+
+        return $list;
+    }
+}
@@ -0,0 +1,205 @@
+// Suffix annotations written straight after a move and the NAGs they stand for
+export const SuffixNAGs = {
+    '!': 1,
+    '?': 2,
+    '!!': 3,
+    '??': 4,
+    '!?': 5,
+    '?!': 6
+};
+
+// Symbols shown for the common Numeric Annotation Glyphs (NAGs without one are shown as $n)
+export const NAGSymbols = {
+    1: '!',
+    2: '?',
+    3: '!!',
+    4: '??',
+    5: '!?',
+    6: '?!',
+    7: '□',
+    10: '=',
+    13: '∞',
+    14: '⩲',
+    15: '⩱',
+    16: '±',
+    17: '∓',
+    18: '+−',
+    19: '−+',
+    22: '⨀',
+    23: '⨀',
+    32: '⟳',
+    33: '⟳',
+    36: '→',
+    37: '→',
+    40: '↑',
+    41: '↑',
+    132: '⇆',
+    133: '⇆',
+    138: '⊕',
+    139: '⊕',
+    140: '∆',
+    146: 'N'
+};
+
+const RESULT_TOKENS = ['1-0', '0-1', '1/2-1/2', '*'];
+
+// Comment commands for drawn arrows ([%cal]) and highlighted squares ([%csl])
+const SHAPE_COMMANDS = ['cal', 'csl'];
+
+/**
+ * Reads the movetext of a single PGN game, including comments, NAGs and
+ * recursive annotation variations, into a nested list of lines
+ */
+export class PGNParser {
+    /**
+     * Parses a game's movetext into its mainline
+     * @param {string} pgn - The PGN of a single game (tag pairs are skipped)
+     * @returns {Object} - The mainline: { comment, commands, moves } where each move is
+     *                     { san, nags, comment, commands, variations } and each variation is a line like the mainline
+     */
+    static parse(pgn) {
+        const mainline = this.createLine();
+        const lines = [mainline];
+
+        for (const token of this.tokenize(pgn)) {
+            const line = lines[lines.length - 1];
+            const lastMove = line.moves[line.moves.length - 1];
+
+            switch (token.type) {
+                case 'move':
+                    line.moves.push({ san: token.value, nags: [], comment: '', commands: {}, variations: [] });
+                    break;
+                case 'nag':
+                    lastMove?.nags.push(token.value);
+                    break;
+                case 'comment':
+                    // Comments before a line's first move belong to the line itself
+                    this.addComment(lastMove || line, token.value);
+                    break;
+                case 'open':
+                    // A variation replaces the last move, so it's only valid once the line has one
+                    if (lastMove) {
+                        const variation = this.createLine();
+                        lastMove.variations.push(variation);
+                        lines.push(variation);
+                    }
+                    break;
+                case 'close':
+                    if (lines.length > 1) lines.pop();
+                    break;
+            }
+        }
+
+        return mainline;
+    }
+
+    /**
+     * Splits PGN text into movetext tokens
+     * @param {string} pgn - The PGN text
+     * @returns {Array<Object>} - Tokens ({ type, value }) of type move, nag, comment, open, close or result
+     */
+    static tokenize(pgn) {
+        const tokens = [];
+        const text = pgn.replace(/^\uFEFF/, '');
+        let i = 0;
+
+        while (i < text.length) {
+            const char = text[i];
+            const lineStart = i === 0 || text[i - 1] === '\n';
+
+            if (/\s/.test(char)) {
+                i++;
+            } else if (char === '{') {
+                const end = text.indexOf('}', i + 1);
+                const stop = end === -1 ? text.length : end;
+                tokens.push({ type: 'comment', value: text.slice(i + 1, stop) });
+                i = stop + 1;
+            } else if (char === ';' || (char === '%' && lineStart)) {
+                // Rest-of-line comments, and escaped lines which are skipped entirely
+                const end = text.indexOf('\n', i);
+                const stop = end === -1 ? text.length : end;
+                if (char === ';') tokens.push({ type: 'comment', value: text.slice(i + 1, stop) });
+                i = stop;
+            } else if (char === '[') {
+                // Tag pair
+                const end = text.indexOf(']', i + 1);
+                i = end === -1 ? text.length : end + 1;
+            } else if (char === '(' || char === ')') {
+                tokens.push({ type: char === '(' ? 'open' : 'close' });
+                i++;
+            } else {
+                const match = /^[^\s{}();[]+/.exec(text.slice(i, i + 64));
+                tokens.push(...this.readSymbol(match[0]));
+                i += match[0].length;
+            }
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Turns a run of non-delimiter characters into tokens: move numbers are dropped,
+     * suffix annotations ("e4!?") become NAGs
+     * @param {string} symbol - The characters up to the next whitespace or delimiter
+     * @returns {Array<Object>} - The tokens in the symbol
+     */
+    static readSymbol(symbol) {
+        if (RESULT_TOKENS.includes(symbol)) return [{ type: 'result', value: symbol }];
+
+        const nag = /^\$(\d+)$/.exec(symbol);
+        if (nag) return [{ type: 'nag', value: parseInt(nag[1]) }];
+
+        // "12.", "12..." and "12.e4" all carry a move number before the (optional) move
+        const move = symbol.replace(/^\d+\.*/, '');
+        if (!move) return [];
+
+        const [, san, suffix] = /^(.*?)([!?]*)$/.exec(move);
+        const tokens = san ? [{ type: 'move', value: san }] : [];
+        if (suffix && SuffixNAGs[suffix]) tokens.push({ type: 'nag', value: SuffixNAGs[suffix] });
+
+        return tokens;
+    }
+
+    /**
+     * Adds a comment to a move or line, pulling out embedded commands like [%clk 0:03:00]
+     * @param {Object} target - The move or line the comment belongs to
+     * @param {string} comment - The comment text (without braces)
+     */
+    static addComment(target, comment) {
+        const commandRegex = /\[%(\w+)\s+([^\]]*)\]/g;
+        let match;
+
+        while ((match = commandRegex.exec(comment)) !== null) {
+            const [, name, value] = match;
+            // Arrows and highlighted squares can be split over several commands, so those add up
+            target.commands[name] = SHAPE_COMMANDS.includes(name) && target.commands[name]
+                ? `${target.commands[name]},${value.trim()}`
+                : value.trim();
+        }
+
+        const text = comment.replace(commandRegex, '').replace(/\s+/g, ' ').trim();
+        if (text) target.comment = target.comment ? `${target.comment} ${text}` : text;
+    }
+
+    /**
+     * Reads the shapes of a [%cal] (arrows) or [%csl] (highlighted squares) command
+     * @param {string} value - The command's value, e.g. "Ge2e4,Rd7d5" or "Yd5"
+     * @returns {Array<string>} - The valid shapes: a color (G, R, B or Y) then one or two squares
+     */
+    static parseShapes(value = '') {
+        return value.split(',').map(shape => shape.trim()).filter(shape => /^[GRBY][a-h][1-8]([a-h][1-8])?$/.test(shape));
+    }
+
+    /**
+     * Formats NAGs for display
+     * @param {Array<number>} nags - The NAG numbers
+     * @returns {string} - Their symbols, e.g. "!? ±"
+     */
+    static formatNAGs(nags = []) {
+        return nags.map(nag => NAGSymbols[nag] || `$${nag}`).join(' ');
+    }
+
+    static createLine() {
+        return { comment: '', commands: {}, moves: [] };
+    }
+}
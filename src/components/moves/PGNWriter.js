@@ -0,0 +1,294 @@
+import { Chess } from "../../../libs/chess.js";
+import { Classification, MoveClassifier } from "../../classification/MoveClassifier.js";
+import { MoveEvaluator } from "../../evaluation/MoveEvaluator.js";
+import { IgnoredSuggestionTypes } from "./EngineLines.js";
+
+// Numeric Annotation Glyphs for the classifications that have one (!, !!, ?, ??, ?!)
+export const ClassificationNAGs = {
+    [Classification.GREAT.type]: 1,
+    [Classification.BRILLIANT.type]: 3,
+    [Classification.MISTAKE.type]: 2,
+    [Classification.MISS.type]: 2,
+    [Classification.BLUNDER.type]: 4,
+    [Classification.INACCURACY.type]: 6
+};
+
+// Placeholder MoveAnnotator returns for moves it has nothing to say about
+const DEFAULT_ANNOTATOR_COMMENT = "Default comment!";
+
+/**
+ * Writes the analysed MoveTree (mainline and variations) as an annotated PGN
+ * with [%eval]/[%clk]/[%csl]/[%cal] commands, NAGs from the move classifications and move comments
+ */
+export class PGNWriter {
+    static maxLineLength = 80;
+
+    /**
+     * Builds the annotated PGN for a move tree
+     * @param {MoveTree} moveTree - The move tree to export
+     * @param {Object} game - The loaded game ({ pgn, result, white, black })
+     * @returns {string} The annotated PGN
+     */
+    static write(moveTree, game = {}) {
+        const headers = this.buildHeaders(moveTree, game);
+
+        const tokens = [];
+        this.writeMainline(moveTree, tokens);
+        tokens.push(headers.Result);
+
+        const headerText = Object.entries(headers)
+            .map(([key, value]) => `[${key} "${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"]`)
+            .join('\n');
+
+        return `${headerText}\n\n${this.wrap(tokens)}\n`;
+    }
+
+    /**
+     * Keeps the original PGN headers and fills in the Seven Tag Roster, start position and opening
+     * @param {MoveTree} moveTree - The move tree to export
+     * @param {Object} game - The loaded game
+     * @returns {Object} Header values keyed by tag name, in output order
+     */
+    static buildHeaders(moveTree, game) {
+        const original = {};
+        const headerRegex = /\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]/g;
+        let match;
+        while ((match = headerRegex.exec(game.pgn || '')) !== null) {
+            original[match[1]] = match[2].replace(/\\(["\\])/g, '$1');
+        }
+
+        const headers = {
+            Event: original.Event || '?',
+            Site: original.Site || '?',
+            Date: original.Date || '????.??.??',
+            Round: original.Round || '?',
+            White: original.White || game.white?.name || '?',
+            Black: original.Black || game.black?.name || '?',
+            Result: original.Result || game.result || '*',
+            ...original
+        };
+
+        // Games that don't start from the standard position need SetUp/FEN to be replayable
+        const rootFen = moveTree.mainline[0].fen;
+        if (rootFen && rootFen !== MoveEvaluator.startPositionEvaluation.fen) {
+            headers.SetUp = '1';
+            headers.FEN = rootFen;
+        } else {
+            const opening = MoveClassifier.getOpening(moveTree.mainline.slice(1).map(node => node.san));
+            if (opening) {
+                headers.ECO = headers.ECO || opening.eco;
+                headers.Opening = opening.name;
+            }
+        }
+
+        headers.Annotator = 'CentiChess';
+
+        return headers;
+    }
+
+    /**
+     * Adds the mainline moves, each followed by the variations that branch off before it
+     * @param {MoveTree} moveTree - The move tree to export
+     * @param {Array<string>} tokens - Output tokens
+     */
+    static writeMainline(moveTree, tokens) {
+        const mainline = moveTree.mainline;
+        let needsNumber = true;
+
+        const rootComment = [...this.buildShapeCommands(mainline[0]), mainline[0].comment].filter(Boolean).join(' ');
+        if (rootComment) tokens.push(`{ ${rootComment} }`);
+
+        for (let i = 1; i < mainline.length; i++) {
+            const node = mainline[i];
+            const alternatives = mainline[i - 1].children;
+
+            needsNumber = this.writeMove(node, mainline[i - 1], tokens, needsNumber);
+
+            alternatives.forEach(variation => this.writeVariationInParentheses(variation, mainline[i - 1], tokens));
+            if (alternatives.length > 0) needsNumber = true;
+        }
+
+        // Variations played from the last mainline position have no mainline move to follow
+        const last = mainline[mainline.length - 1];
+        last.children.forEach(variation => this.writeVariationInParentheses(variation, last, tokens));
+    }
+
+    /**
+     * Adds a variation wrapped in parentheses, which are attached to its first and last tokens
+     * @param {Object} node - First node of the variation
+     * @param {Object} parent - Node the variation branches from
+     * @param {Array<string>} tokens - Output tokens
+     */
+    static writeVariationInParentheses(node, parent, tokens) {
+        const variationTokens = [];
+        this.writeVariation(node, parent, variationTokens);
+
+        variationTokens[0] = `(${variationTokens[0]}`;
+        variationTokens[variationTokens.length - 1] += ')';
+        tokens.push(...variationTokens);
+    }
+
+    /**
+     * Adds a variation: its first child continues the line, the other children are nested variations
+     * @param {Object} node - First node of the variation
+     * @param {Object} parent - Node the variation branches from
+     * @param {Array<string>} tokens - Output tokens
+     */
+    static writeVariation(node, parent, tokens) {
+        if (node.preComment) tokens.push(`{ ${node.preComment} }`);
+
+        let needsNumber = this.writeMove(node, parent, tokens, true);
+        let current = node;
+
+        while (current.children.length > 0) {
+            const [next, ...alternatives] = current.children;
+            needsNumber = this.writeMove(next, current, tokens, needsNumber);
+
+            alternatives.forEach(variation => this.writeVariationInParentheses(variation, current, tokens));
+            if (alternatives.length > 0) needsNumber = true;
+
+            current = next;
+        }
+    }
+
+    /**
+     * Adds a single move with its number, NAG and comment
+     * @param {Object} node - The move's tree node
+     * @param {Object} parent - The node before the move
+     * @param {Array<string>} tokens - Output tokens
+     * @param {boolean} needsNumber - Whether a black move needs its "N..." number (after a comment or variation)
+     * @returns {boolean} Whether the next move needs its number repeated
+     */
+    static writeMove(node, parent, tokens, needsNumber) {
+        const moveNumber = Math.floor(node.moveNumber);
+        if (node.move.color === 'w') {
+            tokens.push(`${moveNumber}.`);
+        } else if (needsNumber) {
+            tokens.push(`${moveNumber}...`);
+        }
+
+        tokens.push(node.san);
+
+        // NAGs imported with the PGN are kept; the classification's only fills in a missing move assessment (!, ?, ...)
+        const nags = [...(node.nags || [])];
+        const classificationNAG = ClassificationNAGs[node.classification];
+        if (classificationNAG && !nags.some(nag => nag >= 1 && nag <= 6)) nags.unshift(classificationNAG);
+        nags.forEach(nag => tokens.push(`$${nag}`));
+
+        const comment = this.buildComment(node, parent);
+        if (comment) {
+            tokens.push(`{ ${comment} }`);
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Builds the comment for a move: eval, clock and shape commands, the imported comment, then the classification text
+     * @param {Object} node - The move's tree node
+     * @param {Object} parent - The node before the move
+     * @returns {string} The comment text (without braces), empty if there's nothing to say
+     */
+    static buildComment(node, parent) {
+        const parts = [];
+
+        const topLine = node.evaluatedMove?.lines?.find(line => line.id === 1);
+        if (topLine) {
+            // Scores are from white's point of view, which is what [%eval] expects
+            parts.push(topLine.type === 'mate'
+                ? `[%eval #${topLine.score}]`
+                : `[%eval ${(topLine.score / 100).toFixed(2)}]`);
+        }
+
+        if (node.clock) {
+            parts.push(`[%clk ${node.clock}]`);
+        }
+
+        parts.push(...this.buildShapeCommands(node));
+
+        if (node.comment) {
+            parts.push(node.comment);
+        }
+
+        const classification = node.classification && Classification[node.classification.toUpperCase()];
+        if (classification) {
+            parts.push(`${node.san} ${classification.comment}`);
+
+            const annotatorComment = node.evaluatedMove?.comment;
+            if (annotatorComment && annotatorComment !== DEFAULT_ANNOTATOR_COMMENT) {
+                parts.push(annotatorComment);
+            }
+
+            const bestMove = this.getBestMoveSAN(node, parent);
+            if (bestMove) {
+                parts.push(`Best was ${bestMove}.`);
+            }
+        }
+
+        return parts.join(' ');
+    }
+
+    /**
+     * Builds the [%csl]/[%cal] commands for a node's highlighted squares and arrows
+     * @param {Object} node - The tree node
+     * @returns {Array<string>} The commands, empty if the node has no shapes
+     */
+    static buildShapeCommands(node) {
+        const commands = [];
+        if (node.highlights?.length > 0) commands.push(`[%csl ${node.highlights.join(',')}]`);
+        if (node.arrows?.length > 0) commands.push(`[%cal ${node.arrows.join(',')}]`);
+        return commands;
+    }
+
+    /**
+     * Gets the engine's best move in the parent position when the played move wasn't good enough
+     * @param {Object} node - The move's tree node
+     * @param {Object} parent - The node before the move
+     * @returns {string|null} The best move in SAN, or null
+     */
+    static getBestMoveSAN(node, parent) {
+        if (IgnoredSuggestionTypes.includes(node.classification)) return null;
+
+        const bestLine = parent?.evaluatedMove?.lines?.find(line => line.id === 1);
+        const bestMoveUci = bestLine?.uciMove || bestLine?.pv?.[0];
+        if (!bestMoveUci || !parent.fen || bestMoveUci === node.move.from + node.move.to + (node.move.promotion || '')) {
+            return null;
+        }
+
+        try {
+            const chess = new Chess(parent.fen);
+            return chess.move({
+                from: bestMoveUci.slice(0, 2),
+                to: bestMoveUci.slice(2, 4),
+                promotion: bestMoveUci[4]
+            })?.san || null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Joins movetext tokens into lines of at most maxLineLength characters
+     * @param {Array<string>} tokens - Output tokens
+     * @returns {string} The wrapped movetext
+     */
+    static wrap(tokens) {
+        const lines = [];
+        let line = '';
+
+        // Comments are split into words so long comments wrap too
+        const words = tokens.join(' ').split(' ');
+        for (const word of words) {
+            if (line && line.length + word.length + 1 > this.maxLineLength) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = line ? `${line} ${word}` : word;
+            }
+        }
+        if (line) lines.push(line);
+
+        return lines.join('\n');
+    }
+}
@@ -1,3 +1,5 @@
+import { WinDrawLoss } from "../../evaluation/WinDrawLoss.js";
+
 /**
  * Manages the rendering of the game evaluation graph
  */
@@ -13,6 +15,7 @@ export class GameGraph {
     static scaleFactor = 2;
     static initialized = false;
     static clickCallback = null;
+    static firstMoveNumber = 1;
 
     static get canvasElement() {
         if (!this.canvas) {
@@ -47,6 +50,14 @@ export class GameGraph {
 
     static setAnalysis(analysis) {
         this.analysis = analysis;
+
+        // Move number of analysis.moves[0], which isn't 1 for games set up from a FEN
+        this.firstMoveNumber = 1;
+        if (analysis?.startFen) {
+            const [, turn, , , , fullMove] = analysis.startFen.split(' ');
+            this.firstMoveNumber = (parseInt(fullMove) || 1) + (turn === 'b' ? 0.5 : 0);
+        }
+
         this.render();
     }
 
@@ -207,10 +218,11 @@ export class GameGraph {
             }
 
             if (this.currentMove) {
-                const move = moves[2 * this.currentMove - 2];
+                const moveIndex = 2 * (this.currentMove - this.firstMoveNumber);
+                const move = moves[moveIndex];
                 if (!move) return;
 
-                const offset = increment * this.currentMove * 2 - increment * 2;
+                const offset = increment * moveIndex;
                 
                 // Draw colored vertical line with transparency
                 const classificationColor = move.classification.color;
@@ -257,11 +269,14 @@ export class GameGraph {
     
     static drawEvaluationPopup(move, x, y) {
         const ctx = this.ctx;
-        const popupWidth = 40 * this.scaleFactor;
-        const popupHeight = 22 * this.scaleFactor;
+        const bestLine = move.lines.find(line => line.id === 1);
+
+        // Lines with win/draw/loss odds get a wider popup with them under the score
+        const wdlText = bestLine?.wdl ? WinDrawLoss.format(bestLine.wdl) : null;
+        const popupWidth = (wdlText ? 112 : 40) * this.scaleFactor;
+        const popupHeight = (wdlText ? 34 : 22) * this.scaleFactor;
 
         let evalText;
-        const bestLine = move.lines.find(line => line.id === 1);
         if (bestLine) {
             const evalValue = bestLine.score / 100;
             const isMate = bestLine.type === 'mate';
@@ -283,6 +298,11 @@ export class GameGraph {
         ctx.font = `bold ${12 * this.scaleFactor}px Arial`;
         ctx.textAlign = 'center';
         ctx.fillText(`${evalText}`, adjustedX + popupWidth/2, adjustedY + 15 * this.scaleFactor);
+
+        if (wdlText) {
+            ctx.font = `${10 * this.scaleFactor}px Arial`;
+            ctx.fillText(wdlText, adjustedX + popupWidth/2, adjustedY + 28 * this.scaleFactor);
+        }
     }
     
     static roundRect(ctx, x, y, width, height, radius, fill, stroke) {
@@ -1,4 +1,6 @@
 import { Classification } from '../../classification/MoveClassifier.js';
+import { TacticalMotifs, Motif } from '../../classification/TacticalMotifs.js';
+import { ReviewSchedule } from '../training/ReviewSchedule.js';
 
 /**
  * GameStats utility class for displaying player statistics comparison
@@ -58,6 +60,7 @@ export class GameStats {
             .append('<hr class="stats-divider">')
             .append(this.createMovesSection(analysis))
             .append('<hr class="stats-divider">')
+            .append(this.createMotifsSection(analysis))
             .append(this.createStatsRow('Game Rating', 
                 analysis.white.elo ? Math.ceil(analysis.white.elo / 10) * 10 : 1400, 
                 analysis.black.elo ? Math.ceil(analysis.black.elo / 10) * 10 : 1400, 
@@ -66,6 +69,8 @@ export class GameStats {
             .append(this.createPhaseClassificationsRow('Middlegame', phaseClassifications?.white?.middlegame, phaseClassifications?.black?.middlegame, analysis.phaseAnalysis?.middlegame))
             .append(this.createPhaseClassificationsRow('Endgame', phaseClassifications?.white?.endgame, phaseClassifications?.black?.endgame, analysis.phaseAnalysis?.endgame))
             .append(this.createLearnButton())
+            .append(this.createPuzzlesButton())
+            .append(this.createReviewDashboard())
             .append(this.createStartReviewButton());
 
 
@@ -357,6 +362,40 @@ export class GameStats {
         return movesSection;
     }
 
+    /**
+     * Creates the breakdown of tactical motifs behind each player's mistakes
+     * @param {Object} analysis - The game analysis data
+     * @returns {jQuery|null} The motifs section element, or null if no mistake involved a motif
+     */
+    static createMotifsSection(analysis) {
+        const whiteMotifs = analysis.white.motifs || {};
+        const blackMotifs = analysis.black.motifs || {};
+
+        // Most frequent motifs first
+        const types = Object.values(Motif)
+            .map(motif => motif.type)
+            .filter(type => whiteMotifs[type] || blackMotifs[type])
+            .sort((a, b) => ((whiteMotifs[b] || 0) + (blackMotifs[b] || 0)) - ((whiteMotifs[a] || 0) + (blackMotifs[a] || 0)));
+
+        if (types.length === 0) return null;
+
+        const motifsSection = $('<div class="stats-motifs"></div>');
+        motifsSection.append(`<div class="stats-row">
+            <div class="stats-label">Tactics missed</div>
+        </div>`);
+
+        types.forEach(type => {
+            motifsSection.append(`<div class="stats-row stats-motif-row">
+                <div class="stats-label">${TacticalMotifs.getLabel(type)}</div>
+                <div class="stats-count">${whiteMotifs[type] || 0}</div>
+                <div class="stats-icon"></div>
+                <div class="stats-count">${blackMotifs[type] || 0}</div>
+            </div>`);
+        });
+
+        return motifsSection.add('<hr class="stats-divider">');
+    }
+
     /**
      * Creates the "Learn from Mistakes" button
      * @returns {jQuery} The learn button element
@@ -372,6 +411,52 @@ export class GameStats {
         `);
     }
 
+    /**
+     * Creates the "Solve Puzzles" button for the saved puzzle collection
+     * @returns {jQuery} The puzzles button element
+     */
+    static createPuzzlesButton() {
+        return $(`
+            <button id="solve-puzzles" class="learn-button">
+                <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 512 512" width="18" height="18" fill="currentColor">
+                    <path d="M192 104.8c0-9.2-5.8-17.3-13.2-22.8C167.2 73.3 160 61.3 160 48c0-26.5 28.7-48 64-48s64 21.5 64 48c0 13.3-7.2 25.3-18.8 34c-7.4 5.5-13.2 13.6-13.2 22.8c0 12.8 10.4 23.2 23.2 23.2H336c26.5 0 48 21.5 48 48v56.8c0 12.8 10.4 23.2 23.2 23.2c9.2 0 17.3-5.8 22.8-13.2c8.7-11.6 20.7-18.8 34-18.8c26.5 0 48 28.7 48 64s-21.5 64-48 64c-13.3 0-25.3-7.2-34-18.8c-5.5-7.4-13.6-13.2-22.8-13.2c-12.8 0-23.2 10.4-23.2 23.2V464c0 26.5-21.5 48-48 48H279.2c-12.8 0-23.2-10.4-23.2-23.2c0-9.2 5.8-17.3 13.2-22.8c11.6-8.7 18.8-20.7 18.8-34c0-26.5-28.7-48-64-48s-64 21.5-64 48c0 13.3 7.2 25.3 18.8 34c7.4 5.5 13.2 13.6 13.2 22.8c0 12.8-10.4 23.2-23.2 23.2H48c-26.5 0-48-21.5-48-48V343.2C0 330.4 10.4 320 23.2 320c9.2 0 17.3 5.8 22.8 13.2C54.7 344.8 66.7 352 80 352c26.5 0 48-28.7 48-64s-21.5-64-48-64c-13.3 0-25.3 7.2-34 18.8C40.5 250.2 32.4 256 23.2 256C10.4 256 0 245.6 0 232.8V176c0-26.5 21.5-48 48-48H168.8c12.8 0 23.2-10.4 23.2-23.2z"/>
+                </svg>
+                Solve Puzzles
+            </button>
+        `);
+    }
+
+    /**
+     * Creates the spaced repetition dashboard: mistakes due, saved and learned, the share of
+     * reviews answered correctly, and the "Review due" button
+     * @returns {jQuery} The dashboard element
+     */
+    static createReviewDashboard() {
+        const stats = ReviewSchedule.getStats();
+        const retention = stats.retention === null ? '-' : `${Math.round(stats.retention * 100)}%`;
+
+        const dashboard = $(`<div class="review-dashboard">
+            <div class="review-dashboard-stats">
+                <div class="review-stat"><span class="review-stat-value">${stats.due}</span><span class="review-stat-label">Due</span></div>
+                <div class="review-stat"><span class="review-stat-value">${stats.total}</span><span class="review-stat-label">Saved</span></div>
+                <div class="review-stat"><span class="review-stat-value">${stats.learned}</span><span class="review-stat-label">Learned</span></div>
+                <div class="review-stat"><span class="review-stat-value">${retention}</span><span class="review-stat-label">Retention</span></div>
+            </div>
+            <button id="review-due" class="learn-button">
+                <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 512 512" width="18" height="18" fill="currentColor">
+                    <path d="M75 75L41 41C25.9 25.9 0 36.6 0 57.9V168c0 13.3 10.7 24 24 24H134.1c21.4 0 32.1-25.9 17-41l-30.8-30.8C155 85.5 203 64 256 64c106 0 192 86 192 192s-86 192-192 192c-40.8 0-78.6-12.7-109.7-34.4c-14.5-10.1-34.4-6.6-44.6 7.9s-6.6 34.4 7.9 44.6C151.2 495 201.7 512 256 512c141.4 0 256-114.6 256-256S397.4 0 256 0C185.3 0 121.3 28.7 75 75zm181 53c-13.3 0-24 10.7-24 24V256c0 6.4 2.5 12.5 7 17l72 72c9.4 9.4 24.6 9.4 33.9 0s9.4-24.6 0-33.9l-65-65V152c0-13.3-10.7-24-24-24z"/>
+                </svg>
+                Review due (${stats.due})
+            </button>
+        </div>`);
+
+        if (stats.due === 0) {
+            dashboard.find('#review-due').prop('disabled', true);
+        }
+
+        return dashboard;
+    }
+
     /**
      * Creates the "Start Review" button
      * @returns {jQuery} The start review button element
@@ -0,0 +1,266 @@
+import { Classification } from '../../classification/MoveClassifier.js';
+import { MoveEvaluator } from '../../evaluation/MoveEvaluator.js';
+
+const PHASES = ['opening', 'middlegame', 'endgame'];
+
+// Classifications in the order they're listed in the report
+const REPORT_CLASSIFICATIONS = [
+    Classification.BRILLIANT,
+    Classification.GREAT,
+    Classification.BEST,
+    Classification.EXCELLENT,
+    Classification.GOOD,
+    Classification.THEORY,
+    Classification.INACCURACY,
+    Classification.MISTAKE,
+    Classification.MISS,
+    Classification.BLUNDER
+];
+
+/**
+ * Aggregates batch analysis results per player and renders/exports the player report
+ */
+export class PlayerReport {
+    /**
+     * Aggregates game summaries from BatchAnalysis into per-player statistics
+     * @param {Array<Object>} results - Game summaries from BatchAnalysis.run
+     * @returns {Object} - { generated, games, players } with players sorted by number of games
+     */
+    static build(results) {
+        const players = new Map();
+
+        results.forEach(game => {
+            ['white', 'black'].forEach(color => {
+                const summary = game.players[color];
+                const key = summary.name.toLowerCase();
+
+                if (!players.has(key)) {
+                    players.set(key, {
+                        name: summary.name,
+                        games: [],
+                        counts: {},
+                        errors: {}
+                    });
+                }
+
+                const player = players.get(key);
+                const score = game.result === '1/2-1/2' ? 0.5
+                    : game.result === (color === 'white' ? '1-0' : '0-1') ? 1
+                    : game.result === '*' ? null : 0;
+
+                player.games.push({ ...summary, color, score, result: game.result, date: game.date, event: game.event });
+
+                Object.entries(summary.counts).forEach(([type, count]) => {
+                    player.counts[type] = (player.counts[type] || 0) + count;
+                });
+                Object.entries(summary.errors).forEach(([type, count]) => {
+                    player.errors[type] = (player.errors[type] || 0) + count;
+                });
+            });
+        });
+
+        return {
+            generated: new Date().toISOString(),
+            games: results.length,
+            players: [...players.values()]
+                .map(player => this.summarizePlayer(player))
+                .sort((a, b) => b.games - a.games)
+        };
+    }
+
+    /**
+     * Turns a player's collected games into averages and totals
+     * @param {Object} player - { name, games, counts, errors }
+     * @returns {Object} - The player's report entry
+     */
+    static summarizePlayer(player) {
+        const average = (values) => {
+            const numbers = values.filter(value => typeof value === 'number' && !isNaN(value));
+            return numbers.length ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length : null;
+        };
+
+        const finished = player.games.filter(game => game.score !== null);
+
+        const phases = {};
+        PHASES.forEach(phase => {
+            const accuracy = average(player.games.map(game => game.phases[phase]));
+            phases[phase] = {
+                accuracy,
+                classification: accuracy !== null ? MoveEvaluator.getPhaseClassification(accuracy).type : null
+            };
+        });
+
+        const estimatedElo = average(player.games.map(game => game.elo));
+        const averageRating = average(player.games.map(game => game.rating));
+
+        return {
+            name: player.name,
+            games: player.games.length,
+            wins: finished.filter(game => game.score === 1).length,
+            draws: finished.filter(game => game.score === 0.5).length,
+            losses: finished.filter(game => game.score === 0).length,
+            score: finished.length ? finished.reduce((sum, game) => sum + game.score, 0) / finished.length : null,
+            averageRating: averageRating !== null ? Math.round(averageRating) : null,
+            accuracy: average(player.games.map(game => game.accuracy)),
+            estimatedElo: estimatedElo !== null ? Math.round(estimatedElo) : null,
+            counts: player.counts,
+            phases,
+            errorTypes: Object.entries(player.errors)
+                .map(([type, count]) => ({ type, count }))
+                .sort((a, b) => b.count - a.count),
+            gameList: player.games.map(({ color, result, date, event, accuracy, elo, rating }) =>
+                ({ color, result, date, event, accuracy, elo, rating }))
+        };
+    }
+
+    /**
+     * Renders the report for one player, with a selector to switch between the players
+     * @param {jQuery|string} container - The container element or selector
+     * @param {Object} report - Report from build()
+     * @param {number} playerIndex - Index of the player to show
+     */
+    static render(container, report, playerIndex = 0) {
+        const $container = $(container);
+        $container.empty();
+
+        if (!report.players.length) {
+            $container.append('<p class="player-report-empty">None of the games could be analysed.</p>');
+            return;
+        }
+
+        const player = report.players[playerIndex] || report.players[0];
+        const percent = (value) => value !== null ? `${(value * 100).toFixed(1)}` : '-';
+        const escape = (text) => String(text).replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+
+        const $select = $('<select class="player-report-select"></select>');
+        report.players.forEach((entry, index) => {
+            $select.append(`<option value="${index}" ${entry === player ? 'selected' : ''}>${escape(entry.name)} (${entry.games} ${entry.games === 1 ? 'game' : 'games'})</option>`);
+        });
+        $select.on('change', () => this.render(container, report, Number($select.val())));
+
+        const $report = $('<div class="player-report"></div>')
+            .append($('<div class="player-report-header"></div>').append($select))
+            .append(this.createRow('Record', `${player.wins} / ${player.draws} / ${player.losses}`))
+            .append(this.createRow('Score', player.score !== null ? `${percent(player.score)}%` : '-'))
+            .append(this.createRow('Accuracy', percent(player.accuracy)))
+            .append(this.createRow('Estimated Elo', player.estimatedElo ? Math.ceil(player.estimatedElo / 10) * 10 : '-'))
+            .append(this.createRow('Average rating', player.averageRating || '-'))
+            .append('<hr class="stats-divider">');
+
+        PHASES.forEach(phase => {
+            const { accuracy, classification } = player.phases[phase];
+            const label = phase.charAt(0).toUpperCase() + phase.slice(1);
+            const icon = classification
+                ? `<img src="${Classification[classification.toUpperCase()].src}" alt="${classification}" class="stats-icon">`
+                : '';
+            $report.append(this.createRow(label, accuracy !== null ? percent(accuracy) : '-', icon));
+        });
+
+        $report.append('<hr class="stats-divider">');
+
+        REPORT_CLASSIFICATIONS.forEach(classif => {
+            const label = classif.type.charAt(0).toUpperCase() + classif.type.slice(1);
+            const perGame = (player.counts[classif.type] || 0) / player.games;
+            $report.append(this.createRow(label,
+                `<span class="stats-move ${classif.class}">${player.counts[classif.type] || 0}</span> <span class="player-report-per-game">(${perGame.toFixed(1)}/game)</span>`,
+                `<img src="${classif.src}" alt="${classif.type}" class="stats-icon">`));
+        });
+
+        $report.append('<hr class="stats-divider">')
+            .append('<h4 class="player-report-title">Most frequent errors</h4>');
+
+        if (player.errorTypes.length) {
+            player.errorTypes.slice(0, 5).forEach(({ type, count }) => {
+                $report.append(this.createRow(type, count));
+            });
+        } else {
+            $report.append('<p class="player-report-empty">No mistakes, misses or blunders.</p>');
+        }
+
+        $container.append($report);
+    }
+
+    /**
+     * Creates a label/value row of the report
+     * @param {string} label - Row label
+     * @param {string|number} value - Row value (may contain HTML)
+     * @param {string} icon - Optional icon HTML
+     * @returns {jQuery} The row element
+     */
+    static createRow(label, value, icon = '') {
+        return $(`<div class="player-report-row">
+            <div class="stats-label">${label}</div>
+            <div class="player-report-icon">${icon}</div>
+            <div class="player-report-value">${value}</div>
+        </div>`);
+    }
+
+    /**
+     * Serializes the report as JSON
+     * @param {Object} report - Report from build()
+     * @returns {string} The JSON text
+     */
+    static toJSON(report) {
+        return JSON.stringify(report, null, 2);
+    }
+
+    /**
+     * Serializes the report as CSV, one row per player
+     * @param {Object} report - Report from build()
+     * @returns {string} The CSV text
+     */
+    static toCSV(report) {
+        const columns = [
+            'Player', 'Games', 'Wins', 'Draws', 'Losses', 'Score', 'Average Rating', 'Accuracy', 'Estimated Elo',
+            ...PHASES.map(phase => `${phase.charAt(0).toUpperCase() + phase.slice(1)} Accuracy`),
+            ...REPORT_CLASSIFICATIONS.map(classif => classif.type.charAt(0).toUpperCase() + classif.type.slice(1)),
+            'Most Frequent Errors'
+        ];
+
+        const format = (value) => value === null || value === undefined ? '' : value;
+        const percent = (value) => value === null ? '' : (value * 100).toFixed(1);
+        const escape = (value) => {
+            const text = String(format(value));
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const rows = report.players.map(player => [
+            player.name,
+            player.games,
+            player.wins,
+            player.draws,
+            player.losses,
+            percent(player.score),
+            player.averageRating,
+            percent(player.accuracy),
+            player.estimatedElo,
+            ...PHASES.map(phase => percent(player.phases[phase].accuracy)),
+            ...REPORT_CLASSIFICATIONS.map(classif => player.counts[classif.type] || 0),
+            player.errorTypes.map(({ type, count }) => `${type} (${count})`).join('; ')
+        ]);
+
+        return [columns, ...rows].map(row => row.map(escape).join(',')).join('\n');
+    }
+
+    /**
+     * Downloads the report as a file
+     * @param {Object} report - Report from build()
+     * @param {string} format - 'json' or 'csv'
+     */
+    static download(report, format = 'json') {
+        const content = format === 'csv' ? this.toCSV(report) : this.toJSON(report);
+        const type = format === 'csv' ? 'text/csv' : 'application/json';
+
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `player-report-${new Date().toISOString().split('T')[0]}.${format}`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+}
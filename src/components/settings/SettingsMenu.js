@@ -1,3 +1,7 @@
+import { EvaluationCache } from '../../evaluation/EvaluationCache.js';
+import { OfflineCache } from '../../evaluation/OfflineCache.js';
+import { ClassificationProfile, ClassificationProfiles } from '../../classification/ClassificationProfile.js';
+
 export class SettingsMenu {
     constructor(containerSelector) {
         this.container = document.querySelector(containerSelector);
@@ -160,8 +164,35 @@ export class SettingsMenu {
                                 format: (v) => v === 0 ? 'Auto' : String(v),
                                 affectsPreset: 'engineStrength',
                             },
+                            {
+                                key: 'enginePoolSize',
+                                type: 'slider',
+                                label: 'Engines',
+                                description: 'Number of engines kept loaded for analysis (Auto = based on your device)',
+                                defaultValue: 0,
+                                min: 0,
+                                max: 8,
+                                step: 1,
+                                format: (v) => v === 0 ? 'Auto' : String(v),
+                            },
+                            {
+                                key: 'useEmbeddedEvals',
+                                type: 'toggle',
+                                label: 'Use PGN Evaluations',
+                                description: 'Use the [%eval] scores in imported PGNs (e.g. games Lichess already analysed), running only a quick search for the best moves where a score is present',
+                                defaultValue: true,
+                                path: 'useEmbeddedEvals'
+                            },
                         ]
                     },
+                    'evaluationCache': {
+                        type: 'button',
+                        label: 'Analysis Cache',
+                        description: 'Engine lines saved in this browser, so games you reopen load instantly',
+                        buttonText: 'Clear',
+                        action: 'clearEvaluationCache',
+                        status: 'evaluationCacheSize'
+                    },
                     'bestMoveSettings': {
                         type: 'group',
                         label: 'Best Move',
@@ -231,6 +262,100 @@ export class SettingsMenu {
                     }
                 },
             },
+            'Move Classification': {
+                settings: {
+                    'classificationSettings': {
+                        type: 'group',
+                        label: 'Move Classification',
+                        description: 'How harshly moves are classified (changes apply to the loaded game instantly)',
+                        settings: [
+                            {
+                                key: 'classificationProfile',
+                                type: 'dropdown',
+                                label: 'Profile',
+                                description: 'Threshold presets, from strict to lenient or matched to a rating band',
+                                defaultValue: 'standard',
+                                options: [
+                                    ...Object.entries(ClassificationProfiles).map(([value, profile]) => ({ value, label: profile.label })),
+                                    { value: 'custom', label: 'Custom' }
+                                ],
+                                presetActions: ClassificationProfile.getPresetActions()
+                            },
+                            {
+                                key: 'excellentThreshold',
+                                type: 'slider',
+                                label: 'Excellent',
+                                description: 'Maximum centipawn loss for an excellent move in an equal position',
+                                defaultValue: ClassificationProfiles.standard.excellent,
+                                min: 5,
+                                max: 100,
+                                step: 1,
+                                format: (v) => `${v}cp`,
+                                affectsPreset: 'classificationProfile',
+                            },
+                            {
+                                key: 'goodThreshold',
+                                type: 'slider',
+                                label: 'Good',
+                                description: 'Maximum centipawn loss for a good move in an equal position',
+                                defaultValue: ClassificationProfiles.standard.good,
+                                min: 10,
+                                max: 200,
+                                step: 1,
+                                format: (v) => `${v}cp`,
+                                affectsPreset: 'classificationProfile',
+                            },
+                            {
+                                key: 'inaccuracyThreshold',
+                                type: 'slider',
+                                label: 'Inaccuracy',
+                                description: 'Maximum centipawn loss for an inaccuracy in an equal position',
+                                defaultValue: ClassificationProfiles.standard.inaccuracy,
+                                min: 20,
+                                max: 400,
+                                step: 1,
+                                format: (v) => `${v}cp`,
+                                affectsPreset: 'classificationProfile',
+                            },
+                            {
+                                key: 'mistakeThreshold',
+                                type: 'slider',
+                                label: 'Mistake',
+                                description: 'Maximum centipawn loss for a mistake in an equal position (anything more is a blunder)',
+                                defaultValue: ClassificationProfiles.standard.mistake,
+                                min: 50,
+                                max: 800,
+                                step: 1,
+                                format: (v) => `${v}cp`,
+                                affectsPreset: 'classificationProfile',
+                            },
+                            {
+                                key: 'evalScaling',
+                                type: 'slider',
+                                label: 'Eval Scaling',
+                                description: 'How much the thresholds widen when the position was already unbalanced',
+                                defaultValue: ClassificationProfiles.standard.evalScaling,
+                                min: 0,
+                                max: 200,
+                                step: 5,
+                                format: (v) => `${v}%`,
+                                affectsPreset: 'classificationProfile',
+                            },
+                            {
+                                key: 'accuracyModel',
+                                type: 'dropdown',
+                                label: 'Accuracy Model',
+                                description: 'How move accuracy is scored: from each move\'s classification, or from the win % it lost like Lichess',
+                                defaultValue: 'classification',
+                                options: [
+                                    { value: 'classification', label: 'Classification' },
+                                    { value: 'lichess', label: 'Lichess (win %)' }
+                                ]
+                            },
+                        ]
+                    }
+                },
+            },
             'Learn Mode Settings': {
                 settings: {
                     'learnModeSettings': {
@@ -962,7 +1087,23 @@ export class SettingsMenu {
         button.type = 'button';
         button.setAttribute('data-action', config.action || '');
         
-        return button;
+        if (!config.status) {
+            return button;
+        }
+
+        // Buttons with a status show it next to them (e.g. the size of what they clear)
+        const container = document.createElement('div');
+        container.className = 'setting-button-container';
+
+        const status = document.createElement('span');
+        status.className = 'setting-button-status';
+        status.setAttribute('data-status', config.status);
+
+        container.appendChild(status);
+        container.appendChild(button);
+        this._updateActionStatus(status);
+
+        return container;
     }
 
     /**
@@ -1377,7 +1518,8 @@ export class SettingsMenu {
      */
     _executeAction(actionName) {
         const actions = {
-            'clearAllSettings': () => this.clearAllSettings()
+            'clearAllSettings': () => this.clearAllSettings(),
+            'clearEvaluationCache': () => this.clearEvaluationCache()
         };
         
         const action = actions[actionName];
@@ -1386,6 +1528,31 @@ export class SettingsMenu {
         }
     }
 
+    /**
+     * Fill a button status element from its predefined status provider
+     */
+    async _updateActionStatus(element) {
+        const statuses = {
+            'evaluationCacheSize': async () => {
+                const { count, bytes } = await EvaluationCache.getSize();
+                const size = bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+                return `${count} positions (${size})`;
+            }
+        };
+
+        const status = statuses[element.getAttribute('data-status')];
+        if (status) {
+            element.textContent = await status();
+        }
+    }
+
+    /**
+     * Refresh every button status (e.g. when the settings tab is opened)
+     */
+    refreshActionStatuses() {
+        this.container.querySelectorAll('[data-status]').forEach(element => this._updateActionStatus(element));
+    }
+
     /**
      * Update chessboard settings
      */
@@ -1548,6 +1715,16 @@ export class SettingsMenu {
         }
     }
 
+    /**
+     * Clear the cached engine evaluations
+     */
+    async clearEvaluationCache() {
+        if (!confirm('This will delete all saved engine analysis. Continue?')) return;
+
+        await EvaluationCache.clear();
+        this.refreshActionStatuses();
+    }
+
     /**
      * Traverse all settings in the config
      */
@@ -1578,6 +1755,20 @@ export class SettingsMenu {
         return config?.defaultValue || null;
     }
 
+    /**
+     * Gets the classification thresholds from the profile settings
+     * @returns {Object} - { excellent, good, inaccuracy, mistake, evalScaling }, see ClassificationProfiles
+     */
+    getClassificationProfile() {
+        return {
+            excellent: this.getSettingValue('excellentThreshold') ?? ClassificationProfiles.standard.excellent,
+            good: this.getSettingValue('goodThreshold') ?? ClassificationProfiles.standard.good,
+            inaccuracy: this.getSettingValue('inaccuracyThreshold') ?? ClassificationProfiles.standard.inaccuracy,
+            mistake: this.getSettingValue('mistakeThreshold') ?? ClassificationProfiles.standard.mistake,
+            evalScaling: this.getSettingValue('evalScaling') ?? ClassificationProfiles.standard.evalScaling
+        };
+    }
+
     /**
      * Cookie management methods
      */
@@ -1679,6 +1870,21 @@ export class SettingsMenu {
             this._syncRelatedSettings([{ path, value }]);
         }
         
+        // Keep the newly selected engine available offline
+        if (settingKey === 'engineType') {
+            OfflineCache.precacheEngine(value);
+        }
+
+        // Rescore the analysed game with the new accuracy model
+        if (settingKey === 'accuracyModel') {
+            window.dispatchEvent(new CustomEvent('accuracyModelChanged', { detail: value }));
+        }
+
+        // Re-classify the analysed game when the profile or one of its thresholds changes
+        if (settingKey === 'classificationProfile' || config?.affectsPreset === 'classificationProfile') {
+            window.dispatchEvent(new CustomEvent('classificationProfileChanged', { detail: this.getClassificationProfile() }));
+        }
+
         // Auto-switch to cloud preset when cloud engine is selected
         if (settingKey === 'engineType' && value === 'cloud') {
             const currentStrength = this.getSettingValue('engineStrength');
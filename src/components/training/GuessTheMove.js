@@ -0,0 +1,492 @@
+import { Chess } from '../../../libs/chess.js';
+import { Classification } from '../../classification/MoveClassifier.js';
+
+/**
+ * Guess the move: steps through the loaded game's mainline hiding each next move, and scores the
+ * user's guess against the move played in the game and the engine's lines. Guesses that are
+ * neither are evaluated like any other move, so MoveClassifier's eval loss decides their points
+ */
+export class GuessTheMove {
+    // Points for a guess that matches the game or the engine's best move
+    static maxPoints = 5;
+
+    // Points for any other guess, by its classification
+    static classificationPoints = {
+        brilliant: 5,
+        great: 5,
+        best: 5,
+        forced: 5,
+        theory: 4,
+        excellent: 4,
+        good: 3,
+        inaccuracy: 1,
+        mistake: 0,
+        miss: 0,
+        blunder: 0
+    };
+
+    constructor(chessUI) {
+        this.chessUI = chessUI;
+        this.isActive = false;
+        this.side = 'w'; // 'w', 'b' or 'both': whose moves are guessed
+        this.startIndex = 0; // Mainline index the session started from
+        this.index = 0; // Mainline index of the position the next move is played from
+        this.results = []; // Scored guesses, see handleUserMove
+        this.awaitingGuess = false;
+        this.evaluationId = null; // Guess being evaluated, ignored once the user moves on
+        this.timeout = null; // Pending auto-played move
+        this.positionBeforeSession = null;
+        this.flippedBeforeSession = null;
+    }
+
+    /**
+     * Shows the session setup
+     */
+    open() {
+        if (this.isActive || this.chessUI.mistakeLearner?.isActive || this.chessUI.practiceGame?.isActive) return;
+
+        if (!this.chessUI.analysis?.moves?.length) {
+            this.chessUI.moveNavigator.showNotification('Analyse a game first');
+            return;
+        }
+
+        const game = this.chessUI.game;
+        const userIsBlack = game?.username?.toLowerCase() === game?.black?.name?.toLowerCase();
+        const userSide = userIsBlack ? 'b' : 'w';
+
+        $('#learning-actions').html(`
+            <div class="learning-actions-counter">Guess the move</div>
+            <div class="practice-setup">
+                <label class="practice-option">Guess for
+                    <select id="guess-side">
+                        <option value="w" ${userSide === 'w' ? 'selected' : ''}>White</option>
+                        <option value="b" ${userSide === 'b' ? 'selected' : ''}>Black</option>
+                        <option value="both">Both sides</option>
+                    </select>
+                </label>
+                <label class="practice-option">Start from
+                    <select id="guess-start">
+                        <option value="current">Current move</option>
+                        <option value="beginning">Beginning</option>
+                    </select>
+                </label>
+            </div>
+            <div class="learning-actions-buttons">
+                <button class="learning-action-btn primary" id="guess-begin">Start</button>
+                <button class="learning-action-btn" id="guess-cancel">Cancel</button>
+            </div>
+        `).show();
+
+        $('#guess-begin').off('click').on('click', () => {
+            this.start($('#guess-side').val(), $('#guess-start').val() === 'beginning');
+        });
+        $('#guess-cancel').off('click').on('click', () => $('#learning-actions').hide().empty());
+    }
+
+    /**
+     * Starts a session
+     * @param {string} side - 'w', 'b' or 'both'
+     * @param {boolean} fromBeginning - Start from the first move instead of the current one
+     */
+    start(side, fromBeginning) {
+        const moveTree = this.chessUI.moveTree;
+        const currentIndex = moveTree.getNodeIndex(moveTree.currentNode);
+
+        this.side = side;
+        this.startIndex = fromBeginning || currentIndex === -1 || currentIndex >= moveTree.mainline.length - 1 ? 0 : currentIndex;
+        this.results = [];
+        this.positionBeforeSession = moveTree.currentNode.id;
+        this.flippedBeforeSession = this.chessUI.board.flipped;
+        this.isActive = true;
+
+        // Guess from the bottom of the board
+        if (side !== 'both' && this.chessUI.board.flipped !== (side === 'b')) {
+            this.chessUI.moveNavigator.handleFlipBoard();
+        }
+
+        // The move list, report and engine lines would give the moves away
+        $('.sidebar-header').hide();
+        $('.tab-content').hide();
+
+        this.showPosition(this.startIndex);
+    }
+
+    /**
+     * Goes to a mainline position and waits for a guess, or plays the game's move if it's not
+     * the guessing side's turn
+     * @param {number} index - Mainline index of the position
+     */
+    showPosition(index) {
+        const moveTree = this.chessUI.moveTree;
+        const node = moveTree.mainline[index];
+        const next = moveTree.mainline[index + 1];
+        this.index = index;
+
+        if (!next) {
+            this.finish();
+            return;
+        }
+
+        if (moveTree.currentNode !== node) {
+            this.chessUI.board.fen(node.fen);
+            moveTree.navigateTo(node.id);
+            this.chessUI.moveNavigator.updateAfterMove(node);
+        }
+
+        const turn = node.fen.split(' ')[1];
+        if (this.side !== 'both' && turn !== this.side) {
+            this.chessUI.board.setOption({ isInteractive: false });
+            this.renderPrompt(`${this.getMoveLabel(index)} ${next.san} was played.`, false);
+            this.timeout = setTimeout(() => {
+                this.timeout = null;
+                this.playGameMove(index);
+                this.showPosition(index + 1);
+            }, 700);
+            return;
+        }
+
+        this.awaitingGuess = true;
+        this.chessUI.board.setOption({ isInteractive: true });
+        this.renderPrompt(`${this.getMoveLabel(index)} What did ${turn === 'w' ? 'White' : 'Black'} play?`, true);
+    }
+
+    /**
+     * Scores the user's guess
+     * @param {Object} moveObj - The move made on the board
+     * @returns {boolean} - False, the guess isn't added to the tree
+     */
+    handleUserMove(moveObj) {
+        if (!this.awaitingGuess) return false;
+        this.awaitingGuess = false;
+        this.chessUI.board.setOption({ isInteractive: false });
+
+        const moveTree = this.chessUI.moveTree;
+        const node = moveTree.mainline[this.index];
+        const actual = moveTree.mainline[this.index + 1];
+        const analysed = this.chessUI.analysis.moves[this.index];
+        const previous = this.index === 0 ? this.chessUI.analysis.startPosition : this.chessUI.analysis.moves[this.index - 1];
+        const bestLine = previous?.lines?.find(line => line.id === 1);
+
+        const guessUci = moveObj.from + moveObj.to + (moveObj.promotion || '');
+        const actualUci = actual.move.from + actual.move.to + (actual.move.promotion || '');
+
+        const result = {
+            index: this.index,
+            label: this.getMoveLabel(this.index),
+            guessSan: moveObj.san,
+            gameSan: actual.san,
+            bestSan: bestLine?.uciMove ? this.toSan(node.fen, bestLine.uciMove) : null,
+            matchedGame: guessUci === actualUci,
+            matchedEngine: guessUci === bestLine?.uciMove,
+            gameClassification: analysed?.classification?.type
+        };
+
+        // The game's move is already classified, and the engine's best move loses nothing
+        if (result.matchedGame) {
+            this.recordGuess(result, result.gameClassification, analysed?.centipawnLoss ?? 0, moveObj);
+            return false;
+        }
+        if (result.matchedEngine) {
+            this.recordGuess(result, 'best', 0, moveObj);
+            return false;
+        }
+
+        this.renderPrompt('Evaluating your guess...', false);
+
+        const evaluationId = 'guess_' + Date.now();
+        this.evaluationId = evaluationId;
+
+        // Failed searches never call back, so the guess is scored without a classification after a while
+        const timeoutId = setTimeout(() => {
+            if (this.evaluationId !== evaluationId) return;
+            console.warn('Guess evaluation timeout - scoring it unclassified');
+            this.chessUI.evaluationQueue.cancel(evaluationId);
+            this.evaluationId = null;
+            this.recordGuess(result, undefined, undefined, moveObj);
+        }, 10000);
+
+        // The guess hangs off the position's node, so the game's analysis is used for the position before it
+        this.chessUI.evaluationQueue.addToQueue(
+            { id: evaluationId, move: moveObj, san: moveObj.san, parentId: node.id },
+            moveObj.after,
+            node.fen,
+            (evaluatedMove) => {
+                clearTimeout(timeoutId);
+                if (this.evaluationId !== evaluationId) return;
+                this.evaluationId = null;
+                this.recordGuess(result, evaluatedMove.classification?.type, evaluatedMove.centipawnLoss, moveObj);
+            },
+            moveTree
+        );
+
+        return false;
+    }
+
+    /**
+     * Records a scored guess, then shows the game's move
+     * @param {Object} result - The guess, from handleUserMove
+     * @param {string|undefined} classification - The guess's classification type
+     * @param {number|undefined} loss - The guess's eval loss in centipawns
+     * @param {Object} moveObj - The guessed move, for its badge on the board
+     */
+    recordGuess(result, classification, loss, moveObj) {
+        result.classification = classification || null;
+        result.loss = Number.isFinite(loss) ? loss : null;
+        result.points = result.matchedGame || result.matchedEngine
+            ? GuessTheMove.maxPoints
+            : GuessTheMove.classificationPoints[classification] ?? 0;
+        this.results.push(result);
+
+        if (classification) {
+            const board = this.chessUI.board;
+            const fromIdx = board.algebraicToIndex(moveObj.from, board.flipped);
+            const toIdx = board.algebraicToIndex(moveObj.to, board.flipped);
+            board.addClassification(classification, board.getSquare(fromIdx, board.flipped), board.getSquare(toIdx, board.flipped));
+        }
+
+        this.renderFeedback(result);
+
+        // Leave the guess on the board for a moment before replacing it with the game's move
+        const index = this.index;
+        this.timeout = setTimeout(() => {
+            this.timeout = null;
+            if (!this.isActive || index !== this.index) return;
+            this.playGameMove(index);
+        }, 900);
+    }
+
+    /**
+     * Reveals the game's move without guessing
+     */
+    reveal() {
+        if (!this.awaitingGuess) return;
+        this.awaitingGuess = false;
+        this.chessUI.board.setOption({ isInteractive: false });
+
+        const actual = this.chessUI.moveTree.mainline[this.index + 1];
+        const result = {
+            index: this.index,
+            label: this.getMoveLabel(this.index),
+            guessSan: null,
+            gameSan: actual.san,
+            bestSan: null,
+            matchedGame: false,
+            matchedEngine: false,
+            gameClassification: this.chessUI.analysis.moves[this.index]?.classification?.type,
+            classification: null,
+            loss: null,
+            points: 0
+        };
+        this.results.push(result);
+
+        this.playGameMove(this.index);
+        this.renderFeedback(result);
+    }
+
+    /**
+     * Plays the game's move from a mainline position, replacing any guess on the board
+     * @param {number} index - Mainline index of the position
+     */
+    playGameMove(index) {
+        const moveTree = this.chessUI.moveTree;
+        const node = moveTree.mainline[index];
+        const next = moveTree.mainline[index + 1];
+
+        this.chessUI.board.clearBoardHighlights();
+        this.chessUI.board.fen(node.fen);
+        this.chessUI.board.move(next.move, true, next.classification, next.move.before, false, next.move.promotion, false);
+
+        moveTree.navigateTo(next.id);
+        this.chessUI.moveNavigator.updateAfterMove(next);
+    }
+
+    /**
+     * Shows the prompt for the current position
+     * @param {string} message - The prompt
+     * @param {boolean} canReveal - Whether the game's move can be revealed without guessing
+     */
+    renderPrompt(message, canReveal) {
+        $('#learning-actions').html(`
+            <div class="learning-actions-counter">${this.getScoreText()}</div>
+            <div class="learning-actions-message">${message}</div>
+            <div class="learning-actions-buttons">
+                ${canReveal ? '<button class="learning-action-btn" id="guess-reveal">Show the move</button>' : ''}
+                <button class="learning-action-btn" id="guess-end">End session</button>
+            </div>
+        `).show();
+
+        $('#guess-reveal').off('click').on('click', () => this.reveal());
+        $('#guess-end').off('click').on('click', () => this.finish());
+    }
+
+    /**
+     * Shows how a guess scored
+     * @param {Object} result - The scored guess
+     */
+    renderFeedback(result) {
+        let verdict;
+        if (!result.guessSan) {
+            verdict = `The game move was <strong>${result.gameSan}</strong>.`;
+        } else if (result.matchedGame) {
+            verdict = `<span style="color: var(--color-green-300);">${result.guessSan} is the game move!</span>`;
+        } else {
+            const color = this.getClassificationColor(result.classification);
+            const classification = result.classification ? ` is <strong style="color: ${color}">${result.classification}</strong>` : '';
+            verdict = `${result.guessSan}${classification}. The game move was <strong>${result.gameSan}</strong>.`;
+        }
+
+        const engine = result.bestSan && !result.matchedEngine ? `<br>Engine: ${result.bestSan}` : result.matchedEngine ? '<br>That\'s the engine\'s top move.' : '';
+
+        $('#learning-actions').html(`
+            <div class="learning-actions-counter">${this.getScoreText()}</div>
+            <div class="learning-actions-message">${verdict} +${result.points}${engine}</div>
+            <div class="learning-actions-buttons">
+                <button class="learning-action-btn primary" id="guess-next">Next move</button>
+                <button class="learning-action-btn" id="guess-end">End session</button>
+            </div>
+        `).show();
+
+        $('#guess-next').off('click').on('click', () => {
+            if (this.timeout) {
+                clearTimeout(this.timeout);
+                this.timeout = null;
+                this.playGameMove(this.index);
+            }
+            this.showPosition(this.index + 1);
+        });
+        $('#guess-end').off('click').on('click', () => this.finish());
+    }
+
+    /**
+     * Ends the session with its score sheet
+     */
+    finish() {
+        this.stopPending();
+        this.awaitingGuess = false;
+        this.chessUI.board.setOption({ isInteractive: false });
+
+        const results = this.results;
+        const points = results.reduce((sum, result) => sum + result.points, 0);
+        const maxPoints = results.length * GuessTheMove.maxPoints;
+        const gameMatches = results.filter(result => result.matchedGame).length;
+        const engineMatches = results.filter(result => result.matchedEngine).length;
+        const percent = maxPoints > 0 ? Math.round(points / maxPoints * 100) : 0;
+
+        const rows = results.map(result => `
+            <tr>
+                <td>${result.label}</td>
+                <td style="color: ${this.getClassificationColor(result.classification)}">${result.guessSan || '—'}</td>
+                <td>${result.gameSan}</td>
+                <td>${result.bestSan || '—'}</td>
+                <td>${result.loss !== null ? (result.loss / 100).toFixed(2) : '—'}</td>
+                <td>${result.points}</td>
+            </tr>
+        `).join('');
+
+        $('#learning-actions').html(`
+            <div class="learning-actions-counter">Guess the move</div>
+            <div class="learning-actions-message">${points} / ${maxPoints} points (${percent}%)<br>
+                ${gameMatches} of ${results.length} game moves, ${engineMatches} engine moves found</div>
+            ${results.length > 0 ? `
+                <div class="guess-score-sheet">
+                    <table>
+                        <thead><tr><th>Move</th><th>Guess</th><th>Game</th><th>Engine</th><th>Loss</th><th>Pts</th></tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            ` : ''}
+            <div class="learning-actions-buttons">
+                <button class="learning-action-btn primary" id="guess-again">Try again</button>
+                <button class="learning-action-btn" id="guess-done">Done</button>
+            </div>
+        `).show();
+
+        $('#guess-again').off('click').on('click', () => {
+            this.results = [];
+            this.chessUI.board.setOption({ isInteractive: true });
+            this.showPosition(this.startIndex);
+        });
+        $('#guess-done').off('click').on('click', () => this.exit());
+    }
+
+    /**
+     * Leaves the session, going back to where it was started
+     */
+    exit() {
+        if (!this.isActive) return;
+
+        this.stopPending();
+        this.isActive = false;
+        this.awaitingGuess = false;
+        this.results = [];
+
+        // Put the board back in step with the tree before navigating
+        const currentNode = this.chessUI.moveTree.currentNode;
+        this.chessUI.board.clearBoardHighlights();
+        this.chessUI.board.fen(currentNode.fen);
+
+        const savedNode = this.chessUI.moveTree.nodeMap.get(this.positionBeforeSession);
+        if (savedNode) {
+            this.chessUI.moveNavigator.handleTreeNodeClick(savedNode);
+        }
+        this.chessUI.moveNavigator.updateAfterMove(this.chessUI.moveTree.currentNode);
+
+        if (this.flippedBeforeSession !== null && this.chessUI.board.flipped !== this.flippedBeforeSession) {
+            this.chessUI.moveNavigator.handleFlipBoard();
+        }
+        this.positionBeforeSession = null;
+        this.flippedBeforeSession = null;
+
+        $('#learning-actions').hide().empty();
+        $('.sidebar-header').show();
+        $('.tab-content').show();
+        this.chessUI.board.setOption({ isInteractive: true });
+    }
+
+    /**
+     * Cancels the auto-played move and the guess evaluation, if any are pending
+     */
+    stopPending() {
+        if (this.timeout) {
+            clearTimeout(this.timeout);
+            this.timeout = null;
+        }
+        if (this.evaluationId) {
+            this.chessUI.evaluationQueue.cancel(this.evaluationId);
+            this.evaluationId = null;
+        }
+    }
+
+    getScoreText() {
+        const points = this.results.reduce((sum, result) => sum + result.points, 0);
+        return `Guess the move · ${points} / ${this.results.length * GuessTheMove.maxPoints}`;
+    }
+
+    /**
+     * Gets the move number label of the move played from a mainline position
+     * @param {number} index - Mainline index of the position
+     * @returns {string} - e.g. "12." or "12..."
+     */
+    getMoveLabel(index) {
+        const [, turn, , , , fullMove] = this.chessUI.moveTree.mainline[index].fen.split(' ');
+        return `${fullMove}${turn === 'w' ? '.' : '...'}`;
+    }
+
+    getClassificationColor(type) {
+        return Object.values(Classification).find(classification => classification.type === type)?.color || 'inherit';
+    }
+
+    /**
+     * Converts a UCI move to SAN
+     * @param {string} fen - Position the move is played from
+     * @param {string} uciMove - The move in UCI
+     * @returns {string} - The move in SAN, or the UCI move if it isn't legal
+     */
+    toSan(fen, uciMove) {
+        try {
+            return new Chess(fen).move({ from: uciMove.substring(0, 2), to: uciMove.substring(2, 4), promotion: uciMove[4] }).san;
+        } catch (e) {
+            return uciMove;
+        }
+    }
+}
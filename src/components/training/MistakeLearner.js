@@ -1,5 +1,11 @@
+import { MoveInformation } from '../moves/MoveInformation.js';
+import { PuzzleCollection } from './PuzzleCollection.js';
+import { ReviewSchedule } from './ReviewSchedule.js';
+import { PuzzleExtractor } from './PuzzleExtractor.js';
+
 /**
- * Manages the "Learn from Mistakes" training mode
+ * Manages the "Learn from Mistakes" training mode, and the puzzle mode that runs saved
+ * positions (puzzles, or mistakes due for review) through the same board flow
  */
 export class MistakeLearner {
     constructor(chessUI) {
@@ -22,6 +28,16 @@ export class MistakeLearner {
         this.lastPositionBeforeMistake = null; // Store position for undo
         this.mistakeSolved = false; // Track if current mistake was solved (top engine move made)
         this.positionBeforeLearning = null; // Store position before entering learning mode
+        this.puzzleMode = false; // Solving saved positions instead of the loaded game's mistakes
+        this.puzzleSession = null; // { label, getMessage, onAttempt } of the puzzle mode session
+        this.flippedBeforeLearning = null; // Board orientation to restore after puzzles
+        this.solutionLine = []; // Solution of the current mistake (UCI), the user's moves at even indexes
+        this.solutionPly = 0; // Index in solutionLine of the move the user has to find
+        this.plyFen = null; // Position the user is solving from once the solution has moved on
+        this.lastReplySan = null; // Opponent's reply that was auto-played from the solution
+        this.plyScores = []; // 'clean', 'assisted' or 'shown' for each of the user's moves in the solution
+        this.plyAssisted = false; // Whether the current move needed a wrong attempt or the arrow hint
+        this.sessionPlies = { clean: 0, total: 0 }; // Solution moves found without help this session
         
         // Web Audio API: lazy-init context and normalized buffers for learning sounds
         this.audioContext = null;
@@ -111,8 +127,77 @@ export class MistakeLearner {
             return;
         }
 
+        this.puzzleMode = false;
+        this.begin(this.getMistakeMoves(), 'Great job! No mistakes to learn from.');
+    }
+
+    /**
+     * Starts puzzle mode with saved puzzles
+     * @param {Array<Object>} puzzles - Puzzles from PuzzleCollection
+     */
+    startPuzzles(puzzles = PuzzleCollection.getAll()) {
+        this.startPositions(puzzles, {
+            label: 'Puzzle',
+            getMessage: (puzzle) => {
+                const blunder = puzzle.lastMoveSan ? `${puzzle.lastMoveSan} was a <strong style="color: ${this.getClassificationColor('blunder')}">blunder</strong>. ` : '';
+                return `${blunder}Find the best move for ${this.getSideToMove(puzzle.fen)}!`;
+            },
+            onAttempt: (puzzle, result) => PuzzleCollection.recordAttempt(puzzle.id, result.solved &&
+                !result.usedHelp && !result.incorrectAttempt && !result.skipped)
+        }, 'No puzzles yet. Analyse games to collect puzzles from your missed chances.');
+    }
+
+    /**
+     * Starts a review of the mistakes (from every analysed game) that are due
+     * @param {Array<Object>} items - Items from ReviewSchedule
+     */
+    startReview(items = ReviewSchedule.getDue()) {
+        this.startPositions(items, {
+            label: 'Review',
+            getMessage: (item) => {
+                const classification = item.playedClassification;
+                const classificationColor = this.getClassificationColor(classification);
+                const game = item.white && item.black ? ` in ${item.white} vs ${item.black}` : '';
+                return `You played ${item.playedSan}${game}, ${this.getArticle(classification)} <strong style="color: ${classificationColor}">${classification}</strong>. Find the best move for ${this.getSideToMove(item.fen)}!`;
+            },
+            onAttempt: (item, result) => ReviewSchedule.recordReview(item.id, ReviewSchedule.getQuality(result))
+        }, 'Nothing is due for review. Come back later!');
+    }
+
+    /**
+     * Starts puzzle mode: saved positions, solved on the board outside the move tree
+     * @param {Array<Object>} puzzles - { id, fen, lastMove, lastMoveSan, solution, playedClassification }
+     * @param {Object} session - { label, getMessage(puzzle), onAttempt(puzzle, result) }
+     * @param {string} emptyMessage - Shown instead when there are no puzzles
+     */
+    startPositions(puzzles, session, emptyMessage) {
+        const exercises = puzzles.map(puzzle => ({
+            puzzle,
+            classification: puzzle.playedClassification,
+            position: {
+                fen: puzzle.fen,
+                move: puzzle.lastMove ? { from: puzzle.lastMove.substring(0, 2), to: puzzle.lastMove.substring(2, 4) } : null
+            }
+        }));
+
+        this.puzzleMode = true;
+        this.puzzleSession = session;
+        this.begin(exercises, emptyMessage);
+    }
+
+    /**
+     * Enters learning mode with a list of exercises (mistakes of the loaded game, or puzzles)
+     * @param {Array<Object>} exercises - Exercises to go through
+     * @param {string} emptyMessage - Shown instead when there are no exercises
+     */
+    begin(exercises, emptyMessage) {
+        // Both use the panel under the board
+        this.chessUI.practiceGame?.exit();
+        this.chessUI.guessTheMove?.exit();
+
         // Save current position before entering learning mode
         this.positionBeforeLearning = this.chessUI.moveTree.currentNode.id;
+        this.flippedBeforeLearning = this.chessUI.board.flipped;
         
         // Reset all state
         this.solvedCorrectly = 0;
@@ -121,12 +206,14 @@ export class MistakeLearner {
         this.lastIncorrectMove = null;
         this.lastPositionBeforeMistake = null;
         this.mistakeSolved = false;
+        this.sessionPlies = { clean: 0, total: 0 };
 
-        // Get all user mistakes
-        this.mistakeMoves = this.getMistakeMoves();
+        this.mistakeMoves = exercises;
 
         if (this.mistakeMoves.length === 0) {
-            this.showMessage('Great job! No mistakes to learn from.');
+            this.puzzleMode = false;
+            this.puzzleSession = null;
+            this.showMessage(emptyMessage);
             return;
         }
 
@@ -195,7 +282,16 @@ export class MistakeLearner {
         this.hintLevel = 0;
         this.correctMoveMade = false;
         this.usedHintOrSolution = false; // Reset for new mistake
+        this.madeIncorrectAttempt = false; // Reset for new mistake
+        this.skippedCurrentMistake = false; // Reset for new mistake
         this.mistakeSolved = false; // Reset for new mistake
+        this.resetSolution();
+
+        // Puzzles aren't in the move tree, so their position is loaded straight onto the board
+        if (this.puzzleMode) {
+            this.navigateToPuzzle();
+            return;
+        }
 
         // Get the position BEFORE the mistake was made
         const mistakeMainlineIndex = this.currentMistakeMove.mainlineIndex;
@@ -224,6 +320,23 @@ export class MistakeLearner {
         this.setupMistakePosition(mistakeMainlineIndex);
     }
 
+    /**
+     * Loads the current puzzle's position, with the side to solve for at the bottom
+     */
+    navigateToPuzzle() {
+        const position = this.getPositionBeforeMistake();
+        this.currentMistakeNodeId = null;
+
+        this.chessUI.board.fen(position.fen);
+
+        const blackToMove = position.fen.split(' ')[1] === 'b';
+        if (this.chessUI.board.flipped !== blackToMove) {
+            this.chessUI.moveNavigator.handleFlipBoard();
+        }
+
+        this.setupMistakePosition(null);
+    }
+
     /**
      * Sets up the mistake position UI (arrows and feedback)
      */
@@ -232,8 +345,17 @@ export class MistakeLearner {
         this.chessUI.board.clearBestMoveArrows();
         this.chessUI.board.clearHighlights();
 
+        // Further into the solution, the last move is the opponent's auto-played reply
+        if (this.solutionPly > 0) {
+            const reply = this.solutionLine[this.solutionPly - 1];
+            this.chessUI.board.highlightSquare(reply.substring(0, 2), '#ffeb3b', 0.4);
+            this.chessUI.board.highlightSquare(reply.substring(2, 4), '#ffeb3b', 0.4);
+            this.showInitialActions(this.getMistakeMessage());
+            return;
+        }
+
         // Re-highlight opponent's last move squares (if exists)
-        const positionBeforeMistake = this.chessUI.moveTree.mainline[mistakeMainlineIndex - 1];
+        const positionBeforeMistake = this.getPositionBeforeMistake();
         if (positionBeforeMistake?.move) {
             const fromSquare = positionBeforeMistake.move.from;
             const toSquare = positionBeforeMistake.move.to;
@@ -241,6 +363,12 @@ export class MistakeLearner {
             this.chessUI.board.highlightSquare(toSquare, '#ffeb3b', 0.4);
         }
 
+        // A puzzle doesn't give away the move played in the game
+        if (this.puzzleMode) {
+            this.showInitialActions(this.getMistakeMessage());
+            return;
+        }
+
         // Show the mistake move that was made with a red arrow
         const mistakeMoveNode = this.chessUI.moveTree.mainline[mistakeMainlineIndex];
         if (mistakeMoveNode?.move?.from && mistakeMoveNode?.move?.to) {
@@ -253,19 +381,134 @@ export class MistakeLearner {
         }
 
         // Show initial learning actions with mistake message
+        this.showInitialActions(this.getMistakeMessage());
+    }
+
+    /**
+     * Gets the prompt for the current exercise
+     * @returns {string} - HTML message
+     */
+    getMistakeMessage() {
+        if (this.solutionPly > 0) {
+            const side = this.getSideToMove(this.plyFen);
+            return `Your opponent replied <strong>${this.lastReplySan}</strong>. Find the next move for ${side}!`;
+        }
+
+        if (this.puzzleMode) {
+            return this.puzzleSession.getMessage(this.currentMistakeMove.puzzle);
+        }
+
+        const mistakeMoveNode = this.chessUI.moveTree.mainline[this.currentMistakeMove.mainlineIndex];
         const classification = this.currentMistakeMove.classification;
         const moveNotation = mistakeMoveNode?.move?.san || 'the move';
         const classificationColor = this.getClassificationColor(classification);
-        const message = `${moveNotation} was ${this.getArticle(classification)} <strong style="color: ${classificationColor}">${classification}</strong>. Find the best move!`;
-        
-        this.showInitialActions(message);
+        return `${moveNotation} was ${this.getArticle(classification)} <strong style="color: ${classificationColor}">${classification}</strong>. Find the best move!`;
+    }
+
+    /**
+     * Gets what the exercises are called in the counter and buttons
+     * @returns {string} - e.g. 'Mistake' or 'Puzzle'
+     */
+    getExerciseLabel() {
+        return this.puzzleMode ? this.puzzleSession.label : 'Mistake';
+    }
+
+    getSideToMove(fen) {
+        return fen.split(' ')[1] === 'w' ? 'White' : 'Black';
+    }
+
+    /**
+     * Gets the position the current exercise is solved from: the move tree node before the
+     * mistake, or a puzzle's { fen, move } (move being the opponent's blunder)
+     * @returns {Object} - The node or puzzle position
+     */
+    getPositionBeforeMistake() {
+        if (this.puzzleMode) return this.currentMistakeMove.position;
+        return this.chessUI.moveTree.mainline[this.currentMistakeMove.mainlineIndex - 1];
+    }
+
+    /**
+     * Gets the best line in the current exercise's position (a puzzle's solution)
+     * @returns {Object|undefined} - Engine line with uciMove, if there is one
+     */
+    getBestLine() {
+        if (this.solutionPly > 0) {
+            return { id: 1, uciMove: this.solutionLine[this.solutionPly], pv: this.solutionLine.slice(this.solutionPly) };
+        }
+
+        if (this.puzzleMode) {
+            const { solution } = this.currentMistakeMove.puzzle;
+            return { id: 1, uciMove: solution[0], pv: solution };
+        }
+
+        const positionBeforeMistake = this.getPositionBeforeMistake();
+        const prevFen = positionBeforeMistake.fen || positionBeforeMistake.move?.after;
+        const prevAnalysis = this.chessUI.analysis.moves.find(m => m.fen === prevFen);
+        return prevAnalysis?.lines?.find(l => l.id === 1);
+    }
+
+    /**
+     * Gets the position the user is solving from: the exercise's position, or the position after
+     * the opponent's latest auto-played reply
+     * @returns {Object} - The node or { fen }
+     */
+    getCurrentPosition() {
+        return this.solutionPly > 0 ? { fen: this.plyFen } : this.getPositionBeforeMistake();
+    }
+
+    /**
+     * Gets the moves the user has to find, with the opponent's replies in between: a puzzle's
+     * solution, or the forced part of the engine's best line
+     * @returns {Array<string>} - Solution moves in UCI
+     */
+    getSolutionLine() {
+        if (this.puzzleMode) return this.currentMistakeMove.puzzle.solution;
+
+        const bestLine = this.getBestLine();
+        if (!bestLine?.uciMove) return [];
+        if (!bestLine.pv?.length) return [bestLine.uciMove];
+
+        const positionBeforeMistake = this.getPositionBeforeMistake();
+        const solution = PuzzleExtractor.getSolution(positionBeforeMistake.fen || positionBeforeMistake.move?.after, bestLine);
+        return solution.length > 0 ? solution : [bestLine.uciMove];
+    }
+
+    /**
+     * Goes back to the first move of the current exercise's solution
+     */
+    resetSolution() {
+        this.solutionPly = 0;
+        this.plyFen = null;
+        this.lastReplySan = null;
+        this.plyScores = [];
+        this.plyAssisted = false;
+        this.solutionLine = this.getSolutionLine();
+    }
+
+    /**
+     * Builds the counter shown above the learning actions, with a mark per move of a longer solution
+     * @returns {string} - HTML of the counter
+     */
+    getCounterHtml() {
+        const counter = `${this.getExerciseLabel()} ${this.currentMistakeIndex + 1} of ${this.mistakeMoves.length}`;
+        const userPlies = Math.ceil(this.solutionLine.length / 2);
+        if (userPlies < 2) {
+            return `<div class="learning-actions-counter">${counter}</div>`;
+        }
+
+        const marks = Array.from({ length: userPlies }, (_, i) => {
+            const score = this.plyScores[i] || (i === this.plyScores.length ? 'current' : 'pending');
+            return `<span class="learning-ply ${score}"></span>`;
+        }).join('');
+        return `<div class="learning-actions-counter">${counter}<span class="learning-actions-plies">${marks}</span></div>`;
     }
 
     /**
      * Enables navigation buttons (hint, backward, forward)
      */
     enableNavigationButtons() {
-        $('#hint, #backward, #forward').prop('disabled', false).css('opacity', '1');
+        // Puzzles aren't in the move tree, so there's nothing to navigate to
+        $(this.puzzleMode ? '#hint' : '#hint, #backward, #forward').prop('disabled', false).css('opacity', '1');
     }
 
     /**
@@ -279,11 +522,8 @@ export class MistakeLearner {
      * Shows initial learning actions under the chessboard
      */
     showInitialActions(message) {
-        const current = this.currentMistakeIndex + 1;
-        const total = this.mistakeMoves.length;
-        
         $('#learning-actions').html(`
-            <div class="learning-actions-counter">Mistake ${current} of ${total}</div>
+            ${this.getCounterHtml()}
             ${message ? `<div class="learning-actions-message">${message}</div>` : ''}
             <div class="learning-actions-buttons">
                 <button class="learning-action-btn" id="view-solution">View Solution</button>
@@ -307,11 +547,8 @@ export class MistakeLearner {
      * Shows "moved away" actions
      */
     showMovedAwayActions() {
-        const current = this.currentMistakeIndex + 1;
-        const total = this.mistakeMoves.length;
-        
         $('#learning-actions').html(`
-            <div class="learning-actions-counter">Mistake ${current} of ${total}</div>
+            ${this.getCounterHtml()}
             <div class="learning-actions-message">You moved away</div>
             <div class="learning-actions-buttons">
                 <button class="learning-action-btn primary" id="resume-learning">Resume learning</button>
@@ -336,10 +573,10 @@ export class MistakeLearner {
         const defaultMessage = `<span style="font-weight: bold; color: var(--color-green-300);">Well done! That is the correct move.</span>`;
         
         $('#learning-actions').html(`
-            <div class="learning-actions-counter">Mistake ${current} of ${total}</div>
+            ${this.getCounterHtml()}
             <div class="learning-actions-message">${message || defaultMessage}</div>
             <div class="learning-actions-buttons">
-                <button class="learning-action-btn primary" id="next-solution">${isLast ? 'Show results' : 'Next Mistake'}</button>
+                <button class="learning-action-btn primary" id="next-solution">${isLast ? 'Show results' : `Next ${this.getExerciseLabel()}`}</button>
             </div>
         `).show();
 
@@ -354,11 +591,8 @@ export class MistakeLearner {
      * Shows alternative move actions (good/excellent but not best)
      */
     showAlternativeMoveActions(message) {
-        const current = this.currentMistakeIndex + 1;
-        const total = this.mistakeMoves.length;
-        
         $('#learning-actions').html(`
-            <div class="learning-actions-counter">Mistake ${current} of ${total}</div>
+            ${this.getCounterHtml()}
             <div class="learning-actions-message">${message}</div>
             <div class="learning-actions-buttons">
                 <button class="learning-action-btn primary" id="try-again-action">Try again</button>
@@ -372,13 +606,13 @@ export class MistakeLearner {
         // Bind event handlers
         $('#try-again-action').off('click').on('click', () => {
             const mistakeMainlineIndex = this.currentMistakeMove.mainlineIndex;
-            const positionBeforeMistake = this.chessUI.moveTree.mainline[mistakeMainlineIndex - 1];
+            const positionBeforeMistake = this.getCurrentPosition();
             
             // Reset to mistake position (clear any alternative moves)
             this.chessUI.board.fen(positionBeforeMistake.fen || positionBeforeMistake.move?.after);
             
             // Clear any classification badges from the alternative move
-            this.chessUI.board.clearClassificationBadges?.() || $('.classification-badge').remove();
+            this.chessUI.board.clearBoardHighlights();
             
             this.setupMistakePosition(mistakeMainlineIndex);
         });
@@ -386,46 +620,123 @@ export class MistakeLearner {
     }
 
     /**
-     * Shows the solution by making the best move on the board
+     * Shows the solution by playing the rest of the solution line on the board
      */
     viewSolution() {
         // Mark that help was used
         this.usedHintOrSolution = true;
 
-        const mistakeMainlineIndex = this.currentMistakeMove.mainlineIndex;
-        const positionBeforeMistake = this.chessUI.moveTree.mainline[mistakeMainlineIndex - 1];
-        
-        const prevFen = positionBeforeMistake.fen || positionBeforeMistake.move?.after;
-        const prevAnalysis = this.chessUI.analysis.moves.find(m => m.fen === prevFen);
-        const bestLine = prevAnalysis?.lines?.find(l => l.id === 1);
+        const positionBeforeMistake = this.getCurrentPosition();
+        const exercise = this.currentMistakeMove;
+        const remaining = this.solutionLine.slice(this.solutionPly);
 
-        if (bestLine) {
-            // Extract move details from UCI
-            const from = bestLine.uciMove.substring(0, 2);
-            const to = bestLine.uciMove.substring(2, 4);
-            const promotion = bestLine.uciMove.length > 4 ? bestLine.uciMove.substring(4, 5) : undefined;
+        // Evaluations read from the PGN have a score but no best move
+        if (remaining.length === 0) {
+            return;
+        }
 
-            // Make the move on the board
-            const tempChess = new (this.chessUI.board.chess.constructor)();
-            tempChess.load(prevFen);
-            const moveObj = tempChess.move({ from, to, promotion });
+        // Mark as correct and show success
+        this.correctMoveMade = true;
+        this.hintLevel = 0;
 
-            if (moveObj) {
-                // Animate the solution move
-                this.chessUI.board.move(moveObj, true, 'excellent', prevFen, false, promotion, false);
-                
-                // Mark as correct and show success
-                this.correctMoveMade = true;
-                this.hintLevel = 0;
+        // Clear highlights and arrows
+        this.chessUI.board.clearHighlights();
+        this.chessUI.board.clearBestMoveArrows();
+
+        // The user's moves that are left count as shown
+        for (let i = 0; i < remaining.length; i += 2) {
+            this.recordPlyScore('shown');
+        }
 
-                // Clear highlights and arrows
-                this.chessUI.board.clearHighlights();
-                this.chessUI.board.clearBestMoveArrows();
+        // Play the line a move at a time, stopping if the user moves on to another exercise
+        let fen = positionBeforeMistake.fen || positionBeforeMistake.move?.after;
+        const playNext = (index) => {
+            if (!this.isActive || this.currentMistakeMove !== exercise) return;
 
-                // Show correct move actions with solution message
-                this.showCorrectMoveActions(`<span style="font-weight: bold;">Here's the solution!</span>`);
+            const moveObj = this.playSolutionMove(fen, remaining[index], index % 2 === 0 ? 'excellent' : undefined);
+            if (!moveObj) return;
+
+            fen = moveObj.after;
+            if (index + 1 < remaining.length) {
+                setTimeout(() => playNext(index + 1), 700);
             }
-        }
+        };
+        playNext(0);
+
+        // Show correct move actions with solution message
+        this.showCorrectMoveActions(`<span style="font-weight: bold;">Here's the solution!</span>`);
+    }
+
+    /**
+     * Plays one move of the solution line on the board
+     * @param {string} fen - Position the move is played from
+     * @param {string} uciMove - The move in UCI
+     * @param {string} classification - Badge for the move (the user's moves), if any
+     * @returns {Object|null} - The chess.js move, or null if it isn't legal in the position
+     */
+    playSolutionMove(fen, uciMove, classification) {
+        const promotion = uciMove.length > 4 ? uciMove.substring(4, 5) : undefined;
+
+        const tempChess = new (this.chessUI.board.chess.constructor)();
+        tempChess.load(fen);
+        const moveObj = tempChess.move({ from: uciMove.substring(0, 2), to: uciMove.substring(2, 4), promotion });
+        if (!moveObj) return null;
+
+        // Only the latest move keeps its badge
+        this.chessUI.board.clearBoardHighlights();
+        this.chessUI.board.move(moveObj, true, classification, fen, false, promotion, false);
+        return moveObj;
+    }
+
+    /**
+     * Auto-plays the opponent's reply from the solution line, then asks for the user's next move
+     */
+    playOpponentReply() {
+        const exercise = this.currentMistakeMove;
+        const ply = this.solutionPly;
+
+        this.chessUI.board.clearHighlights();
+        this.chessUI.board.clearBestMoveArrows();
+        this.playSound('correct');
+
+        $('#learning-actions').html(`
+            ${this.getCounterHtml()}
+            <div class="learning-actions-message"><span style="font-weight: bold; color: var(--color-green-300);">Correct! Keep going...</span></div>
+        `).show();
+        this.disableNavigationButtons();
+
+        setTimeout(() => {
+            if (!this.isActive || this.currentMistakeMove !== exercise || this.solutionPly !== ply) return;
+
+            // Position after the user's move, which the board is showing
+            const position = this.getCurrentPosition();
+            const tempChess = new (this.chessUI.board.chess.constructor)();
+            tempChess.load(position.fen || position.move?.after);
+            const userMove = this.solutionLine[this.solutionPly];
+            tempChess.move({ from: userMove.substring(0, 2), to: userMove.substring(2, 4), promotion: userMove[4] });
+
+            const reply = this.playSolutionMove(tempChess.fen(), this.solutionLine[this.solutionPly + 1]);
+            if (!reply) return;
+
+            this.lastReplySan = reply.san;
+            this.plyFen = reply.after;
+            this.solutionPly += 2;
+            this.correctMoveMade = false;
+
+            this.setupMistakePosition(this.currentMistakeMove.mainlineIndex);
+        }, 700);
+    }
+
+    /**
+     * Scores one of the user's moves in the solution line
+     * @param {string} score - 'clean', 'assisted' (after a wrong move or the arrow hint) or 'shown'
+     */
+    recordPlyScore(score) {
+        this.plyScores.push(score);
+        this.plyAssisted = false;
+
+        this.sessionPlies.total++;
+        if (score === 'clean') this.sessionPlies.clean++;
     }
 
     /**
@@ -444,14 +755,12 @@ export class MistakeLearner {
             return false; // Not in learning mode or already correct
         }
 
-        // Get the position before mistake
-        const mistakeMainlineIndex = this.currentMistakeMove.mainlineIndex;
-        const positionBeforeMistake = this.chessUI.moveTree.mainline[mistakeMainlineIndex - 1];
+        // Get the position before mistake (or after the opponent's latest reply)
+        const positionBeforeMistake = this.getCurrentPosition();
         const prevFen = positionBeforeMistake.fen || positionBeforeMistake.move?.after;
         
         // Check if this move is the top engine move (no need to evaluate)
-        const prevAnalysis = this.chessUI.analysis.moves.find(m => m.fen === prevFen);
-        const bestLine = prevAnalysis?.lines?.find(l => l.id === 1);
+        const bestLine = this.getBestLine();
 
         if (bestLine) {
             // Build UCI move from user's move
@@ -476,7 +785,7 @@ export class MistakeLearner {
                         this.chessUI.board.getSquare(toIdx, this.chessUI.board.flipped)
                     );
                     
-                    this.handleCorrectMove();
+                    this.handleCorrectMove(userUciMove);
                 }, 300);
                 
                 return false;
@@ -502,10 +811,8 @@ export class MistakeLearner {
         this.chessUI.board.move(moveObj, true, undefined, currentFen, false, moveObj.promotion, false);
         
         // Show "evaluating" message in learning actions
-        const current = this.currentMistakeIndex + 1;
-        const total = this.mistakeMoves.length;
         $('#learning-actions').html(`
-            <div class="learning-actions-counter">Mistake ${current} of ${total}</div>
+            ${this.getCounterHtml()}
             <div class="learning-actions-message">Evaluating move...</div>
         `).show();
         
@@ -536,13 +843,24 @@ export class MistakeLearner {
         return false; // Prevent default handling
     }
 
+    /**
+     * Cancels the evaluation of the last attempted move, if it's still queued or running
+     */
+    cancelPendingEvaluation() {
+        if (this.currentEvaluationId) {
+            this.chessUI.evaluationQueue.cancel(this.currentEvaluationId);
+            this.currentEvaluationId = null;
+        }
+    }
+
     /**
      * Evaluates a user's move to determine if it's an alternative solution
      */
     evaluateUserMove(moveObj, positionBeforeMistake, moveResult, resultFen, bestLine) {
         const prevFen = positionBeforeMistake.fen || positionBeforeMistake.move?.after;
         
-        // Store evaluation state to prevent race conditions
+        // Store evaluation state to prevent race conditions (a previous attempt's search is no longer needed)
+        this.cancelPendingEvaluation();
         const evaluationId = 'learning_eval_' + Date.now();
         this.currentEvaluationId = evaluationId;
         
@@ -552,7 +870,7 @@ export class MistakeLearner {
             if (this.currentEvaluationId === evaluationId) {
                 console.warn('Evaluation timeout - treating move as incorrect');
                 this.handleIncorrectMove(positionBeforeMistake, moveResult);
-                this.currentEvaluationId = null;
+                this.cancelPendingEvaluation();
             }
         }, 10000); // 10 second timeout (increased from 5)
         
@@ -593,13 +911,14 @@ export class MistakeLearner {
      */
     handleEvaluationResult(evaluatedMove, positionBeforeMistake, moveResult, bestLine) {
         const classification = evaluatedMove.classification?.type;
+        const playedUci = moveResult ? moveResult.from + moveResult.to + (moveResult.promotion || '') : null;
         
         // Check if it's the best move (optimal classifications that only occur for top moves)
         const topOnlyMoves = ['perfect', 'best', 'brilliant', 'great', 'forced', 'book'];
         
         if (topOnlyMoves.includes(classification)) {
             // Best move found!
-            this.handleCorrectMove();
+            this.handleCorrectMove(playedUci);
         } else if (classification === 'excellent') {
             // Excellent can be either top move or alternative
             // Check if this is actually the top engine move by comparing UCI moves
@@ -613,7 +932,7 @@ export class MistakeLearner {
                 const isTopMove = moveUci === bestLine.uciMove;
                 
                 if (isTopMove) {
-                    this.handleCorrectMove();
+                    this.handleCorrectMove(moveUci);
                 } else {
                     this.handleAlternativeMove(classification, positionBeforeMistake);
                 }
@@ -632,11 +951,20 @@ export class MistakeLearner {
 
     /**
      * Handles when the correct (best) move is made
+     * @param {string|null} moveUci - The move played, in UCI
      */
-    handleCorrectMove() {
+    handleCorrectMove(moveUci = null) {
             this.correctMoveMade = true;
             this.hintLevel = 0;
 
+        this.recordPlyScore(this.plyAssisted ? 'assisted' : 'clean');
+
+        // The solution line goes on: the opponent replies and the user looks for the next move
+        if (moveUci && moveUci === this.solutionLine[this.solutionPly] && this.solutionPly + 2 < this.solutionLine.length) {
+            this.playOpponentReply();
+            return;
+        }
+
         // Track if solved without disqualifiers
         if (!this.usedHintOrSolution && !this.madeIncorrectAttempt && !this.skippedCurrentMistake) {
             this.solvedCorrectly++;
@@ -671,6 +999,8 @@ export class MistakeLearner {
      * Handles alternative good/excellent moves
      */
     handleAlternativeMove(classification, positionBeforeMistake) {
+        this.plyAssisted = true;
+
         // Play "better" sound for good/excellent moves (there's better)
         this.playSound('better');
         
@@ -688,6 +1018,7 @@ export class MistakeLearner {
     handleIncorrectMove(positionBeforeMistake, incorrectMove, classification = null) {
         // Mark incorrect attempt and play wrong sound
         this.madeIncorrectAttempt = true;
+        this.plyAssisted = true;
         this.playSound('wrong');
         
         // Store the incorrect move for the "Try again" button
@@ -706,10 +1037,8 @@ export class MistakeLearner {
         }
         
         // Show "Not quite" feedback with "Try again" button
-        const current = this.currentMistakeIndex + 1;
-        const total = this.mistakeMoves.length;
         $('#learning-actions').html(`
-            <div class="learning-actions-counter">Mistake ${current} of ${total}</div>
+            ${this.getCounterHtml()}
             <div class="learning-actions-message">
                 <span style="display: inline-flex; align-items: center;">
                     <span style="font-weight: bold; color: var(--color-red-300);">Incorrect move. Try again!</span>
@@ -734,18 +1063,11 @@ export class MistakeLearner {
             }
             
             // Clear any classification badges from the incorrect move
-            this.chessUI.board.clearClassificationBadges?.() || $('.classification-badge').remove();
+            this.chessUI.board.clearBoardHighlights();
             
             // Restore initial actions after brief delay
             setTimeout(() => {
-                const mistakeMainlineIndex = this.currentMistakeMove.mainlineIndex;
-                const mistakeMoveNode = this.chessUI.moveTree.mainline[mistakeMainlineIndex];
-            const classification = this.currentMistakeMove.classification;
-            const moveNotation = mistakeMoveNode?.move?.san || 'the move';
-            const classificationColor = this.getClassificationColor(classification);
-                const message = `${moveNotation} was ${this.getArticle(classification)} <strong style="color: ${classificationColor}">${classification}</strong>. Find the best move!`;
-                
-                this.showInitialActions(message);
+                this.showInitialActions(this.getMistakeMessage());
             }, 300);
         });
         
@@ -781,14 +1103,9 @@ export class MistakeLearner {
             return;
         }
 
-        const mistakeMainlineIndex = this.currentMistakeMove.mainlineIndex;
-        const positionBeforeMistake = this.chessUI.moveTree.mainline[mistakeMainlineIndex - 1];
-        
-        const prevFen = positionBeforeMistake.fen || positionBeforeMistake.move?.after;
-        const prevAnalysis = this.chessUI.analysis.moves.find(m => m.fen === prevFen);
-        const bestLine = prevAnalysis?.lines?.find(l => l.id === 1);
+        const bestLine = this.getBestLine();
 
-        if (!bestLine) {
+        if (!bestLine?.uciMove) {
             return;
         }
 
@@ -807,6 +1124,7 @@ export class MistakeLearner {
             this.hintLevel = 2;
             // Count second hint usage as disqualifier
             this.usedHintOrSolution = true;
+            this.plyAssisted = true;
         }
         // No more hints after level 2
     }
@@ -832,6 +1150,12 @@ export class MistakeLearner {
             
             // Reset hint level when returning to mistake
             this.hintLevel = 0;
+
+            // The tree only has the exercise's position, so a solution left halfway starts over
+            if (this.solutionPly > 0 && !this.mistakeSolved) {
+                this.correctMoveMade = false;
+                this.resetSolution();
+            }
             
             // Use setupMistakePosition to properly restore the UI
             setTimeout(() => {
@@ -848,6 +1172,15 @@ export class MistakeLearner {
             return;
         }
 
+        if (this.puzzleMode) {
+            this.puzzleSession.onAttempt(this.currentMistakeMove.puzzle, {
+                solved: this.mistakeSolved,
+                usedHelp: this.usedHintOrSolution,
+                incorrectAttempt: this.madeIncorrectAttempt,
+                skipped: this.skippedCurrentMistake
+            });
+        }
+
         // Can always move to next mistake (removed the check for correctMoveMade)
         if (this.currentMistakeIndex < this.mistakeMoves.length - 1) {
             // Go to next mistake
@@ -869,9 +1202,11 @@ export class MistakeLearner {
         const total = this.mistakeMoves.length;
         const solved = this.solvedCorrectly;
         const current = this.mistakeMoves.length;
+        const { clean, total: plies } = this.sessionPlies;
+        const pliesSummary = plies > solved ? `<br>${clean} of ${plies} moves found without help` : '';
         $('#learning-actions').html(`
-            <div class="learning-actions-counter" style="opacity: 0">Mistake ${current} of ${total}</div>
-            <div class="learning-actions-message">🎉 Congratulations!<br>You completed ${solved} out of ${total} mistake${total > 1 ? 's' : ''}</div>
+            <div class="learning-actions-counter" style="opacity: 0">${this.getExerciseLabel()} ${current} of ${total}</div>
+            <div class="learning-actions-message">🎉 Congratulations!<br>You completed ${solved} out of ${total} ${this.getExerciseLabel().toLowerCase()}${total > 1 ? 's' : ''}${pliesSummary}</div>
             <div class="learning-actions-buttons">
                 <button class="learning-action-btn primary" id="finish-learning">Do it again</button>
             </div>
@@ -892,6 +1227,7 @@ export class MistakeLearner {
             this.skippedCurrentMistake = false;
             this.mistakeSolved = false;
             this.solvedCorrectly = 0;
+            this.sessionPlies = { clean: 0, total: 0 };
 
             this.chessUI.moveNavigator.showLearningControls();
             this.navigateToMistake(0);
@@ -905,6 +1241,12 @@ export class MistakeLearner {
      * Exits learning mode
      */
     exit() {
+        // Puzzles leave the tree where it was, so only the board needs to go back to it
+        if (this.puzzleMode) {
+            const currentNode = this.chessUI.moveTree.currentNode;
+            this.chessUI.board.fen(currentNode.fen || currentNode.move?.after || undefined);
+        }
+
         // Navigate back to position before learning mode
         if (this.positionBeforeLearning) {
             const savedNode = this.chessUI.moveTree.nodeMap.get(this.positionBeforeLearning);
@@ -920,12 +1262,25 @@ export class MistakeLearner {
         this.correctMoveMade = false;
         this.solvedCorrectly = 0;
         this.usedHintOrSolution = false;
-        this.currentEvaluationId = null; // Cancel any pending evaluations
+        this.cancelPendingEvaluation();
         this.lastIncorrectMove = null;
         this.lastPositionBeforeMistake = null;
         this.mistakeSolved = false;
         this.positionBeforeLearning = null;
 
+        // Puzzles turn the board to the side solving them
+        if (this.puzzleMode && this.flippedBeforeLearning !== null && this.chessUI.board.flipped !== this.flippedBeforeLearning) {
+            this.chessUI.moveNavigator.handleFlipBoard();
+        }
+
+        // Attempts changed the puzzle and review counts in the report
+        if (this.puzzleMode) {
+            this.chessUI.renderGameStats();
+        }
+        this.puzzleMode = false;
+        this.puzzleSession = null;
+        this.flippedBeforeLearning = null;
+
         // Restore normal UI
         this.chessUI.moveNavigator.hideLearningControls();
         this.chessUI.board.clearHighlights();
@@ -0,0 +1,483 @@
+import { Chess } from '../../../libs/chess.js';
+import { Engine } from '../../evaluation/Engine.js';
+import { Chess960 } from '../../evaluation/Chess960.js';
+import { LiveAnalysis } from '../../evaluation/LiveAnalysis.js';
+import { Clock } from '../board/Clock.js';
+
+/**
+ * "Play from here": plays the current position out against a strength-limited engine, with
+ * optional clocks. Both sides' moves go into the move tree as a variation, so they're classified
+ * like any other move and can be reviewed once the game is over
+ */
+export class PracticeGame {
+    // Opponent ratings offered in the setup
+    static strengths = [800, 1000, 1200, 1400, 1600, 1800, 2000, 2200, 2500, 2800];
+
+    // Clock presets (base and increment in seconds), the first without clocks
+    static timeControls = [
+        { id: 'none', label: 'No clock' },
+        { id: '1+0', label: '1+0', base: 60, increment: 0 },
+        { id: '3+2', label: '3+2', base: 180, increment: 2 },
+        { id: '5+0', label: '5+0', base: 300, increment: 0 },
+        { id: '10+5', label: '10+5', base: 600, increment: 5 },
+        { id: '15+10', label: '15+10', base: 900, increment: 10 }
+    ];
+
+    constructor(chessUI) {
+        this.chessUI = chessUI;
+        this.isActive = false; // A game is being played
+        this.isOpen = false; // The setup or game panel is showing
+        this.engine = null;
+        this.userColor = 'w';
+        this.elo = 1600;
+        this.timeControl = null; // Entry of timeControls, or null without clocks
+        this.clocks = null; // Remaining time in ms, { w, b }
+        this.turnStartedAt = null; // When the side to move started thinking
+        this.clockInterval = null;
+        this.startNodeId = null; // Node the game was started from
+        this.flippedBeforeGame = null; // Board orientation to restore afterwards
+        this.liveAnalysisBeforeGame = null; // Whether live analysis was running, to restart it afterwards
+        this.thinking = false; // Waiting for the engine's move
+        this.searchId = 0; // Ignores engine moves from a game that was left or restarted
+        this.result = null; // { winner: 'w' | 'b' | null, reason } once the game is over
+    }
+
+    /**
+     * Shows the game setup for the current position
+     */
+    open() {
+        if (this.isActive || this.chessUI.mistakeLearner?.isActive || this.chessUI.guessTheMove?.isActive) return;
+
+        const node = this.chessUI.moveTree.currentNode;
+        const fen = node.fen || new Chess().fen();
+        if (new Chess(fen).isGameOver()) {
+            this.chessUI.moveNavigator.showNotification('The game is already over in this position');
+            return;
+        }
+
+        const sideToMove = fen.split(' ')[1];
+        const savedElo = parseInt(this.chessUI.settingsMenu.getSettingValue('practiceStrength')) || this.elo;
+        const savedClock = this.chessUI.settingsMenu.getSettingValue('practiceTimeControl') || 'none';
+
+        const strengthOptions = PracticeGame.strengths
+            .map(elo => `<option value="${elo}" ${elo === savedElo ? 'selected' : ''}>${elo}</option>`)
+            .join('');
+        const clockOptions = PracticeGame.timeControls
+            .map(control => `<option value="${control.id}" ${control.id === savedClock ? 'selected' : ''}>${control.label}</option>`)
+            .join('');
+
+        $('#learning-actions').html(`
+            <div class="learning-actions-counter">Play from here</div>
+            <div class="practice-setup">
+                <label class="practice-option">Play as
+                    <select id="practice-color">
+                        <option value="w" ${sideToMove === 'w' ? 'selected' : ''}>White</option>
+                        <option value="b" ${sideToMove === 'b' ? 'selected' : ''}>Black</option>
+                    </select>
+                </label>
+                <label class="practice-option">Strength
+                    <select id="practice-strength">${strengthOptions}</select>
+                </label>
+                <label class="practice-option">Clock
+                    <select id="practice-clock">${clockOptions}</select>
+                </label>
+            </div>
+            <div class="learning-actions-buttons">
+                <button class="learning-action-btn primary" id="practice-start">Start</button>
+                <button class="learning-action-btn" id="practice-cancel">Cancel</button>
+            </div>
+        `).show();
+        this.isOpen = true;
+
+        $('#practice-start').off('click').on('click', () => {
+            const elo = parseInt($('#practice-strength').val());
+            const clockId = $('#practice-clock').val();
+
+            this.chessUI.settingsMenu.saveSettingToCookie('practiceStrength', elo);
+            this.chessUI.settingsMenu.saveSettingToCookie('practiceTimeControl', clockId);
+
+            this.start({
+                color: $('#practice-color').val(),
+                elo,
+                timeControl: PracticeGame.timeControls.find(control => control.id === clockId && control.base) || null
+            });
+        });
+        $('#practice-cancel').off('click').on('click', () => this.exit());
+    }
+
+    /**
+     * Starts a game from the current node
+     * @param {Object} options - { color: 'w' | 'b', elo, timeControl }
+     */
+    async start({ color, elo, timeControl }) {
+        this.userColor = color;
+        this.elo = elo;
+        this.timeControl = timeControl;
+        this.result = null;
+        this.thinking = false;
+        this.startNodeId = this.chessUI.moveTree.currentNode.id;
+
+        if (this.flippedBeforeGame === null) {
+            this.flippedBeforeGame = this.chessUI.board.flipped;
+        }
+        if (this.chessUI.board.flipped !== (color === 'b')) {
+            this.chessUI.moveNavigator.handleFlipBoard();
+        }
+
+        // The engine lines, evaluation bar and live analysis would give the engine's replies away
+        if (this.liveAnalysisBeforeGame === null) {
+            this.liveAnalysisBeforeGame = LiveAnalysis.enabled;
+        }
+        LiveAnalysis.stop();
+        $('.engine-lines, .eval-bar-container').hide();
+
+        // The analysis engines stay at full strength, so the opponent gets its own
+        if (!this.engine) {
+            this.engine = new Engine({ engineType: 'stockfish-17.1-lite', threadCount: 1, chess960: Chess960.enabled });
+        }
+        this.engine.newGame();
+        this.engine.setStrength(elo);
+
+        this.isActive = true;
+        this.clocks = timeControl ? { w: timeControl.base * 1000, b: timeControl.base * 1000 } : null;
+        this.turnStartedAt = Date.now();
+        this.startClock();
+
+        this.chessUI.moveNavigator.updateBoardArrows(this.chessUI.moveTree.currentNode);
+        this.continueGame();
+    }
+
+    /**
+     * Hands the move to whoever is to play: the user, or the engine
+     */
+    continueGame() {
+        const fen = this.chessUI.moveTree.currentNode.fen;
+        const isUserTurn = fen.split(' ')[1] === this.userColor;
+
+        this.chessUI.board.setOption({ isInteractive: isUserTurn });
+        this.renderPanel();
+
+        if (!isUserTurn) {
+            this.requestEngineMove();
+        }
+    }
+
+    /**
+     * Handles the user's move on the board, adding it to the tree
+     * @param {Object} moveObj - The move made on the board
+     * @returns {boolean} - True once the move is in the tree
+     */
+    handleUserMove(moveObj) {
+        if (this.result || this.thinking) return false;
+
+        this.chessUI.moveNavigator.playMoveInTree(moveObj);
+        this.afterMove();
+        return true;
+    }
+
+    /**
+     * Asks the engine for its move and plays it
+     */
+    async requestEngineMove() {
+        const searchId = ++this.searchId;
+        const fen = this.chessUI.moveTree.currentNode.fen;
+
+        this.thinking = true;
+        this.renderPanel();
+
+        await this.engine.ready();
+        if (!this.isActive || searchId !== this.searchId) return;
+
+        const uciMove = await this.engine.getBestMove(fen, { depth: this.getSearchDepth(), moveTime: this.getMoveTime() });
+        if (!this.isActive || searchId !== this.searchId) return;
+
+        this.thinking = false;
+        if (!uciMove) {
+            console.warn('Practice engine returned no move');
+            this.renderPanel('The engine couldn\'t find a move.');
+            return;
+        }
+
+        this.playEngineMove(uciMove);
+        this.afterMove();
+    }
+
+    /**
+     * Plays the engine's move on the board and in the tree
+     * @param {string} uciMove - The move in UCI
+     */
+    playEngineMove(uciMove) {
+        const moveTree = this.chessUI.moveTree;
+        const parent = moveTree.currentNode;
+        const moveObj = {
+            from: uciMove.substring(0, 2),
+            to: uciMove.substring(2, 4),
+            promotion: uciMove.length > 4 ? uciMove.substring(4, 5) : undefined
+        };
+
+        // A move that's already in the tree is navigated to, like the user's moves
+        const existingNode = moveTree.findExistingMove(parent, moveObj);
+        if (existingNode) {
+            this.chessUI.board.move(existingNode.move, true, existingNode.classification, existingNode.move.before, false, existingNode.move.promotion, false);
+            moveTree.navigateTo(existingNode.id);
+            this.chessUI.moveNavigator.updateAfterMove(existingNode);
+            return;
+        }
+
+        const move = new Chess(parent.fen).move(moveObj);
+        this.chessUI.board.move(move, true, undefined, move.before, false, move.promotion, false);
+        this.chessUI.moveNavigator.createNewVariation(move);
+    }
+
+    /**
+     * Runs the clocks and checks for the end of the game after either side's move
+     */
+    afterMove() {
+        const node = this.chessUI.moveTree.currentNode;
+        const movedColor = node.move.color;
+
+        // Charge the mover's thinking time, add the increment and annotate the move with its clock
+        if (this.clocks) {
+            this.clocks[movedColor] -= Date.now() - this.turnStartedAt;
+            this.clocks[movedColor] += this.timeControl.increment * 1000;
+            node.clock = PracticeGame.formatClock(this.clocks[movedColor]);
+        }
+        this.turnStartedAt = Date.now();
+
+        const result = this.getResult(node);
+        if (result) {
+            this.finish(result);
+            return;
+        }
+
+        this.renderClocks();
+        this.continueGame();
+    }
+
+    /**
+     * Checks whether the game is over after a move
+     * @param {Object} node - Move tree node of the move
+     * @returns {Object|null} - { winner: 'w' | 'b' | null, reason }, or null if the game goes on
+     */
+    getResult(node) {
+        const chess = new Chess(node.fen);
+
+        if (chess.isCheckmate()) return { winner: node.move.color, reason: 'checkmate' };
+        if (chess.isStalemate()) return { winner: null, reason: 'stalemate' };
+        if (chess.isInsufficientMaterial()) return { winner: null, reason: 'insufficient material' };
+        if (chess.isDrawByFiftyMoves()) return { winner: null, reason: 'the 50-move rule' };
+
+        // A fresh Chess instance has no history, so count repetitions along the tree path
+        const position = node.fen.split(' ').slice(0, 4).join(' ');
+        const repetitions = this.chessUI.moveTree.getPathToNode(node.id)
+            .filter(pathNode => pathNode.fen.split(' ').slice(0, 4).join(' ') === position)
+            .length;
+        if (repetitions >= 3) return { winner: null, reason: 'threefold repetition' };
+
+        return null;
+    }
+
+    /**
+     * Ends the game and shows its result
+     * @param {Object} result - { winner, reason }
+     */
+    finish(result) {
+        this.result = result;
+        this.thinking = false;
+        this.searchId++;
+        this.engine?.abort();
+        this.stopClock();
+        this.renderClocks();
+
+        this.chessUI.board.setOption({ isInteractive: false });
+
+        let message;
+        if (result.winner === null) {
+            message = `Draw by ${result.reason}.`;
+        } else if (result.winner === this.userColor) {
+            message = `<span style="color: var(--color-green-300);">You won by ${result.reason}!</span>`;
+        } else {
+            message = `<span style="color: var(--color-red-300);">Stockfish won by ${result.reason}.</span>`;
+        }
+
+        $('#learning-actions').html(`
+            <div class="learning-actions-counter">${this.getTitle()}</div>
+            <div class="learning-actions-message">${message}</div>
+            <div class="learning-actions-buttons">
+                <button class="learning-action-btn primary" id="practice-review">Review game</button>
+                <button class="learning-action-btn" id="practice-again">Play again</button>
+            </div>
+        `).show();
+
+        $('#practice-review').off('click').on('click', () => this.exit(false));
+        $('#practice-again').off('click').on('click', () => this.restart());
+    }
+
+    /**
+     * Resigns the game for the user
+     */
+    resign() {
+        if (!this.isActive || this.result) return;
+        this.finish({ winner: this.userColor === 'w' ? 'b' : 'w', reason: 'resignation' });
+    }
+
+    /**
+     * Goes back to the starting node and plays again with the same settings
+     */
+    restart() {
+        const startNode = this.chessUI.moveTree.nodeMap.get(this.startNodeId);
+
+        this.isActive = false;
+        if (startNode) {
+            this.chessUI.moveNavigator.handleTreeNodeClick(startNode);
+        }
+
+        this.start({ color: this.userColor, elo: this.elo, timeControl: this.timeControl });
+    }
+
+    /**
+     * Leaves practice mode, staying on the game's last move so it can be reviewed
+     * @param {boolean} restoreBoard - Whether to turn the board back to how it was
+     */
+    exit(restoreBoard = true) {
+        if (!this.isActive && !this.isOpen) return;
+
+        this.isActive = false;
+        this.isOpen = false;
+        this.thinking = false;
+        this.result = null;
+        this.searchId++;
+        this.stopClock();
+
+        if (this.engine) {
+            this.engine.terminate();
+            this.engine = null;
+        }
+
+        if (restoreBoard && this.flippedBeforeGame !== null && this.chessUI.board.flipped !== this.flippedBeforeGame) {
+            this.chessUI.moveNavigator.handleFlipBoard();
+        }
+        this.flippedBeforeGame = null;
+
+        $('#learning-actions').hide().empty();
+        this.chessUI.board.setOption({ isInteractive: true });
+
+        // Bring back the game's clocks, the engine's view and the arrows hidden during the game
+        const node = this.chessUI.moveTree.currentNode;
+        $('.engine-lines, .eval-bar-container').show();
+        Clock.updateFromMoveTree(this.chessUI.moveTree, this.chessUI.board.flipped, this.chessUI.game?.pgn);
+        if (this.liveAnalysisBeforeGame && !LiveAnalysis.enabled) {
+            this.chessUI.moveNavigator.toggleLiveAnalysis();
+        }
+        this.liveAnalysisBeforeGame = null;
+        this.chessUI.moveNavigator.updateBoardArrows(node);
+    }
+
+    /**
+     * Shows the game's status and buttons
+     * @param {string|null} message - Status to show instead of whose move it is
+     */
+    renderPanel(message = null) {
+        const status = message || (this.thinking ? 'Stockfish is thinking...' : 'Your move');
+
+        $('#learning-actions').html(`
+            <div class="learning-actions-counter">${this.getTitle()}</div>
+            <div class="learning-actions-message">${status}</div>
+            <div class="learning-actions-buttons">
+                <button class="learning-action-btn" id="practice-resign">Resign</button>
+                <button class="learning-action-btn" id="practice-leave">Leave game</button>
+            </div>
+        `).show();
+
+        $('#practice-resign').off('click').on('click', () => this.resign());
+        $('#practice-leave').off('click').on('click', () => this.exit());
+    }
+
+    getTitle() {
+        const clock = this.timeControl ? ` · ${this.timeControl.label}` : '';
+        return `Playing ${this.userColor === 'w' ? 'White' : 'Black'} vs Stockfish ${this.elo}${clock}`;
+    }
+
+    /**
+     * Search depth for the engine. Above Stockfish's lowest UCI_Elo the rating limits its play,
+     * below it the depth does
+     * @returns {number}
+     */
+    getSearchDepth() {
+        return this.elo >= Engine.minElo ? 20 : Math.max(1, Math.round((this.elo - 600) / 120));
+    }
+
+    /**
+     * Thinking time for the engine's move: a fortieth of its clock, at most two seconds
+     * @returns {number} - Time in ms
+     */
+    getMoveTime() {
+        if (!this.clocks) return 800;
+
+        const engineColor = this.userColor === 'w' ? 'b' : 'w';
+        return Math.round(Math.min(2000, Math.max(100, this.clocks[engineColor] / 40)));
+    }
+
+    startClock() {
+        this.stopClock();
+        if (!this.clocks) return;
+
+        this.renderClocks();
+        this.clockInterval = setInterval(() => this.tick(), 200);
+    }
+
+    stopClock() {
+        if (this.clockInterval) {
+            clearInterval(this.clockInterval);
+            this.clockInterval = null;
+        }
+    }
+
+    /**
+     * Updates the running clock, ending the game when it runs out
+     */
+    tick() {
+        if (!this.isActive || this.result) return;
+
+        const turn = this.chessUI.moveTree.currentNode.fen.split(' ')[1];
+        if (this.getRemaining(turn) <= 0) {
+            this.clocks[turn] = 0;
+            this.finish({ winner: turn === 'w' ? 'b' : 'w', reason: 'timeout' });
+            return;
+        }
+
+        this.renderClocks();
+    }
+
+    /**
+     * Time left for a side, counting the current move's thinking time
+     * @param {string} color - 'w' or 'b'
+     * @returns {number} - Time in ms
+     */
+    getRemaining(color) {
+        const turn = this.chessUI.moveTree.currentNode.fen.split(' ')[1];
+        const spent = color === turn && !this.result ? Date.now() - this.turnStartedAt : 0;
+        return this.clocks[color] - spent;
+    }
+
+    renderClocks() {
+        if (!this.clocks) return;
+
+        const turn = this.chessUI.moveTree.currentNode.fen.split(' ')[1];
+        const isRunning = this.isActive && !this.result;
+        Clock.displayClock('#white-clock .clock-time', PracticeGame.formatClock(this.getRemaining('w')), isRunning && turn === 'w');
+        Clock.displayClock('#black-clock .clock-time', PracticeGame.formatClock(this.getRemaining('b')), isRunning && turn === 'b');
+    }
+
+    /**
+     * Formats a clock time the way PGN [%clk] annotations are written
+     * @param {number} ms - Time in ms
+     * @returns {string} - e.g. "0:04:58"
+     */
+    static formatClock(ms) {
+        const seconds = Math.max(0, Math.ceil(ms / 1000));
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        return `${hours}:${minutes.toString().padStart(2, '0')}:${(seconds % 60).toString().padStart(2, '0')}`;
+    }
+}
@@ -0,0 +1,117 @@
+/**
+ * The user's puzzle collection, kept in localStorage so puzzles from every analysed game
+ * are still there next visit. Puzzles are keyed by id, so re-analysing a game doesn't
+ * add its puzzles twice, and can be exported in the Lichess puzzle CSV format
+ */
+export class PuzzleCollection {
+    static storageKey = 'centichess_puzzles';
+
+    // Lichess' columns, in order
+    static csvColumns = ['PuzzleId', 'FEN', 'Moves', 'Rating', 'RatingDeviation', 'Popularity', 'NbPlays', 'Themes', 'GameUrl', 'OpeningTags'];
+
+    // Our ratings are estimates, so they're exported with the deviation of a new Lichess puzzle
+    static ratingDeviation = 500;
+
+    /**
+     * Gets every saved puzzle
+     * @returns {Array<Object>} - Puzzles from PuzzleExtractor, with { plays, solves, added }
+     */
+    static getAll() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    static saveAll(puzzles) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(puzzles));
+        } catch (e) {
+            console.warn('Could not save puzzles:', e);
+        }
+    }
+
+    /**
+     * Adds puzzles that aren't in the collection yet
+     * @param {Array<Object>} puzzles - Puzzles from PuzzleExtractor.extract
+     * @returns {number} - How many puzzles were new
+     */
+    static add(puzzles) {
+        const saved = this.getAll();
+        const savedIds = new Set(saved.map(puzzle => puzzle.id));
+        const added = puzzles
+            .filter(puzzle => !savedIds.has(puzzle.id))
+            .map(puzzle => ({ ...puzzle, plays: 0, solves: 0, added: Date.now() }));
+
+        if (added.length > 0) this.saveAll([...saved, ...added]);
+        return added.length;
+    }
+
+    static remove(id) {
+        this.saveAll(this.getAll().filter(puzzle => puzzle.id !== id));
+    }
+
+    static clear() {
+        this.saveAll([]);
+    }
+
+    /**
+     * Records an attempt at a puzzle
+     * @param {string} id - The puzzle's id
+     * @param {boolean} solved - Whether it was solved without hints, wrong moves or the solution
+     */
+    static recordAttempt(id, solved) {
+        const puzzles = this.getAll();
+        const puzzle = puzzles.find(p => p.id === id);
+        if (!puzzle) return;
+
+        puzzle.plays++;
+        if (solved) puzzle.solves++;
+        this.saveAll(puzzles);
+    }
+
+    /**
+     * Writes puzzles in the Lichess puzzle CSV format: the FEN is the position before the
+     * opponent's blunder, and the moves start with that blunder followed by the solution
+     * @param {Array<Object>} puzzles - Puzzles to export
+     * @returns {string} - CSV text with a header row
+     */
+    static toLichessCSV(puzzles) {
+        const escape = (value) => {
+            const text = String(value ?? '');
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const rows = puzzles.map(puzzle => [
+            puzzle.id,
+            puzzle.preFen,
+            [puzzle.lastMove, ...puzzle.solution].join(' '),
+            puzzle.rating,
+            this.ratingDeviation,
+            0,
+            puzzle.plays || 0,
+            puzzle.themes.join(' '),
+            puzzle.gameUrl,
+            ''
+        ]);
+
+        return [this.csvColumns, ...rows].map(row => row.map(escape).join(',')).join('\n');
+    }
+
+    /**
+     * Downloads the collection as a Lichess puzzle CSV file
+     * @param {Array<Object>} puzzles - Puzzles to export (defaults to the whole collection)
+     */
+    static download(puzzles = this.getAll()) {
+        const blob = new Blob([this.toLichessCSV(puzzles)], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `puzzles-${new Date().toISOString().split('T')[0]}.csv`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+}
@@ -0,0 +1,251 @@
+import { Chess } from '../../../libs/chess.js';
+import { GamePhase } from '../../classification/GamePhase.js';
+import { WinDrawLoss } from '../../evaluation/WinDrawLoss.js';
+
+// The user's reply classifications that turn an opponent's blunder into a puzzle
+const PUZZLE_CLASSIFICATIONS = ['miss', 'mistake', 'blunder'];
+
+// Lichess puzzle themes for the motifs TacticalMotifs tags (overloaded defenders have no theme)
+const MOTIF_THEMES = {
+    fork: 'fork',
+    pin: 'pin',
+    skewer: 'skewer',
+    discovered_attack: 'discoveredAttack',
+    double_check: 'doubleCheck',
+    back_rank_mate: 'backRankMate',
+    deflection: 'deflection',
+    trapped_piece: 'trappedPiece'
+};
+
+/**
+ * Builds puzzles from an analysed game: positions where the opponent blundered and the user
+ * replied with a miss, mistake or blunder. The solution is the forced part of the engine's best
+ * line, and the rating is estimated from how long and how quiet that solution is
+ */
+export class PuzzleExtractor {
+    // Longest solution kept from a non-mating line (the user's first three moves)
+    static maxSolutionPlies = 5;
+
+    // Win% the best move must keep over the second best line for the puzzle to have one answer
+    static minUniqueness = 15;
+
+    // Win% the user must have after the best move for the position to be worth solving
+    static minWinPercent = 65;
+
+    /**
+     * Extracts the puzzles of an analysed game for the user
+     * @param {Object} analysis - { startFen, moves } from MoveEvaluator.analyzeGame
+     * @param {Object} game - game object (username, players, pgn)
+     * @returns {Array<Object>} - Puzzles, see createPuzzle
+     */
+    static extract(analysis, game) {
+        if (!analysis?.moves?.length || !game?.username) return [];
+
+        const userIsBlack = game.username.toLowerCase() === game.black?.name?.toLowerCase();
+        const userColor = userIsBlack ? 'b' : 'w';
+        const phases = GamePhase.getPhases(analysis.moves.map(move => move.move), analysis.startFen);
+        const puzzles = [];
+
+        for (let i = 1; i < analysis.moves.length; i++) {
+            const reply = analysis.moves[i];
+            const blunder = analysis.moves[i - 1];
+
+            // The user is to move in the position after the opponent's blunder
+            if (blunder.fen.split(' ')[1] !== userColor) continue;
+            if (blunder.classification?.type !== 'blunder') continue;
+            if (!PUZZLE_CLASSIFICATIONS.includes(reply.classification?.type)) continue;
+
+            const puzzle = this.createPuzzle(analysis, game, i, phases);
+            if (puzzle) puzzles.push(puzzle);
+        }
+
+        return puzzles;
+    }
+
+    /**
+     * Builds the puzzle for the user's reply to a blunder
+     * @param {Object} analysis - The analysed game
+     * @param {Object} game - game object
+     * @param {number} index - Index of the user's reply in analysis.moves
+     * @param {Array<Object>} phases - Phase changes from GamePhase.getPhases
+     * @returns {Object|null} - The puzzle, or null if the position has no clear solution
+     */
+    static createPuzzle(analysis, game, index, phases) {
+        const reply = analysis.moves[index];
+        const blunder = analysis.moves[index - 1];
+        const isWhite = blunder.fen.split(' ')[1] === 'w';
+
+        const bestLine = blunder.lines?.find(line => line.id === 1);
+        if (!bestLine?.uciMove || !bestLine.pv?.length) return null;
+
+        // The user must be clearly better after the best move, and no other move may come close
+        const winPercent = this.getUserWinPercent(bestLine, isWhite);
+        if (winPercent < this.minWinPercent) return null;
+
+        const secondLine = blunder.lines.find(line => line.id === 2);
+        if (secondLine && winPercent - this.getUserWinPercent(secondLine, isWhite) < this.minUniqueness) return null;
+
+        const solution = this.getSolution(blunder.fen, bestLine);
+        if (solution.length === 0) return null;
+
+        const preFen = index >= 2 ? analysis.moves[index - 2].fen : analysis.startFen;
+        const ply = index;
+        const phase = [...phases].reverse().find(change => change.ply <= ply)?.phase || 'opening';
+        const motifs = reply.motifs?.missed || [];
+        const userElo = parseInt(isWhite ? game.white?.elo : game.black?.elo) || null;
+
+        return {
+            id: this.createId(blunder.fen, solution),
+            fen: blunder.fen,
+            preFen,
+            lastMove: this.toUci(preFen, blunder.move),
+            lastMoveSan: blunder.move,
+            solution,
+            playedMove: this.toUci(blunder.fen, reply.move),
+            playedClassification: reply.classification.type,
+            rating: this.estimateRating(solution, bestLine, blunder.fen, motifs, userElo),
+            themes: this.getThemes(solution, bestLine, isWhite, motifs, phase),
+            white: game.white?.name,
+            black: game.black?.name,
+            gameUrl: this.getGameUrl(game.pgn),
+            ply
+        };
+    }
+
+    /**
+     * The user's win% after a line (mates count as certain wins or losses)
+     * @param {Object} line - Engine line ({ score, type, wdl }, white's point of view)
+     * @param {boolean} isWhite - Whether the user plays white
+     * @returns {number} - Win% for the user, 0-100
+     */
+    static getUserWinPercent(line, isWhite) {
+        const whiteWinPercent = line.type === 'mate'
+            ? (line.score > 0 ? 100 : 0)
+            : WinDrawLoss.getExpectedScore(line);
+        return isWhite ? whiteWinPercent : 100 - whiteWinPercent;
+    }
+
+    /**
+     * Trims the best line to its forced part, always ending on one of the user's moves: a mate is
+     * kept to the end, otherwise the line runs to the last capture, check or promotion
+     * among the user's first moves (just the first move if the rest is quiet)
+     * @param {string} fen - The puzzle position
+     * @param {Object} line - The best engine line
+     * @returns {Array<string>} - Solution moves in UCI, the user's at even indexes
+     */
+    static getSolution(fen, line) {
+        const chess = new Chess(fen);
+        const isMate = line.type === 'mate' && (line.score > 0) === (chess.turn() === 'w');
+        const maxPlies = isMate ? Math.abs(line.score) * 2 - 1 : this.maxSolutionPlies;
+
+        const solution = [];
+        let forcedLength = 1;
+
+        for (const uciMove of line.pv.slice(0, maxPlies)) {
+            let move;
+            try {
+                move = chess.move({ from: uciMove.substring(0, 2), to: uciMove.substring(2, 4), promotion: uciMove[4] });
+            } catch (e) {
+                break;
+            }
+            if (!move) break;
+
+            solution.push(uciMove);
+
+            const isUserMove = solution.length % 2 === 1;
+            if (isUserMove && (isMate || move.captured || move.promotion || chess.inCheck())) {
+                forcedLength = solution.length;
+            }
+        }
+
+        return solution.slice(0, Math.min(forcedLength, solution.length));
+    }
+
+    /**
+     * Estimates a puzzle's rating: longer and quieter solutions and tactical motifs make it
+     * harder, and a rated user missing it suggests it sits around their own rating
+     * @param {Array<string>} solution - Solution moves in UCI
+     * @param {Object} line - The best engine line
+     * @param {string} fen - The puzzle position
+     * @param {Array<string>} motifs - Motif types the user missed
+     * @param {number|null} userElo - The user's rating in the game
+     * @returns {number} - Estimated puzzle rating
+     */
+    static estimateRating(solution, line, fen, motifs, userElo) {
+        const userMoves = Math.ceil(solution.length / 2);
+        const firstMove = new Chess(fen).move({ from: solution[0].substring(0, 2), to: solution[0].substring(2, 4), promotion: solution[0][4] });
+        const isQuiet = !firstMove.captured && !firstMove.san.includes('+') && !firstMove.san.includes('#');
+
+        let rating = 1000 + 200 * (userMoves - 1) + 75 * motifs.length;
+        if (isQuiet) rating += 250;
+        if (line.type === 'mate' && userMoves === 1) rating -= 200;
+
+        if (userElo) rating = (rating + userElo) / 2;
+
+        return Math.round(Math.max(400, Math.min(3000, rating)));
+    }
+
+    /**
+     * Gets the Lichess themes of a puzzle
+     * @param {Array<string>} solution - Solution moves in UCI
+     * @param {Object} line - The best engine line
+     * @param {boolean} isWhite - Whether the user plays white
+     * @param {Array<string>} motifs - Motif types the user missed
+     * @param {string} phase - Game phase of the position
+     * @returns {Array<string>} - Lichess theme names
+     */
+    static getThemes(solution, line, isWhite, motifs, phase) {
+        const themes = motifs.map(motif => MOTIF_THEMES[motif]).filter(Boolean);
+        const userMoves = Math.ceil(solution.length / 2);
+
+        if (line.type === 'mate') {
+            themes.push('mate');
+            if (userMoves <= 5) themes.push(`mateIn${userMoves}`);
+        } else {
+            const advantage = isWhite ? line.score : -line.score;
+            themes.push(advantage >= 600 ? 'crushing' : 'advantage');
+        }
+
+        themes.push(['oneMove', 'short', 'long'][userMoves - 1] || 'veryLong');
+        themes.push(phase);
+
+        return [...new Set(themes)];
+    }
+
+    /**
+     * Converts a SAN move to UCI (analysed moves only keep from and to squares, without promotions)
+     * @param {string} fen - Position the move is played from
+     * @param {string} san - The move in SAN
+     * @returns {string} - The move in UCI
+     */
+    static toUci(fen, san) {
+        const move = new Chess(fen).move(san);
+        return move.from + move.to + (move.promotion || '');
+    }
+
+    /**
+     * Reads the game's link from its PGN headers (chess.com's Link, or a Lichess Site)
+     * @param {string} pgn - The game's PGN
+     * @returns {string} - The game URL, or '' if the PGN has none
+     */
+    static getGameUrl(pgn = '') {
+        const link = pgn.match(/\[Link "([^"]+)"\]/)?.[1] || pgn.match(/\[Site "(https?:[^"]+)"\]/)?.[1];
+        return link || '';
+    }
+
+    /**
+     * Builds a stable puzzle id from its position and solution, so a game analysed twice
+     * doesn't add the same puzzle twice
+     * @param {string} fen - The puzzle position
+     * @param {Array<string>} solution - Solution moves in UCI
+     * @returns {string} - Base 36 id
+     */
+    static createId(fen, solution) {
+        const text = `${fen}|${solution.join(' ')}`;
+        let hash = 0;
+        for (let i = 0; i < text.length; i++) {
+            hash = (hash * 31 + text.charCodeAt(i)) >>> 0;
+        }
+        return hash.toString(36).padStart(7, '0');
+    }
+}
@@ -0,0 +1,198 @@
+import { PuzzleExtractor } from './PuzzleExtractor.js';
+
+// User move classifications saved for review
+const REVIEW_CLASSIFICATIONS = ['mistake', 'miss', 'blunder'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Spaced repetition of the user's mistakes across every analysed game, kept in localStorage.
+ * Each mistake position is scheduled with SM-2: answering well pushes the next review further
+ * out (by the item's ease factor), while failing brings it back the next day
+ */
+export class ReviewSchedule {
+    static storageKey = 'centichess_review';
+
+    // Most items in one "Review due" session
+    static sessionSize = 20;
+
+    // SM-2's starting and lowest ease factors
+    static initialEase = 2.5;
+    static minEase = 1.3;
+
+    // Interval (in days) from which an item counts as learned
+    static learnedInterval = 21;
+
+    /**
+     * Gets every saved review item
+     * @returns {Array<Object>} - Items from extract, with their schedule
+     */
+    static getAll() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    static saveAll(items) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(items));
+        } catch (e) {
+            console.warn('Could not save review schedule:', e);
+        }
+    }
+
+    /**
+     * Builds review items from the user's mistakes in an analysed game: the position before the
+     * mistake and the forced part of the engine's best line there
+     * @param {Object} analysis - { startFen, startPosition, moves } from MoveEvaluator.analyzeGame
+     * @param {Object} game - game object (username, players, pgn)
+     * @returns {Array<Object>} - Review items, in the shape puzzle mode expects
+     */
+    static extract(analysis, game) {
+        if (!analysis?.moves?.length || !game?.username) return [];
+
+        const userIsBlack = game.username.toLowerCase() === game.black?.name?.toLowerCase();
+        const userColor = userIsBlack ? 'b' : 'w';
+        const gameUrl = PuzzleExtractor.getGameUrl(game.pgn);
+        const items = [];
+
+        analysis.moves.forEach((move, index) => {
+            if (!REVIEW_CLASSIFICATIONS.includes(move.classification?.type)) return;
+
+            const previous = index > 0 ? analysis.moves[index - 1] : { fen: analysis.startFen, ...analysis.startPosition };
+            if (previous.fen.split(' ')[1] !== userColor) return;
+
+            // Evaluations read from the PGN have a score but no best move
+            const bestLine = previous.lines?.find(line => line.id === 1);
+            if (!bestLine?.uciMove) return;
+
+            const beforePrevious = index > 1 ? analysis.moves[index - 2].fen : analysis.startFen;
+
+            items.push({
+                id: PuzzleExtractor.createId(previous.fen, [bestLine.uciMove]),
+                fen: previous.fen,
+                lastMove: index > 0 ? PuzzleExtractor.toUci(beforePrevious, previous.move) : null,
+                lastMoveSan: index > 0 ? previous.move : null,
+                solution: bestLine.pv?.length ? PuzzleExtractor.getSolution(previous.fen, bestLine) : [bestLine.uciMove],
+                playedMove: PuzzleExtractor.toUci(previous.fen, move.move),
+                playedSan: move.move,
+                playedClassification: move.classification.type,
+                white: game.white?.name,
+                black: game.black?.name,
+                gameUrl,
+                ply: index
+            });
+        });
+
+        return items;
+    }
+
+    /**
+     * Adds items that aren't scheduled yet, due straight away
+     * @param {Array<Object>} items - Items from extract
+     * @returns {number} - How many items were new
+     */
+    static add(items) {
+        const saved = this.getAll();
+        const savedIds = new Set(saved.map(item => item.id));
+        const now = Date.now();
+        const added = items
+            .filter(item => !savedIds.has(item.id))
+            .map(item => ({
+                ...item,
+                ease: this.initialEase,
+                interval: 0,
+                repetitions: 0,
+                due: now,
+                reviews: 0,
+                successes: 0,
+                added: now
+            }));
+
+        if (added.length > 0) this.saveAll([...saved, ...added]);
+        return added.length;
+    }
+
+    /**
+     * Gets a session of due items, shuffled so positions from different games are mixed
+     * @param {number} now - Current time in ms
+     * @returns {Array<Object>} - Up to sessionSize due items, most overdue first picked
+     */
+    static getDue(now = Date.now()) {
+        const due = this.getAll()
+            .filter(item => item.due <= now)
+            .sort((a, b) => a.due - b.due)
+            .slice(0, this.sessionSize);
+
+        for (let i = due.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [due[i], due[j]] = [due[j], due[i]];
+        }
+        return due;
+    }
+
+    /**
+     * Grades an attempt on SM-2's 0-5 scale
+     * @param {Object} result - { solved, usedHelp, incorrectAttempt, skipped }
+     * @returns {number} - 5 clean solve, 3 solved after a wrong move, 2 solved with the arrow hint,
+     * 1 solution viewed, 0 skipped
+     */
+    static getQuality(result) {
+        if (result.skipped) return 0;
+        if (!result.solved) return 1;
+        if (result.usedHelp) return 2;
+        if (result.incorrectAttempt) return 3;
+        return 5;
+    }
+
+    /**
+     * Updates an item's schedule after an attempt (SM-2)
+     * @param {string} id - The item's id
+     * @param {number} quality - Grade from getQuality
+     * @param {number} now - Current time in ms
+     */
+    static recordReview(id, quality, now = Date.now()) {
+        const items = this.getAll();
+        const item = items.find(i => i.id === id);
+        if (!item) return;
+
+        if (quality >= 3) {
+            item.interval = item.repetitions === 0 ? 1
+                : item.repetitions === 1 ? 6
+                : Math.round(item.interval * item.ease);
+            item.repetitions++;
+            item.successes++;
+        } else {
+            item.repetitions = 0;
+            item.interval = 1;
+        }
+
+        item.ease = Math.max(this.minEase, item.ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+        item.due = now + item.interval * DAY;
+        item.reviews++;
+        item.lastReviewed = now;
+
+        this.saveAll(items);
+    }
+
+    /**
+     * Summarises the schedule for the review dashboard
+     * @param {number} now - Current time in ms
+     * @returns {Object} - { total, due, learned, reviews, retention } (retention 0-1, or null before any review)
+     */
+    static getStats(now = Date.now()) {
+        const items = this.getAll();
+        const reviews = items.reduce((sum, item) => sum + item.reviews, 0);
+        const successes = items.reduce((sum, item) => sum + item.successes, 0);
+
+        return {
+            total: items.length,
+            due: items.filter(item => item.due <= now).length,
+            learned: items.filter(item => item.interval >= this.learnedInterval).length,
+            reviews,
+            retention: reviews > 0 ? successes / reviews : null
+        };
+    }
+}
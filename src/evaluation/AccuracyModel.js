@@ -0,0 +1,147 @@
+import { Chess } from "../../libs/chess.js";
+import { WinDrawLoss } from "./WinDrawLoss.js";
+
+export const AccuracyModelType = {
+    CLASSIFICATION: 'classification',
+    LICHESS: 'lichess'
+};
+
+/**
+ * Turns analysed moves into accuracy percentages. Each model scores the moves of a game
+ * ({ accuracy, weight } per move, accuracy 0-1) and combines a player's scores into one number,
+ * so overall and per-phase accuracies come from the same per-move scores
+ */
+export class AccuracyModel {
+    static models = {
+        // Average of the fixed accuracy of each move's classification (top engine moves count as 1)
+        [AccuracyModelType.CLASSIFICATION]: {
+            label: 'Classification',
+            scoreMoves: (moves) => moves.map(move => ({
+                accuracy: move.isTopEngineMove ? 1.0 : move.classification.accuracy,
+                weight: 1
+            })),
+            combine: (scores) => scores.reduce((sum, score) => sum + score.accuracy, 0) / scores.length
+        },
+
+        // Lichess: accuracy from the win% each move lost, averaged with weights for how
+        // volatile the game was around the move, then blended with the harmonic mean
+        [AccuracyModelType.LICHESS]: {
+            label: 'Lichess (win %)',
+            scoreMoves: (moves, startPosition) => AccuracyModel.scoreByWinPercent(moves, startPosition),
+            combine: (scores) => AccuracyModel.combineWeightedHarmonic(scores)
+        }
+    };
+
+    /**
+     * Adds (or replaces) an accuracy model
+     * @param {string} type - Key the model is selected by
+     * @param {Object} model - { label, scoreMoves(moves, startPosition), combine(scores) }
+     */
+    static register(type, model) {
+        this.models[type] = model;
+    }
+
+    static get(type) {
+        return this.models[type] || this.models[AccuracyModelType.CLASSIFICATION];
+    }
+
+    /**
+     * Scores every move of an analysed game
+     * @param {Array<Object>} moves - Classified moves from MoveEvaluator.analyzeGame
+     * @param {Object} startPosition - The evaluated starting position
+     * @param {string} type - One of AccuracyModelType (or a registered model)
+     * @returns {Array<Object>} - { accuracy, weight, color } per move
+     */
+    static scoreGame(moves, startPosition, type) {
+        return this.get(type).scoreMoves(moves, startPosition).map((score, i) => ({
+            ...score,
+            // The side to move in the position after the move is the opponent of the mover
+            color: moves[i].fen.includes(' b ') ? 'white' : 'black'
+        }));
+    }
+
+    /**
+     * Combines a player's move scores into an accuracy
+     * @param {Array<Object>} scores - Scores from scoreGame
+     * @param {string} type - The model the scores came from
+     * @returns {number} - Accuracy between 0 and 1 (0 without moves)
+     */
+    static combine(scores, type) {
+        if (scores.length === 0) return 0;
+        return this.get(type).combine(scores);
+    }
+
+    /**
+     * White's win% in an evaluated position, as Lichess computes it (centipawns capped at 1000)
+     * @param {Object} position - An analysed move or the start position ({ fen, lines })
+     * @returns {number} - Win% for white, 0-100
+     */
+    static getWinPercent(position) {
+        const bestLine = position.lines?.find(line => line.id === 1);
+
+        // Game over: checkmate is lost for the side to move, anything else is drawn
+        if (!bestLine) {
+            const board = new Chess(position.fen);
+            if (!board.isCheckmate()) return 50;
+            return board.turn() === 'w' ? 0 : 100;
+        }
+
+        if (bestLine.type === 'mate') return bestLine.score > 0 ? 100 : 0;
+
+        const cp = Math.max(-1000, Math.min(1000, bestLine.score));
+        return 50 + 50 * (2 / (1 + Math.exp(-WinDrawLoss.logisticScale * cp)) - 1);
+    }
+
+    /**
+     * Lichess per-move accuracy and volatility weights
+     * @param {Array<Object>} moves - Analysed moves
+     * @param {Object} startPosition - The evaluated starting position
+     * @returns {Array<Object>} - { accuracy, weight } per move
+     */
+    static scoreByWinPercent(moves, startPosition) {
+        const winPercents = [startPosition, ...moves].map(position => this.getWinPercent(position));
+
+        // Windows of win% around each move; the first windows repeat so there's one per move
+        const windowSize = Math.min(Math.max(Math.floor(moves.length / 10), 2), 8);
+        const firstWindow = winPercents.slice(0, windowSize);
+        const windows = Array.from({ length: Math.max(Math.min(windowSize, winPercents.length) - 2, 0) }, () => firstWindow);
+        for (let i = 0; i + windowSize <= winPercents.length; i++) {
+            windows.push(winPercents.slice(i, i + windowSize));
+        }
+
+        const standardDeviation = (values) => {
+            const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+            return Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length);
+        };
+
+        return moves.map((move, i) => {
+            const isWhite = move.fen.includes(' b ');
+            const before = isWhite ? winPercents[i] : 100 - winPercents[i];
+            const after = isWhite ? winPercents[i + 1] : 100 - winPercents[i + 1];
+            const winLoss = Math.max(0, before - after);
+
+            // Lichess' fitted curve, plus its 1% bonus for the uncertainty of the analysis
+            const accuracy = 103.1668100711649 * Math.exp(-0.04354415386753951 * winLoss) - 3.166924740191411 + 1;
+
+            return {
+                accuracy: Math.max(0, Math.min(100, accuracy)) / 100,
+                weight: Math.max(0.5, Math.min(12, standardDeviation(windows[i])))
+            };
+        });
+    }
+
+    /**
+     * Lichess game accuracy: the average of the volatility-weighted mean and the harmonic mean
+     * @param {Array<Object>} scores - A player's { accuracy, weight } scores
+     * @returns {number} - Accuracy between 0 and 1
+     */
+    static combineWeightedHarmonic(scores) {
+        const totalWeight = scores.reduce((sum, score) => sum + score.weight, 0);
+        const weightedMean = scores.reduce((sum, score) => sum + score.accuracy * 100 * score.weight, 0) / totalWeight;
+
+        // Accuracies under 1% count as 1% so a single lost move doesn't zero the harmonic mean
+        const harmonicMean = scores.length / scores.reduce((sum, score) => sum + 1 / Math.max(1, score.accuracy * 100), 0);
+
+        return (weightedMean + harmonicMean) / 2 / 100;
+    }
+}
@@ -0,0 +1,151 @@
+import { Classification, CommentType } from "../classification/MoveClassifier.js";
+import { MoveEvaluator } from "./MoveEvaluator.js";
+import { Chess960 } from "./Chess960.js";
+
+// What went wrong in a mistake, blunder or miss
+export const ErrorType = {
+    ALLOWED_MATE: 'Allowed mate',
+    MISSED_MATE: 'Missed mate',
+    HUNG_PIECE: 'Hung a piece',
+    MISSED_WIN: 'Missed win',
+    STALEMATE: 'Stalemated a won game',
+    POSITIONAL: 'Positional error'
+};
+
+/**
+ * Analyses a list of games one after another with MoveEvaluator.analyzeGame
+ * and keeps a compact per-game summary of each player's play for the player report
+ */
+export class BatchAnalysis {
+    static running = false;
+    static cancelled = false;
+
+    // Classifications that count as errors in the report
+    static errorClassifications = [Classification.MISTAKE, Classification.MISS, Classification.BLUNDER];
+
+    /**
+     * Analyses the games in order
+     * @param {Array<Object>} games - Games as loaded by GameLoader ({ pgn, result, white, black }), optionally with date and event
+     * @param {Object} settings - Engine settings passed to analyzeGame
+     * @param {Function} onProgress - Called with ({ index, total, progress, engine }) while analysing
+     * @returns {Promise<Array<Object>>} - Summaries of the analysed games (games without moves or that failed are skipped)
+     */
+    static async run(games, settings = {}, onProgress = null) {
+        if (this.running) return [];
+
+        this.running = true;
+        this.cancelled = false;
+
+        // analyzeGame follows the global variant, so restore the loaded game's once done
+        const chess960 = Chess960.enabled;
+        const results = [];
+
+        try {
+            for (let index = 0; index < games.length && !this.cancelled; index++) {
+                const game = games[index];
+                onProgress?.({ index, total: games.length, progress: 0, engine: null });
+
+                try {
+                    Chess960.enabled = Chess960.isChess960PGN(game.pgn);
+
+                    const analysis = await MoveEvaluator.analyzeGame(game, (progress, engine) => {
+                        onProgress?.({ index, total: games.length, progress, engine });
+                    }, settings);
+
+                    if (this.cancelled) break;
+                    if (analysis.moves.length === 0) continue;
+
+                    results.push(this.summarizeGame(game, analysis));
+                } catch (error) {
+                    // A cancelled analysis resolves with missing moves, which makes classifying throw
+                    if (this.cancelled) break;
+                    console.warn(`Batch analysis skipped game ${index + 1}:`, error);
+                }
+            }
+        } finally {
+            Chess960.enabled = chess960;
+            this.running = false;
+        }
+
+        return results;
+    }
+
+    /**
+     * Stops the batch after cancelling the game being analysed
+     */
+    static cancel() {
+        if (!this.running) return;
+
+        this.cancelled = true;
+        MoveEvaluator.cancelActiveAnalysis();
+    }
+
+    /**
+     * Builds the summary of an analysed game
+     * @param {Object} game - The game ({ pgn, result, white, black, date, event })
+     * @param {Object} analysis - Result of MoveEvaluator.analyzeGame
+     * @returns {Object} - { white, black, result, date, event, moves, players: { white, black } }
+     */
+    static summarizeGame(game, analysis) {
+        const errors = { white: {}, black: {} };
+
+        analysis.moves.forEach((move, i) => {
+            if (!this.errorClassifications.includes(move.classification)) return;
+
+            // The side to move in the position after the move is the opponent of the mover
+            const color = move.fen.includes(' b ') ? 'white' : 'black';
+            const previous = i > 0 ? analysis.moves[i - 1] : analysis.startPosition;
+            const type = this.getErrorType(move, previous);
+
+            errors[color][type] = (errors[color][type] || 0) + 1;
+        });
+
+        const summarizePlayer = (color) => {
+            const player = analysis[color];
+            const phases = {};
+            Object.entries(analysis.phaseAnalysis || {}).forEach(([phase, accuracies]) => {
+                phases[phase] = accuracies[color].accuracy;
+            });
+
+            return {
+                name: game[color]?.name || (color === 'white' ? 'White' : 'Black'),
+                rating: parseInt(game[color]?.elo) || null,
+                accuracy: player.accuracy,
+                elo: Math.round(player.elo) || null,
+                counts: player.counts,
+                phases,
+                errors: errors[color]
+            };
+        };
+
+        return {
+            result: game.result || '*',
+            date: game.date || '',
+            event: game.event || '',
+            moves: analysis.moves.length,
+            players: {
+                white: summarizePlayer('white'),
+                black: summarizePlayer('black')
+            }
+        };
+    }
+
+    /**
+     * Works out what kind of error a mistake, blunder or miss was
+     * @param {Object} move - The classified move
+     * @param {Object} previous - The evaluated position before the move
+     * @returns {string} - One of ErrorType
+     */
+    static getErrorType(move, previous) {
+        if (move.commentType === CommentType.GOT_MATED) return ErrorType.ALLOWED_MATE;
+        if (move.commentType === CommentType.STALEMATE) return ErrorType.STALEMATE;
+
+        const prevBestLine = previous?.lines?.find(line => line.id === 1);
+        if (move.commentType === CommentType.MISS && prevBestLine?.type === 'mate') return ErrorType.MISSED_MATE;
+
+        if (move.commentData?.thrownAwayPiece) return ErrorType.HUNG_PIECE;
+        if (move.classification === Classification.MISS) return ErrorType.MISSED_WIN;
+
+        return ErrorType.POSITIONAL;
+    }
+}
@@ -0,0 +1,80 @@
+import { Chess } from "../../libs/chess.js";
+
+/**
+ * Chess960 (Fischer Random) helpers shared by the PGN import, the engines and the cloud evaluation
+ */
+export class Chess960 {
+    // Whether the game currently loaded is a Chess960 game (set when a game is loaded)
+    static enabled = false;
+
+    /**
+     * Checks the PGN's Variant header for Chess960 (Lichess and Chess.com both use "Chess960")
+     * @param {string} pgn - The PGN string
+     * @returns {boolean} - True if the game is a Chess960 game
+     */
+    static isChess960PGN(pgn) {
+        if (!pgn) return false;
+
+        const variantMatch = pgn.match(/\[Variant\s+"([^"]*)"\]/i);
+        if (!variantMatch) return false;
+
+        const variant = variantMatch[1].toLowerCase().replace(/[\s_-]/g, '');
+        return variant.includes('960') || variant.includes('fischerrandom') || variant.includes('fischerandom');
+    }
+
+    /**
+     * Converts a king-takes-own-rook castling move (UCI_Chess960 / Lichess cloud notation)
+     * into the king's destination square, which is what chess.js and the rest of the app use
+     * @param {string} uciMove - Move in UCI format (e.g. "e1h1" or "b1a1")
+     * @param {Chess} chess - Chess instance set to the position the move is played from
+     * @returns {string} - The move with the king's real destination (e.g. "e1g1" or "b1c1")
+     */
+    static normalizeCastlingMove(uciMove, chess) {
+        if (!uciMove || uciMove.length < 4) return uciMove;
+
+        const from = uciMove.slice(0, 2);
+        const to = uciMove.slice(2, 4);
+        const piece = chess.get(from);
+        const target = chess.get(to);
+
+        if (piece?.type !== 'k' || target?.type !== 'r' || target.color !== piece.color) {
+            return uciMove;
+        }
+
+        // King always ends on the g-file (towards the h-side rook) or the c-file (towards the a-side rook)
+        const kingFile = to[0] > from[0] ? 'g' : 'c';
+        return from + kingFile + from[1];
+    }
+
+    /**
+     * Normalizes every castling move of a principal variation
+     * @param {Array<string>} pv - Moves in UCI format
+     * @param {string} fen - FEN of the position the line starts from
+     * @returns {Array<string>} - The line with castling moves in king-destination form
+     */
+    static normalizeLine(pv, fen) {
+        if (!pv?.length || !fen) return pv;
+
+        let chess;
+        try {
+            chess = new Chess(fen);
+        } catch (e) {
+            return pv;
+        }
+
+        const normalized = [];
+        for (let i = 0; i < pv.length; i++) {
+            const uciMove = this.normalizeCastlingMove(pv[i], chess);
+            normalized.push(uciMove);
+
+            try {
+                chess.move({ from: uciMove.slice(0, 2), to: uciMove.slice(2, 4), promotion: uciMove[4] });
+            } catch (e) {
+                // The rest of the line can't be followed, keep it as the engine sent it
+                return normalized.concat(pv.slice(i + 1));
+            }
+        }
+
+        return normalized;
+    }
+}
@@ -1,3 +1,7 @@
+import { Chess } from "../../libs/chess.js";
+import { Chess960 } from "./Chess960.js";
+import { WinDrawLoss } from "./WinDrawLoss.js";
+
 const engines = {
     'cloud': {
         name: "Cloud",
@@ -66,11 +70,21 @@ export class Engine {
     busy = false;
     currentResolve = null;
     currentReject = null;
+    currentHandler = null;
+    stopping = null;
+    pendingNewGame = false;
+    infiniteSearchId = 0;
     isFallback = false;
 
-    constructor({ engineType = 'stockfish-17.1-lite', threadCount = 0 } = {}) {
+    // Stockfish's UCI_Elo range
+    static minElo = 1320;
+    static maxElo = 3190;
+
+    constructor({ engineType = 'stockfish-17.1-lite', threadCount = 0, chess960 = Chess960.enabled } = {}) {
         this.engineType = engineType;
         this.engine = engines[engineType];
+        // Chess960 games need UCI_Chess960 so castling from non-standard squares is understood
+        this.chess960 = chess960;
         
         // Auto-detect CPU count if threadCount is 0 or less
         if (threadCount <= 0) {
@@ -116,6 +130,10 @@ export class Engine {
         
         this.worker.postMessage("uci");
         this.worker.postMessage(`setoption name MultiPV value ${this.multiPV}`);
+        this.worker.postMessage("setoption name UCI_ShowWDL value true");
+        if (this.chess960) {
+            this.worker.postMessage("setoption name UCI_Chess960 value true");
+        }
         
         // Set thread count if using multi-threaded version
         if (threadCount > 1 && workerPath === this.engine.multiPath) {
@@ -137,20 +155,162 @@ export class Engine {
             }
         });
     }
-    
+
+    /**
+     * Gets the files an engine type may load, so they can be cached for offline use.
+     * Cloud resolves to its local fallback engine; each script is paired with its .wasm
+     * (builds that split the network into -part-N.wasm files are cached as they load)
+     * @param {string} engineType - Engine type setting
+     * @returns {Array<string>} - File paths relative to the page
+     */
+    static getEngineFiles(engineType) {
+        let engine = engines[engineType] || engines['stockfish-17.1-lite'];
+        if (engine.type === 'cloud') {
+            engine = engines[engine.fallbackEngine];
+        }
+
+        return [engine.path, engine.multiPath, engine.mobilePath]
+            .filter(Boolean)
+            .flatMap(path => [path, path.replace(/\.js$/, '.wasm')]);
+    }
+
     // Method to abort current evaluation
     abort() {
         if (this.worker) {
             this.worker.postMessage('stop');
+
+            // The stopped search still sends its bestmove, which must not end the next search early
+            if (this.currentHandler) {
+                this.worker.removeEventListener("message", this.currentHandler);
+                this.currentHandler = null;
+                this.stopping = this.waitForMessage('bestmove');
+            }
         }
         if (this.currentResolve) {
             this.currentResolve([]);
             this.currentResolve = null;
             this.currentReject = null;
         }
+        // Cloud engines search on their local fallback engine
+        if (this.fallbackEngine?.busy) {
+            this.fallbackEngine.abort();
+        }
         this.busy = false;
     }
     
+    /**
+     * Waits for the worker to send a message starting with the given prefix
+     * @param {string} prefix - Message prefix (e.g. "bestmove" or "readyok")
+     * @param {number} timeout - Time in ms after which to stop waiting
+     * @returns {Promise<void>} - Resolves when the message arrives, the timeout passes or there's no worker
+     */
+    waitForMessage(prefix, timeout = 2000) {
+        const worker = this.worker;
+        if (!worker) return Promise.resolve();
+
+        return new Promise((resolve) => {
+            const done = () => {
+                clearTimeout(timer);
+                worker.removeEventListener("message", handler);
+                resolve();
+            };
+            const handler = (event) => {
+                if (typeof event.data === 'string' && event.data.startsWith(prefix)) done();
+            };
+            const timer = setTimeout(done, timeout);
+            worker.addEventListener("message", handler);
+        });
+    }
+
+    /**
+     * Waits until the engine has loaded and answered "isready", so the first search doesn't pay the startup cost
+     * @returns {Promise<void>}
+     */
+    async ready() {
+        if (!this.worker) return;
+
+        const readyOk = this.waitForMessage('readyok', 30000);
+        this.worker.postMessage('isready');
+        await readyOk;
+    }
+
+    /**
+     * Limits the engine's playing strength for games against it. Stockfish's UCI_Elo doesn't go
+     * below 1320, so weaker opponents play at Skill Level 0 and are held back by the search depth
+     * @param {number|null} elo - Rating to play at, or null for full strength
+     */
+    setStrength(elo = null) {
+        if (!this.worker) return;
+
+        const limitStrength = elo !== null && elo >= Engine.minElo;
+        this.worker.postMessage(`setoption name UCI_LimitStrength value ${limitStrength}`);
+        if (limitStrength) {
+            this.worker.postMessage(`setoption name UCI_Elo value ${Math.min(elo, Engine.maxElo)}`);
+        }
+        this.worker.postMessage(`setoption name Skill Level value ${elo !== null && !limitStrength ? 0 : 20}`);
+    }
+
+    /**
+     * Searches for the move to play in a game against the engine. With a limited strength this is
+     * the engine's "bestmove", which isn't always the first move of its best line
+     * @param {string} fen - FEN of the position
+     * @param {Object} limits - { depth, moveTime } (moveTime in ms)
+     * @returns {Promise<string|null>} - The move in UCI, or null if there's none or the search was aborted
+     */
+    async getBestMove(fen, { depth = 20, moveTime = 1000 } = {}) {
+        if (!this.worker) return null;
+
+        // Let a stopped search finish before starting the next one
+        if (this.stopping) {
+            const stopping = this.stopping;
+            await stopping;
+            if (this.stopping === stopping) this.stopping = null;
+        }
+
+        this.busy = true;
+
+        return new Promise((resolve) => {
+            // abort() resolves with no lines, so hand back no move instead
+            this.currentResolve = () => resolve(null);
+            this.currentReject = () => resolve(null);
+
+            const messageHandler = (event) => {
+                const message = event.data;
+                if (typeof message !== 'string' || !message.startsWith('bestmove')) return;
+
+                this.worker.removeEventListener("message", messageHandler);
+                this.busy = false;
+                this.currentHandler = null;
+                this.currentResolve = null;
+                this.currentReject = null;
+
+                const move = message.split(' ')[1];
+                if (!move || move === '(none)') {
+                    resolve(null);
+                } else {
+                    resolve(this.chess960 ? Chess960.normalizeLine([move], fen)[0] : move);
+                }
+            };
+
+            this.currentHandler = messageHandler;
+            this.worker.addEventListener("message", messageHandler);
+
+            if (this.pendingNewGame) {
+                this.worker.postMessage('ucinewgame');
+                this.pendingNewGame = false;
+            }
+            this.worker.postMessage(`position fen ${fen}`);
+            this.worker.postMessage(`go depth ${depth} movetime ${moveTime}`);
+        });
+    }
+
+    /**
+     * Clears the engine's hash and search history before the next search (positions from another game)
+     */
+    newGame() {
+        this.pendingNewGame = true;
+    }
+
     // Properly terminate worker
     terminate() {
         this.abort();
@@ -196,6 +356,10 @@ export class Engine {
 
             this.worker.postMessage("uci");
             this.worker.postMessage(`setoption name MultiPV value ${this.multiPV}`);
+            this.worker.postMessage("setoption name UCI_ShowWDL value true");
+            if (this.chess960) {
+                this.worker.postMessage("setoption name UCI_Chess960 value true");
+            }
             this.worker.addEventListener("error", this.handleError.bind(this));
             this.worker.onerror = this.handleError.bind(this);
         } catch (err) {
@@ -209,6 +373,10 @@ export class Engine {
                     this.worker = new Worker(this.engine.path);
                     this.worker.postMessage("uci");
                     this.worker.postMessage(`setoption name MultiPV value ${this.multiPV}`);
+                    this.worker.postMessage("setoption name UCI_ShowWDL value true");
+                    if (this.chess960) {
+                        this.worker.postMessage("setoption name UCI_Chess960 value true");
+                    }
                     this.worker.addEventListener("error", this.handleError.bind(this));
                     this.worker.onerror = this.handleError.bind(this);
                 } catch (e) {
@@ -246,9 +414,17 @@ export class Engine {
             const negamaxScore = parseInt(output.match(/(?:(?:cp )|(?:mate ))([\d-]+)/)?.[1] || "0");
             const score = fen.includes(" b ") ? -negamaxScore : negamaxScore;
             const type = output.includes(" cp ") ? "cp" : "mate";
-            const pv = output.match(/.*pv\s+(.*)$/)?.[1].split(" ");
+            let pv = output.match(/.*pv\s+(.*)$/)?.[1].split(" ");
+
+            // In Chess960 mode castling comes back as king-takes-rook, convert it to the king's destination
+            if (this.chess960) {
+                pv = Chess960.normalizeLine(pv, fen);
+            }
 
-            lines.push({ id, uciMove, depth, score, type, pv });
+            // Win/draw/loss statistics, when the engine supports UCI_ShowWDL
+            const wdl = WinDrawLoss.parse(output, fen);
+
+            lines.push({ id, uciMove: this.chess960 ? pv[0] : uciMove, depth, score, type, pv, ...(wdl && { wdl }) });
         }
 
         return lines;
@@ -256,9 +432,14 @@ export class Engine {
 
     async evaluateCloud(fen, targetDepth, verbose = false, progressCallback = null) {
         try {
+            // No point waiting on the cloud request while offline
+            if (navigator.onLine === false) {
+                return this.fallbackToLocalEngine(fen, targetDepth, verbose, progressCallback);
+            }
+
             // Reset fallback flag when attempting cloud evaluation
             this.isFallback = false;
-            
+
             // Report initial progress
             if (progressCallback && typeof progressCallback === 'function') {
                 progressCallback({ depth: 0, targetDepth: targetDepth, percent: 10 });
@@ -266,7 +447,8 @@ export class Engine {
 
             const params = new URLSearchParams({
                 fen: fen,
-                multiPv: this.multiPV.toString()
+                multiPv: this.multiPV.toString(),
+                ...(this.chess960 && { variant: 'chess960' })
             });
 
             const response = await fetch(`${this.engine.apiUrl}?${params}`, {
@@ -296,7 +478,8 @@ export class Engine {
             if (data.pvs && Array.isArray(data.pvs)) {
                 for (let i = 0; i < Math.min(data.pvs.length, this.multiPV); i++) {
                     const pv = data.pvs[i];
-                    const moves = pv.moves ? pv.moves.split(' ') : [];
+                    // Lichess sends castling as king-takes-rook (e1h1, or b1a1 in Chess960)
+                    const moves = pv.moves ? Chess960.normalizeLine(pv.moves.split(' '), fen) : [];
                     const uciMove = moves[0];
                     
                     if (!uciMove) continue;
@@ -342,7 +525,8 @@ export class Engine {
             // Use fast preset thread count (0 = auto) for fallback
             this.fallbackEngine = new Engine({ 
                 engineType: fallbackType, 
-                threadCount: 0
+                threadCount: 0,
+                chess960: this.chess960
             });
         }
 
@@ -407,6 +591,10 @@ export class Engine {
                 this.worker = new Worker(workerPath);
                 this.worker.postMessage("uci");
                 this.worker.postMessage(`setoption name MultiPV value ${this.multiPV}`);
+                this.worker.postMessage("setoption name UCI_ShowWDL value true");
+                if (this.chess960) {
+                    this.worker.postMessage("setoption name UCI_Chess960 value true");
+                }
                 if (this.threadCount > 1 && workerPath === this.engine.multiPath) {
                     this.worker.postMessage(`setoption name Threads value ${this.threadCount}`);
                 }
@@ -419,7 +607,18 @@ export class Engine {
             }
         }
         
+        // Let a stopped search finish before starting the next one
+        if (this.stopping) {
+            const stopping = this.stopping;
+            await stopping;
+            if (this.stopping === stopping) this.stopping = null;
+        }
+
         try {
+            if (this.pendingNewGame) {
+                this.worker.postMessage('ucinewgame');
+                this.pendingNewGame = false;
+            }
             this.worker.postMessage(`position fen ${fen}`);
             
             // Use both depth and time limits when time is specified, otherwise just depth
@@ -478,6 +677,7 @@ export class Engine {
                         
                         this.worker.removeEventListener("message", messageHandler);
                         this.busy = false;
+                        this.currentHandler = null;
                         this.currentResolve = null;
                         this.currentReject = null;
                         resolve(lines);
@@ -489,6 +689,7 @@ export class Engine {
                 }
             };
 
+            this.currentHandler = messageHandler;
             this.worker.addEventListener("message", messageHandler, { once: false });
             
             // Add safety timeout in case engine gets stuck
@@ -516,4 +717,83 @@ export class Engine {
             }, 30000 * targetDepth); // timeout depends on depth
         });
     }
-}
\ No newline at end of file
+
+    /**
+     * Searches the position until abort() is called ("go infinite"), reporting the lines each time a depth completes
+     * @param {string} fen - FEN of the position to analyse
+     * @param {Function} onUpdate - Called with the lines (same format as evaluate()) after every completed depth
+     * @returns {Promise<Array>} - Resolves with the deepest lines once the search is stopped
+     */
+    async analyzeInfinite(fen, onUpdate) {
+        // The cloud can't stream a search, so use its local fallback engine
+        if (this.engine.type === 'cloud') {
+            if (!this.fallbackEngine) {
+                this.fallbackEngine = new Engine({
+                    engineType: this.engine.fallbackEngine || 'stockfish-17.1-nnue',
+                    threadCount: 0,
+                    chess960: this.chess960
+                });
+            }
+            this.isFallback = true;
+            return this.fallbackEngine.analyzeInfinite(fen, onUpdate);
+        }
+
+        // Every MultiPV line of a depth has to arrive before it's reported (fewer when there are fewer legal moves)
+        let expectedLines;
+        try {
+            expectedLines = Math.min(this.multiPV, new Chess(fen).moves().length);
+        } catch (e) {
+            return [];
+        }
+        if (!this.worker || expectedLines === 0) return [];
+
+        // Let a stopped search finish before starting the next one, unless another search was requested meanwhile
+        const searchId = ++this.infiniteSearchId;
+        if (this.stopping) {
+            const stopping = this.stopping;
+            await stopping;
+            if (this.stopping === stopping) this.stopping = null;
+        }
+        if (searchId !== this.infiniteSearchId) return [];
+
+        this.busy = true;
+        this.currentDepth = 0;
+
+        if (this.pendingNewGame) {
+            this.worker.postMessage('ucinewgame');
+            this.pendingNewGame = false;
+        }
+        this.worker.postMessage(`position fen ${fen}`);
+        this.worker.postMessage('go infinite');
+
+        const messages = [];
+        let lastLines = [];
+
+        return new Promise((resolve) => {
+            // abort() resolves with no lines, so hand back the deepest ones reported instead
+            this.currentResolve = () => resolve(lastLines);
+            this.currentReject = () => resolve(lastLines);
+
+            const messageHandler = (event) => {
+                const message = event.data;
+                if (typeof message !== 'string' || !message.startsWith("info depth") || !message.includes(" pv ")) return;
+
+                messages.unshift(message);
+
+                const id = parseInt(message.match(/(?:multipv )(\d+)/)?.[1] || "1");
+                if (id !== expectedLines) return;
+
+                const lines = this.interpret(messages, fen);
+                messages.length = 0;
+                if (lines.length === 0) return;
+
+                lastLines = lines;
+                this.currentDepth = lines[0].depth;
+                onUpdate(lines);
+            };
+
+            this.currentHandler = messageHandler;
+            this.worker.addEventListener("message", messageHandler);
+        });
+    }
+}
@@ -0,0 +1,172 @@
+import { Engine } from "./Engine.js";
+import { Chess960 } from "./Chess960.js";
+
+/**
+ * Keeps a set of long-lived engines shared by the game analysis, the evaluation queue
+ * and the show-best/learn features, so the engine binary is only loaded once per engine.
+ * Engines are leased with acquire() and handed back with release(); when the engine
+ * settings change, the old engines are terminated as soon as they're free.
+ */
+export class EnginePool {
+    static engines = [];
+    static waiting = [];
+    static options = null;
+    static size = 1;
+
+    /**
+     * Gets the pool size used when the setting is on Auto
+     * @returns {number} - Number of engines
+     */
+    static getDefaultSize() {
+        const cores = navigator.hardwareConcurrency || 2;
+        try {
+            const ua = navigator.userAgent || navigator.vendor || window.opera;
+            if (/android|webos|iphone|ipad|ipod|blackberry|iemobile|opera mini|mobile/i.test(ua)) {
+                return Math.min(2, cores);
+            }
+        } catch (_) {}
+
+        return Math.max(1, Math.min(4, cores));
+    }
+
+    /**
+     * Applies the engine settings; engines created with different settings are retired
+     * @param {Object} options - { engineType, threadCount, poolSize } (poolSize 0 = auto)
+     */
+    static configure({ engineType = 'stockfish-17.1-lite', threadCount = 0, poolSize = 0 } = {}) {
+        const options = { engineType, threadCount: Number(threadCount) || 0, chess960: Chess960.enabled };
+        this.size = Number(poolSize) > 0 ? Number(poolSize) : this.getDefaultSize();
+
+        const changed = !this.options ||
+            Object.keys(options).some(key => options[key] !== this.options[key]);
+        this.options = options;
+
+        this.engines.forEach(engine => {
+            if (changed) engine.retired = true;
+        });
+        this.trim();
+        this.next();
+    }
+
+    /**
+     * Terminates free engines that are retired or over the pool size
+     */
+    static trim() {
+        let kept = 0;
+        this.engines = this.engines.filter(engine => {
+            if (engine.leased || (!engine.retired && kept < this.size)) {
+                kept++;
+                return true;
+            }
+
+            engine.terminate();
+            return false;
+        });
+    }
+
+    /**
+     * Leases an engine, creating one if the pool isn't full, otherwise waiting for one to be released
+     * @param {Object} options - Engine settings, see configure()
+     * @returns {Promise<Engine>} - The leased engine
+     */
+    static acquire(options) {
+        if (options && Object.keys(options).length > 0) this.configure(options);
+
+        return new Promise((resolve) => {
+            this.waiting.push(resolve);
+            this.next();
+        });
+    }
+
+    /**
+     * Hands a leased engine back to the pool
+     * @param {Engine} engine - The engine returned by acquire()
+     */
+    static release(engine) {
+        if (!engine) return;
+
+        engine.leased = false;
+        if (engine.busy) engine.abort();
+
+        this.trim();
+        this.next();
+    }
+
+    /**
+     * Hands free (or newly created) engines to waiting acquire() calls
+     */
+    static next() {
+        while (this.waiting.length > 0) {
+            let engine = this.engines.find(engine => !engine.leased && !engine.retired);
+
+            if (!engine) {
+                const active = this.engines.filter(engine => !engine.retired || engine.leased).length;
+                if (active >= this.size) return;
+
+                engine = new Engine(this.options || {});
+                this.engines.push(engine);
+            }
+
+            engine.leased = true;
+            this.waiting.shift()(engine);
+        }
+    }
+
+    /**
+     * Evaluates a position with a leased engine
+     * @param {string} fen - FEN of the position
+     * @param {number} depth - Target depth
+     * @param {Object} options - { maxMoveTime, progressCallback, onAcquire } plus engine settings
+     * @returns {Promise<{lines: Array, engine: string}>} - The engine lines and the name of the engine used
+     */
+    static async evaluate(fen, depth, { maxMoveTime = null, progressCallback = null, onAcquire = null, ...options } = {}) {
+        const engine = await this.acquire(options);
+
+        try {
+            // Lets callers keep a handle to abort the search
+            if (onAcquire) onAcquire(engine);
+
+            const lines = await engine.evaluate(fen, depth, false, progressCallback, 0, maxMoveTime) || [];
+            return { lines, engine: engine.getEngineName() };
+        } finally {
+            this.release(engine);
+        }
+    }
+
+    /**
+     * Loads the engines ahead of the first search
+     * @param {Object} options - Engine settings, see configure()
+     * @param {number} count - Number of engines to warm up (defaults to one)
+     * @returns {Promise<void>}
+     */
+    static async warmUp(options, count = 1) {
+        this.configure(options);
+
+        // Leasing more engines than the pool holds would wait forever
+        const engines = await Promise.all(
+            Array.from({ length: Math.min(count, this.size) }, () => this.acquire())
+        );
+
+        try {
+            await Promise.all(engines.map(engine => engine.ready()));
+        } finally {
+            engines.forEach(engine => this.release(engine));
+        }
+    }
+
+    /**
+     * Tells every engine that the next positions come from a new game (sends "ucinewgame" before their next search)
+     */
+    static newGame() {
+        this.engines.forEach(engine => engine.newGame());
+    }
+
+    /**
+     * Stops every running search; the searches resolve with no lines
+     */
+    static abortAll() {
+        this.engines.forEach(engine => {
+            if (engine.busy) engine.abort();
+        });
+    }
+}
@@ -0,0 +1,147 @@
+import { Chess960 } from "./Chess960.js";
+
+/**
+ * Persists engine lines per position in IndexedDB so reopened games don't need re-analysis.
+ * Entries are keyed by FEN, engine type and depth; every method resolves quietly
+ * (null / no-op) when IndexedDB isn't available, so the cache never blocks an evaluation.
+ */
+export class EvaluationCache {
+    static dbName = 'centichess';
+    static storeName = 'evaluations';
+    static dbVersion = 1;
+
+    // Engine type used for Lichess cloud evaluations
+    static CLOUD = 'cloud';
+
+    static dbPromise = null;
+
+    /**
+     * Opens (and creates on first use) the cache database
+     * @returns {Promise<IDBDatabase|null>} - The database, or null if IndexedDB is unavailable
+     */
+    static open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve) => {
+            try {
+                const request = indexedDB.open(this.dbName, this.dbVersion);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(this.storeName)) {
+                        db.createObjectStore(this.storeName, { keyPath: 'key' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => resolve(null);
+                request.onblocked = () => resolve(null);
+            } catch (e) {
+                // Private browsing modes may throw on access
+                resolve(null);
+            }
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Builds the key for a position evaluation
+     * @param {string} fen - FEN of the evaluated position
+     * @param {string} engineType - Engine type setting (or EvaluationCache.CLOUD)
+     * @param {number} depth - Search depth (0 for cloud evaluations)
+     * @returns {string} - The cache key
+     */
+    static getKey(fen, engineType, depth) {
+        const variant = Chess960.enabled ? 'chess960' : 'standard';
+        return `${variant}|${engineType}|${depth}|${fen}`;
+    }
+
+    /**
+     * Runs a single request against the evaluations store
+     * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - Receives the object store and returns an IDBRequest
+     * @returns {Promise<any>} - The request's result, or null on failure
+     */
+    static async request(mode, operation) {
+        const db = await this.open();
+        if (!db) return null;
+
+        return new Promise((resolve) => {
+            try {
+                const store = db.transaction(this.storeName, mode).objectStore(this.storeName);
+                const request = operation(store);
+                request.onsuccess = () => resolve(request.result ?? null);
+                request.onerror = () => resolve(null);
+            } catch (e) {
+                resolve(null);
+            }
+        });
+    }
+
+    /**
+     * Gets cached engine lines for a position
+     * @param {string} fen - FEN of the position
+     * @param {string} engineType - Engine type setting (or EvaluationCache.CLOUD)
+     * @param {number} depth - Search depth (0 for cloud evaluations)
+     * @returns {Promise<Object|null>} - { lines, engine } or null if not cached
+     */
+    static async get(fen, engineType, depth) {
+        if (!fen) return null;
+
+        const entry = await this.request('readonly', store => store.get(this.getKey(fen, engineType, depth)));
+        if (!entry?.lines?.length) return null;
+
+        return { lines: entry.lines, engine: entry.engine };
+    }
+
+    /**
+     * Stores engine lines for a position
+     * @param {string} fen - FEN of the position
+     * @param {string} engineType - Engine type setting (or EvaluationCache.CLOUD)
+     * @param {number} depth - Search depth (0 for cloud evaluations)
+     * @param {Array} lines - Engine lines to store
+     * @param {string} engine - Name of the engine that produced the lines
+     * @returns {Promise<void>}
+     */
+    static async set(fen, engineType, depth, lines, engine) {
+        if (!fen || !lines?.length) return;
+
+        await this.request('readwrite', store => store.put({
+            key: this.getKey(fen, engineType, depth),
+            lines,
+            engine,
+            timestamp: Date.now()
+        }));
+    }
+
+    /**
+     * Whether engine lines reached the depth they'd be cached under. Searches cut short by the
+     * move time limit return shallower lines, which would otherwise be served as full depth later
+     * @param {Array} lines - Engine lines ({ depth, ... })
+     * @param {number} depth - The requested search depth
+     * @returns {boolean}
+     */
+    static reachedDepth(lines, depth) {
+        if (!lines?.length) return false;
+        return Math.max(...lines.map(line => line.depth || 0)) >= depth;
+    }
+
+    /**
+     * Gets the number of cached positions and their approximate size
+     * @returns {Promise<{count: number, bytes: number}>}
+     */
+    static async getSize() {
+        const entries = await this.request('readonly', store => store.getAll()) || [];
+        const bytes = entries.reduce((total, entry) => total + JSON.stringify(entry).length, 0);
+
+        return { count: entries.length, bytes };
+    }
+
+    /**
+     * Removes every cached evaluation
+     * @returns {Promise<void>}
+     */
+    static async clear() {
+        await this.request('readwrite', store => store.clear());
+    }
+}
@@ -1,5 +1,6 @@
-import { Engine } from './Engine.js';
+import { EnginePool } from './EnginePool.js';
 import { MoveEvaluator } from './MoveEvaluator.js';
+import { EvaluationCache } from './EvaluationCache.js';
 import { MoveClassifier } from '../classification/MoveClassifier.js';
 
 /**
@@ -13,6 +14,26 @@ export class EvaluationQueue {
         this.processedMoves = new Map(); // Maps node IDs to evaluation results
         this.displayProgressBar = true;
         this.settingsMenu = settingsMenu;
+        this.activeEngine = null; // Pooled engine running the current search, so it can be cancelled
+    }
+
+    /**
+     * Gets the engine settings for the shared EnginePool
+     * @returns {Object} { engineType, threadCount, poolSize }
+     */
+    getEngineOptions() {
+        return {
+            engineType: this.settingsMenu?.getSettingValue('engineType') || 'stockfish-17.1-lite',
+            threadCount: this.settingsMenu?.getSettingValue('engineThreads') ?? 0,
+            poolSize: this.settingsMenu?.getSettingValue('enginePoolSize') ?? 0
+        };
+    }
+
+    /**
+     * Loads an engine in the background so the first offline evaluation doesn't wait for it
+     */
+    warmUp() {
+        EnginePool.warmUp(this.getEngineOptions()).catch(error => console.warn("Engine warm-up failed:", error));
     }
 
     /**
@@ -33,14 +54,42 @@ export class EvaluationQueue {
         const priority = moveTree && nodeId === moveTree.currentNode.id ? 0 : 1;
         const queueItem = { node, fen, previousFen, callback, priority, timeAdded: Date.now(), moveTree };
 
-        // Insert in priority order
-        const insertIndex = this.queue.findIndex(item => item.priority > priority);
-        insertIndex === -1 ? this.queue.push(queueItem) : this.queue.splice(insertIndex, 0, queueItem);
+        // The user moved on: stop searching the position they left and come back to it later
+        if (priority === 0 && this.currentEvaluation && this.currentEvaluation.priority === 0) {
+            this.cancel(this.currentEvaluation.node.id, true);
+        }
+
+        this.insertItem(queueItem);
 
         // Start processing if not already running
         if (!this.isProcessing) this.processQueue();
     }
 
+    /**
+     * Inserts a queue item in priority order
+     * @private
+     */
+    insertItem(queueItem) {
+        const insertIndex = this.queue.findIndex(item => item.priority > queueItem.priority);
+        insertIndex === -1 ? this.queue.push(queueItem) : this.queue.splice(insertIndex, 0, queueItem);
+    }
+
+    /**
+     * Cancels a queued or running evaluation
+     * @param {string} nodeId - The ID of the node whose evaluation to cancel
+     * @param {boolean} requeue - Whether to evaluate it again later (at low priority) instead of dropping it
+     */
+    cancel(nodeId, requeue = false) {
+        this.queue = this.queue.filter(item => item.node.id !== nodeId);
+
+        const current = this.currentEvaluation;
+        if (current?.node.id === nodeId && !current.cancelled) {
+            current.cancelled = true;
+            current.requeue = requeue;
+            this.activeEngine?.abort();
+        }
+    }
+
     /**
      * Processes the evaluation queue
      */
@@ -60,28 +109,27 @@ export class EvaluationQueue {
             // If no previous lines found, evaluate the previous position
             if (!prevLines) {
                 prevLines = await MoveEvaluator.tryCloudEvaluation(item.previousFen) || 
-                            await this.evaluateWithEngine(item.previousFen, 12, 0, 100);
+                            (await this.evaluateWithEngine(item.previousFen, 12, 0, 100)).lines;
             }
+            if (this.skipCancelled(item)) return;
             
             // Evaluate current position
             // Try Lichess cloud first (for manual moves and learn mode), fallback to local engine
             let lines = await MoveEvaluator.tryCloudEvaluation(item.fen);
-            let engine = null;
             let engineName = 'Lichess Cloud';
+            if (this.skipCancelled(item)) return;
             
             if (!lines || lines.length < 2) {
                 // Cloud failed or returned insufficient data, use selected local engine
-                console.log('☁️ Cloud unavailable, using local engine fallback');
-                const engineType = this.settingsMenu?.getSettingValue('engineType') || 'stockfish-17.1-lite';
-                const threadCount = this.settingsMenu?.getSettingValue('engineThreads') ?? 0;
-                engine = new Engine({ engineType: engineType, threadCount: threadCount });
                 const depth = this.settingsMenu?.getSettingValue('engineDepth') || 16;
                 const maxMoveTime = this.settingsMenu?.getSettingValue('maxMoveTime') || 5;
-                lines = await this.evaluateWithEngine(item.fen, depth, 0, 100, engine, maxMoveTime);
-                engineName = engine.engine.name;
+                ({ lines, engine: engineName } = await this.evaluateWithEngine(item.fen, depth, 0, 100, maxMoveTime));
             } else {
                 console.log('☁️ Using Lichess Cloud evaluation (depth:', lines[0]?.depth, ')');
             }
+
+            // An aborted search has no lines, so don't classify with it
+            if (this.skipCancelled(item)) return;
             
             // Create and store result
             const result = {
@@ -103,6 +151,7 @@ export class EvaluationQueue {
 
                 item.callback({
                     classification,
+                    centipawnLoss: result.move.centipawnLoss,
                     uciMove: item.node.move,
                     fen: item.fen,
                     lines,
@@ -110,11 +159,6 @@ export class EvaluationQueue {
                 });
             }
 
-            if (engine) {
-                engine.abort();
-                engine.terminate();
-            }
-            
             this.updateMiniEvaluationProgress(100);
         } catch (error) {
             console.error("Error during evaluation:", error);
@@ -128,25 +172,53 @@ export class EvaluationQueue {
     }
     
     /**
-     * Evaluates a position using the engine with progress tracking
+     * Moves on to the next item if the current one was cancelled while awaiting an evaluation,
+     * putting it back in the queue if it's to be evaluated again later
      * @private
+     * @returns {boolean} Whether the item was cancelled
      */
-    async evaluateWithEngine(fen, depth, startProgress, endProgress, engine = null, maxMoveTime = null) {
-        if (!engine) {
-            // Get engine type and thread count from settings
-            const engineType = this.settingsMenu?.getSettingValue('engineType') || 'stockfish-17.1-lite';
-            const threadCount = this.settingsMenu?.getSettingValue('engineThreads') ?? 0;
-            engine = new Engine({ engineType: engineType, threadCount: threadCount });
+    skipCancelled(item) {
+        if (!item.cancelled) return false;
+
+        if (item.requeue) {
+            this.insertItem({ ...item, priority: 1, cancelled: false, requeue: false });
         }
+        this.currentEvaluation = null;
+        this.isProcessing = false;
+        if (this.queue.length > 0) this.processQueue();
+        return true;
+    }
+
+    /**
+     * Evaluates a position with a pooled engine and progress tracking (results are cached)
+     * @returns {Promise<{lines: Array, engine: string}>} The engine lines and the engine's name
+     */
+    async evaluateWithEngine(fen, depth, startProgress, endProgress, maxMoveTime = null) {
+        const options = this.getEngineOptions();
+
+        const cached = await EvaluationCache.get(fen, options.engineType, depth);
+        if (cached) return cached;
 
         if (maxMoveTime === null) {
             maxMoveTime = this.settingsMenu?.getSettingValue('maxMoveTime') || 5;
         }
 
-        return await engine.evaluate(fen, depth, false, (progress) => {
-            const scaledProgress = startProgress + (progress.percent * (endProgress - startProgress) / 100);
-            this.updateMiniEvaluationProgress(Math.round(scaledProgress));
-        }, 0, maxMoveTime);
+        const result = await EnginePool.evaluate(fen, depth, {
+            ...options,
+            maxMoveTime,
+            onAcquire: (engine) => { this.activeEngine = engine; },
+            progressCallback: (progress) => {
+                const scaledProgress = startProgress + (progress.percent * (endProgress - startProgress) / 100);
+                this.updateMiniEvaluationProgress(Math.round(scaledProgress));
+            }
+        }).finally(() => { this.activeEngine = null; });
+
+        // Aborted searches come back empty, and ones cut short by the time limit didn't reach the
+        // depth they'd be cached under, so neither is worth keeping
+        if (EvaluationCache.reachedDepth(result.lines, depth)) {
+            EvaluationCache.set(fen, options.engineType, depth, result.lines, result.engine);
+        }
+        return result;
     }
     
     /**
@@ -0,0 +1,77 @@
+import { Engine } from "./Engine.js";
+import { Chess960 } from "./Chess960.js";
+
+/**
+ * Live (infinite) analysis of the current position: keeps its own engine searching and streams
+ * its lines depth by depth until it's switched off. The engine isn't leased from the EnginePool,
+ * since holding a pooled engine for as long as live analysis runs would starve the other users
+ * of the pool (it may only have one engine)
+ */
+export class LiveAnalysis {
+    static enabled = false;
+    static engine = null;
+    static evaluation = null; // { fen, lines, engine, live: true } for the position being searched
+    static onUpdate = null;
+    static searchId = 0;
+
+    /**
+     * Switches live analysis on, with an engine of its own for as long as it runs
+     * @param {Object} options - Engine settings ({ engineType, threadCount }, pool settings are ignored)
+     * @param {Function} onUpdate - Called with (fen, evaluation) every time a depth completes
+     */
+    static start({ engineType, threadCount } = {}, onUpdate) {
+        if (this.enabled) return;
+
+        this.enabled = true;
+        this.onUpdate = onUpdate;
+        this.engine = new Engine({ engineType, threadCount: Number(threadCount) || 0, chess960: Chess960.enabled });
+    }
+
+    /**
+     * Switches live analysis off and shuts its engine down
+     */
+    static stop() {
+        this.enabled = false;
+        this.searchId++;
+        this.evaluation = null;
+        this.onUpdate = null;
+
+        if (this.engine) {
+            this.engine.terminate();
+            this.engine = null;
+        }
+    }
+
+    /**
+     * Starts searching a position, stopping the search of the previous one
+     * @param {string} fen - FEN of the position to analyse
+     * @returns {Promise<void>}
+     */
+    static async analyse(fen) {
+        if (!this.enabled || !fen) return;
+        if (this.evaluation?.fen === fen) return;
+
+        const searchId = ++this.searchId;
+        this.evaluation = { fen, lines: [], engine: null, live: true };
+
+        // Stop the previous position's search (abort() is harmless when nothing is running)
+        this.engine.abort();
+
+        await this.engine.analyzeInfinite(fen, (lines) => {
+            if (searchId !== this.searchId) return;
+
+            this.evaluation = { fen, lines, engine: this.engine.getEngineName(), live: true };
+            this.onUpdate?.(fen, this.evaluation);
+        });
+    }
+
+    /**
+     * Gets the live evaluation of a position, if it's the one being searched and a depth has completed
+     * @param {string} fen - FEN of the position
+     * @returns {Object|null} - { fen, lines, engine, live } or null
+     */
+    static getEvaluation(fen) {
+        if (!this.enabled || this.evaluation?.fen !== fen || !this.evaluation.lines.length) return null;
+        return this.evaluation;
+    }
+}
@@ -1,8 +1,13 @@
 import { Chess } from "../../libs/chess.js";
 import { GamePhase } from "../classification/GamePhase.js";
 import { MoveAnnotator } from "../classification/MoveAnnotator.js";
+import { TacticalMotifs } from "../classification/TacticalMotifs.js";
 import { MoveClassifier, Classification } from "../classification/MoveClassifier.js";
-import { Engine } from "./Engine.js";
+import { EnginePool } from "./EnginePool.js";
+import { Chess960 } from "./Chess960.js";
+import { EvaluationCache } from "./EvaluationCache.js";
+import { AccuracyModel, AccuracyModelType } from "./AccuracyModel.js";
+import { PGNParser } from "../components/moves/PGNParser.js";
 
 
 // import { Engine } from './Engine.js';
@@ -19,16 +24,20 @@ export class MoveEvaluator {
     static workerPool = [];
     static cancelRequested = false;
 
+    // Engine name shown for evaluations taken from the PGN's [%eval] comments
+    static embeddedEngineName = 'PGN';
+
+    // Depth of the quick search that finds the best moves for positions the PGN has a score for
+    static embeddedProbeDepth = 10;
+
     static cancelActiveAnalysis() {
         this.cancelRequested = true;
         try {
+            // The workers belong to the EnginePool, so only stop their searches
             (this.workerPool || []).forEach(worker => {
                 if (worker && typeof worker.abort === 'function') {
                     worker.abort();
                 }
-                if (worker.worker && typeof worker.worker.terminate === 'function') {
-                    worker.worker.terminate();
-                }
             });
         } catch (e) {
             // swallow
@@ -69,30 +78,29 @@ export class MoveEvaluator {
      * - Manual move evaluations (when playing moves on the board)
      * - Learn mode evaluations (when practicing mistakes)
      * Falls back to local engine if unavailable (404, rate limit, timeout)
+     * Cloud results are cached, so positions seen before don't need a request
      * 
      * @param {string} fen - FEN string to evaluate
      * @returns {Promise<Array|undefined>} - Array of evaluation lines or undefined if unavailable
      */
     static async tryCloudEvaluation(fen) {
+        const cached = await EvaluationCache.get(fen, EvaluationCache.CLOUD, 0);
+        if (cached) return cached.lines;
+
+        // Offline: go straight to the local engine instead of waiting for the request to time out
+        if (navigator.onLine === false) return undefined;
+
         // Send request with a short timeout to prevent long waits when rate limited
         return $.ajax({
             url: "https://lichess.org/api/cloud-eval",
-            data: { fen, multiPv: 3 },
+            data: { fen, multiPv: 3, ...(Chess960.enabled && { variant: "chess960" }) },
             method: "GET",
             dataType: "json",
             timeout: 2000, // Short timeout to avoid waiting too long
         }).then(({ depth, pvs }) => {
-                const cloudUCIFixes = {
-                    e8h8: "e8g8",
-                    e1h1: "e1g1",
-                    e8a8: "e8c8",
-                    e1a1: "e1c1",
-                };
                 return pvs.map((pv, idx) => {
-                    const moves = pv.moves.split(" ");
-                    for (let i = 0; i < moves.length; i++) {
-                        moves[i] = cloudUCIFixes[moves[i]] || moves[i];
-                    }
+                    // Lichess sends castling as king-takes-rook (e1h1, or b1a1 in Chess960)
+                    const moves = Chess960.normalizeLine(pv.moves.split(" "), fen);
 
                     const uciMove = moves[0];
                     const type = pv.cp === undefined ? "mate" : "cp";
@@ -100,17 +108,56 @@ export class MoveEvaluator {
                     return { id: idx + 1, depth, uciMove, score, type, pv: moves };
                 });
             })
+            .then(lines => {
+                EvaluationCache.set(fen, EvaluationCache.CLOUD, 0, lines, 'Lichess Cloud');
+                return lines;
+            })
             .catch(() => undefined);
     }
 
+    /**
+     * Reads the [%eval] comments of a PGN's mainline (as written by Lichess for analysed games)
+     * Formats: [%eval 0.35], [%eval #-3], optionally with the depth: [%eval 0.35,24]
+     * @param {string} pgn - The game's PGN
+     * @returns {Array<Array|undefined>} - Single-line evaluations (white's point of view) by ply, undefined where a move has none
+     */
+    static getEmbeddedEvaluations(pgn) {
+        return PGNParser.parse(pgn || '').moves.map(move => {
+            const match = /^(#)?([+-]?\d+(?:\.\d+)?)(?:,(\d+))?$/.exec(move.commands.eval || '');
+            if (!match) return undefined;
+
+            const type = match[1] ? "mate" : "cp";
+            const score = match[1] ? parseInt(match[2]) : Math.round(parseFloat(match[2]) * 100);
+
+            // The PGN only has the score, so batchEvaluateMoves probes for the best move and principal variation
+            return [{ id: 1, depth: match[3] ? parseInt(match[3]) : null, score, type, pv: [] }];
+        });
+    }
+
+    /**
+     * Puts the PGN's score on the best line of a quick engine search, which supplies the best move,
+     * principal variation and alternatives that move classification needs
+     * @param {Array} probeLines - Lines from the quick search
+     * @param {Array} embeddedLines - The PGN's single-line evaluation
+     * @returns {Array} - The search's lines with the PGN's score and depth on the best one
+     */
+    static withEmbeddedScore(probeLines, embeddedLines) {
+        if (!probeLines?.length) return embeddedLines;
+
+        const [{ score, type, depth }] = embeddedLines;
+        return probeLines.map(line => line.id === 1 ? { ...line, score, type, depth } : line);
+    }
+
     /**
      * Processes a batch of moves for evaluation
      * @param {Chess} game - Chess instance 
      * @param {Array} history - Array of moves
      * @param {Function} progressCallback - Callback function for progress updates
+     * @param {Object} settings - Engine settings
+     * @param {Array<Array|undefined>} embeddedLines - Evaluations from the PGN by ply, whose scores are used instead of a full search where present
      * @returns {Promise<Array>} - Array of evaluated moves
      */
-    static async batchEvaluateMoves(game, history, progressCallback = null, settings = {}) {
+    static async batchEvaluateMoves(game, history, progressCallback = null, settings = {}, embeddedLines = []) {
         // Convert all moves to fen post-move, the move, and the index (to sort later)
         const queue = history.map((move, i) => {
             const moveObj = game.move(move);
@@ -124,25 +171,33 @@ export class MoveEvaluator {
         const engineType = settings.engineType || 'stockfish-17.1-lite';
         const threadCount = settings.engineThreads ?? 0;
         const maxMoveTime = settings.maxMoveTime || 5;
-        // Limit workers for mobile browsers to avoid exhausting resources
-        const isMobile = (() => {
-            try {
-                const ua = navigator.userAgent || navigator.vendor || window.opera;
-                return /android|webos|iphone|ipad|ipod|blackberry|iemobile|opera mini|mobile/i.test(ua);
-            } catch (_) { return false; }
-        })();
-        const maxWorkers = isMobile ? Math.min(2, (navigator.hardwareConcurrency || 2)) : (navigator.hardwareConcurrency || 8);
         const moves = new Array(history.length);
+        let cachedEngineName = null;
+
+        // Positions already analysed with the same engine and depth come straight from the cache
+        const cachedLines = await Promise.all(queue.map(move => EvaluationCache.get(move.fen, engineType, depth)));
+        for (let i = queue.length - 1; i >= 0; i--) {
+            const cached = cachedLines[i];
+            if (!cached) continue;
+
+            const move = queue[i];
+            move.lines = cached.lines;
+            move.engine = cached.engine;
+            moves[move.i] = move;
+            cachedEngineName = cached.engine;
+            queue.splice(i, 1);
+        }
         
-        // Create a pool of workers upfront and reuse them
-        const workerPool = Array.from(
-            { length: Math.min(maxWorkers, queue.length) }, 
-            () => new Engine({ engineType, threadCount })
-        );
+        // Lease the shared engines upfront (the pool size limits workers on mobile browsers)
+        EnginePool.configure({ engineType, threadCount, poolSize: settings.enginePoolSize ?? 0 });
+        const workerPool = await Promise.all(Array.from(
+            { length: Math.min(EnginePool.size, queue.length) }, 
+            () => EnginePool.acquire()
+        ));
         MoveEvaluator.workerPool = workerPool;
         MoveEvaluator.cancelRequested = false;
         
-        let completedMoves = 0;
+        let completedMoves = history.length - queue.length;
 
         // Process moves in batches using the worker pool
         return new Promise((resolve) => {
@@ -150,11 +205,7 @@ export class MoveEvaluator {
             async function processBatch() {
                 if (MoveEvaluator.cancelRequested) {
                     try {
-                        workerPool.forEach(worker => {
-                            if (worker.worker && worker.worker.terminate) {
-                                worker.worker.terminate();
-                            }
-                        });
+                        workerPool.forEach(worker => EnginePool.release(worker));
                     } catch (_) {}
                     const engineName = workerPool[0]?.getEngineName() || 'Engine';
                     progressCallback(100, engineName);
@@ -175,13 +226,9 @@ export class MoveEvaluator {
                 
                 if (batch.length === 0) {
                     if (completedMoves === history.length) {
-                        // All moves completed, clean up and resolve
-                        workerPool.forEach(worker => {
-                            if (worker.worker && worker.worker.terminate) {
-                                worker.worker.terminate();
-                            }
-                        });
-                        const engineName = workerPool[0]?.getEngineName() || 'Engine';
+                        // All moves completed, hand the engines back and resolve
+                        workerPool.forEach(worker => EnginePool.release(worker));
+                        const engineName = workerPool[0]?.getEngineName() || cachedEngineName || 'Engine';
                         progressCallback(100, engineName);
                         resolve(moves);
                         return;
@@ -199,6 +246,16 @@ export class MoveEvaluator {
                     }
                     
                     try {
+                        // Positions the PGN has a score for only need a quick search for the best moves
+                        if (embeddedLines[move.i]) {
+                            const lines = await worker.evaluate(move.fen, MoveEvaluator.embeddedProbeDepth, false, null, 0, maxMoveTime);
+
+                            move.lines = MoveEvaluator.withEmbeddedScore(lines, embeddedLines[move.i]);
+                            move.engine = MoveEvaluator.embeddedEngineName;
+                            moves[move.i] = move;
+                            return;
+                        }
+
                         // For batch game analysis, use local engine only
                         const lines = await worker.evaluate(move.fen, depth, false, null, 0, maxMoveTime);
                         const engineName = worker.getEngineName();
@@ -206,9 +263,14 @@ export class MoveEvaluator {
                         move.lines = lines;
                         move.engine = engineName;
                         moves[move.i] = move; // Store at original index position
+
+                        if (!MoveEvaluator.cancelRequested && EvaluationCache.reachedDepth(lines, depth)) {
+                            EvaluationCache.set(move.fen, engineType, depth, lines, engineName);
+                        }
                     } catch (error) {
                         console.error("Error evaluating move:", error);
-                        moves[move.i] = move; // Store it anyway without lines
+                        move.lines ??= embeddedLines[move.i]; // Fall back to the PGN's score alone where there is one
+                        moves[move.i] = move; // Store it anyway
                     } finally {
                         completedMoves++;
                         worker.busy = false;
@@ -243,11 +305,14 @@ export class MoveEvaluator {
      */
     static async analyzeGame(game, progressCallback = null, settings = {}) {
         const chess = new Chess();
+        MoveEvaluator.cancelRequested = false;
+        EnginePool.newGame();
 
-        // Get the move list and reset to starting position
+        // Get the move list and reset to starting position (the SetUp/FEN position if the PGN has one)
         chess.loadPgn(game.pgn);
         const history = chess.history();
         chess.reset();
+        const startFen = chess.fen();
 
         if (history.length === 0) {
             return {
@@ -259,17 +324,57 @@ export class MoveEvaluator {
                     accuracy: 0,
                     counts: {}
                 },
+                startFen,
+                startPosition: await MoveEvaluator.evaluateStartPosition(startFen, settings),
                 moves: []
             }
         }
 
+        // Games Lichess analysed server-side carry an [%eval] for (nearly) every position
+        const embeddedLines = settings.useEmbeddedEvals ? MoveEvaluator.getEmbeddedEvaluations(game.pgn) : [];
+
         const moves = await MoveEvaluator.batchEvaluateMoves(chess, history, (progress, engineName) => {
             if (progressCallback) progressCallback(progress, engineName);
-        }, settings);
+        }, settings, embeddedLines);
+
+        const startPosition = await MoveEvaluator.evaluateStartPosition(startFen, settings);
+
+        const analysis = {
+            white: {},
+            black: {},
+            startFen,
+            startPosition,
+            moves: moves
+        };
+
+        MoveEvaluator.classifyGame(analysis, game, settings.accuracyModel);
+
+        return analysis;
+    }
+
+    /**
+     * Classifies the moves of an evaluated game and calculates each player's counts, Elo and accuracy.
+     * Only uses the engine lines already on the moves, so a game can be re-classified instantly
+     * (e.g. after switching classification profile)
+     * @param {Object} analysis - { white, black, startFen, startPosition, moves } from analyzeGame
+     * @param {Object} game - game object
+     * @param {string} accuracyModel - One of AccuracyModelType
+     */
+    static classifyGame(analysis, game, accuracyModel) {
+        const { moves, startPosition } = analysis;
+        if (moves.length === 0) return;
 
         // Loop through moves and assign classifications
-        moves[0].classification = Classification.THEORY;
-        moves[0].graph = 50; // 0.0 eval is 50% eval bar basically
+        if (startPosition === MoveEvaluator.startPositionEvaluation) {
+            moves[0].classification = Classification.THEORY;
+            moves[0].graph = 50; // 0.0 eval is 50% eval bar basically
+        } else if (startPosition.lines.length > 0) {
+            // A custom start position isn't theory, so the first move gets classified like any other
+            MoveClassifier.classifyMove(moves[0], startPosition, []);
+        } else {
+            moves[0].classification = Classification.GOOD;
+            moves[0].graph = 50;
+        }
         for (let i = 1; i < moves.length; i++) {
             const move = moves[i];
             const previous = moves[i - 1];
@@ -278,14 +383,11 @@ export class MoveEvaluator {
             MoveClassifier.classifyMove(move, previous, movesUpToCurrent);
         }
 
+        TacticalMotifs.tagMoves(moves, startPosition);
         MoveAnnotator.annotateMoves(moves, 'w');
         
-        // Calculate accuracy
         const whiteMoves = moves.filter(move => move.fen.includes(' b '));
         const blackMoves = moves.filter(move => move.fen.includes(' w '));
-        // Use accuracy 1.0 for top engine moves, otherwise use classification accuracy
-        const whiteAccuracy = whiteMoves.reduce((sum, move) => sum + (move.isTopEngineMove ? 1.0 : move.classification.accuracy), 0) / whiteMoves.length;
-        const blackAccuracy = blackMoves.reduce((sum, move) => sum + (move.isTopEngineMove ? 1.0 : move.classification.accuracy), 0) / blackMoves.length;
 
         // Calculate counts of each classification type
         const whiteCounts = whiteMoves.reduce((counts, move) => {
@@ -329,93 +431,137 @@ export class MoveEvaluator {
             }
         };
 
-        const phases = GamePhase.getPhases(moves.map(m => m.move));
+        analysis.white.counts = whiteCounts;
+        analysis.white.elo = getEloFromRatingAndCpl(whiteCpl, game.white.elo, game.black.elo);
+        analysis.black.counts = blackCounts;
+        analysis.black.elo = getEloFromRatingAndCpl(blackCpl, game.black.elo, game.white.elo);
+
+        // Motifs behind each player's mistakes, e.g. { fork: 2 }
+        const motifCounts = TacticalMotifs.countMistakeMotifs(moves);
+        analysis.white.motifs = motifCounts.white;
+        analysis.black.motifs = motifCounts.black;
+
+        MoveEvaluator.applyAccuracyModel(analysis, accuracyModel);
+    }
+
+    /**
+     * Sets the overall and per-phase accuracies of an analysed game using an accuracy model,
+     * so switching models doesn't need the game to be analysed again
+     * @param {Object} analysis - The result of analyzeGame
+     * @param {string} modelType - One of AccuracyModelType
+     */
+    static applyAccuracyModel(analysis, modelType = AccuracyModelType.CLASSIFICATION) {
+        const { moves, startFen, startPosition } = analysis;
+        if (moves.length === 0) return;
+
+        const scores = AccuracyModel.scoreGame(moves, startPosition, modelType);
+        const getAccuracy = (phaseScores, color) => AccuracyModel.combine(phaseScores.filter(score => score.color === color), modelType);
+
+        analysis.white.accuracy = getAccuracy(scores, 'white');
+        analysis.black.accuracy = getAccuracy(scores, 'black');
+
+        const phases = GamePhase.getPhases(moves.map(m => m.move), startFen);
         const hasEndgame = phases[1] !== undefined;
-        
-        // Helper function to calculate accuracy for a set of moves
-        const calculateAccuracy = (movesArray) => {
-            if (movesArray.length === 0) return 0;
-            // Use accuracy 1.0 for top engine moves, otherwise use classification accuracy
-            return movesArray.reduce((sum, move) => sum + (move.isTopEngineMove ? 1.0 : move.classification.accuracy), 0) / movesArray.length;
-        };
-        
-        // Helper function to determine classification based on accuracy only (phase-level)
-        // Thresholds (in percentages):
-        // Great ≥ 94, Best 89-93, Excellent 79-88, Good 64-78,
-        // Inaccuracy 49-63, Mistake 31-48, Blunder ≤ 30
-        const getClassification = (accuracy) => {
-            const pct = Math.round(accuracy * 100);
-            if (pct >= 94) return Classification.GREAT;
-            if (pct >= 89) return Classification.BEST;
-            if (pct >= 79) return Classification.EXCELLENT;
-            if (pct >= 64) return Classification.GOOD;
-            if (pct >= 49) return Classification.INACCURACY;
-            if (pct >= 31) return Classification.MISTAKE;
-            return Classification.BLUNDER;
-        };
-        
-        // Split moves into phases
-        const phaseMoves = {
-            opening: moves.slice(0, phases[0].startMove),
-            middlegame: moves.slice(phases[0].startMove, phases[1]?.startMove || moves.length),
-            ...(hasEndgame && { endgame: moves.slice(phases[1].startMove) })
+
+        // Split move scores into phases
+        const phaseScores = {
+            opening: scores.slice(0, phases[0].startMove),
+            middlegame: scores.slice(phases[0].startMove, phases[1]?.startMove || moves.length),
+            ...(hasEndgame && { endgame: scores.slice(phases[1].startMove) })
         };
 
         // Process each phase
         const phaseAnalysis = {};
         const phaseClassifications = { white: {}, black: {} };
-        
-        Object.entries(phaseMoves).forEach(([phaseName, phaseMovesArray]) => {
-            const whiteMoves = phaseMovesArray.filter(m => m.fen.includes(' b '));
-            const blackMoves = phaseMovesArray.filter(m => m.fen.includes(' w '));
-            
-            const whiteAccuracy = calculateAccuracy(whiteMoves);
-            const blackAccuracy = calculateAccuracy(blackMoves);
-            
+
+        Object.entries(phaseScores).forEach(([phaseName, phaseScoresArray]) => {
+            const whiteAccuracy = getAccuracy(phaseScoresArray, 'white');
+            const blackAccuracy = getAccuracy(phaseScoresArray, 'black');
+
             phaseAnalysis[phaseName] = {
                 white: { accuracy: whiteAccuracy },
                 black: { accuracy: blackAccuracy }
             };
-            
-            phaseClassifications.white[phaseName] = getClassification(whiteAccuracy);
-            phaseClassifications.black[phaseName] = getClassification(blackAccuracy);
+
+            phaseClassifications.white[phaseName] = MoveEvaluator.getPhaseClassification(whiteAccuracy);
+            phaseClassifications.black[phaseName] = MoveEvaluator.getPhaseClassification(blackAccuracy);
         });
 
-        return {
-            white: {
-                accuracy: whiteAccuracy,
-                counts: whiteCounts,
-                elo: getEloFromRatingAndCpl(whiteCpl, game.white.elo, game.black.elo)
-            },
-            black: {
-                accuracy: blackAccuracy,
-                counts: blackCounts,
-                elo: getEloFromRatingAndCpl(blackCpl, game.black.elo, game.white.elo)
-            },
-            phaseAnalysis,
-            phaseClassifications,
-            moves: moves
-        };
+        analysis.phaseAnalysis = phaseAnalysis;
+        analysis.phaseClassifications = phaseClassifications;
+    }
+
+    /**
+     * Determines a classification based on accuracy only (phase-level)
+     * Thresholds (in percentages):
+     * Great ≥ 94, Best 89-93, Excellent 79-88, Good 64-78,
+     * Inaccuracy 49-63, Mistake 31-48, Blunder ≤ 30
+     * @param {number} accuracy - Accuracy between 0 and 1
+     * @returns {Object} - The classification
+     */
+    static getPhaseClassification(accuracy) {
+        const pct = Math.round(accuracy * 100);
+        if (pct >= 94) return Classification.GREAT;
+        if (pct >= 89) return Classification.BEST;
+        if (pct >= 79) return Classification.EXCELLENT;
+        if (pct >= 64) return Classification.GOOD;
+        if (pct >= 49) return Classification.INACCURACY;
+        if (pct >= 31) return Classification.MISTAKE;
+        return Classification.BLUNDER;
+    }
+
+    /**
+     * Gets the evaluation of the position a game starts from
+     * The standard start position uses the precomputed lines, any other (SetUp/FEN) position is
+     * evaluated with the local engine
+     * @param {string} fen - FEN of the starting position
+     * @param {Object} settings - Engine settings ({ engineType, engineDepth, maxMoveTime, engineThreads, enginePoolSize })
+     * @returns {Promise<Object>} - Evaluated position ({ fen, lines, engine })
+     */
+    static async evaluateStartPosition(fen, settings = {}) {
+        if (fen === MoveEvaluator.startPositionEvaluation.fen) {
+            return MoveEvaluator.startPositionEvaluation;
+        }
+
+        const position = { fen, lines: [], engine: null };
+        if (MoveEvaluator.cancelRequested) return position;
+
+        const engineType = settings.engineType || 'stockfish-17.1-lite';
+        const depth = settings.engineDepth || 16;
+        const cached = await EvaluationCache.get(fen, engineType, depth);
+        if (cached) return { fen, ...cached };
+
+        try {
+            const { lines, engine } = await EnginePool.evaluate(fen, depth, {
+                engineType,
+                threadCount: settings.engineThreads ?? 0,
+                poolSize: settings.enginePoolSize ?? 0,
+                maxMoveTime: settings.maxMoveTime || 5,
+                onAcquire: (worker) => { MoveEvaluator.workerPool = [worker]; } // So cancelActiveAnalysis can stop it
+            });
+            position.lines = lines;
+            position.engine = engine;
+            if (!MoveEvaluator.cancelRequested && EvaluationCache.reachedDepth(position.lines, depth)) {
+                EvaluationCache.set(fen, engineType, depth, position.lines, position.engine);
+            }
+        } catch (error) {
+            console.error("Error evaluating start position:", error);
+        }
+
+        return position;
     }
 
     /**
      * Updates move tree nodes with classifications from analyzed moves
-     * @param {MoveTree} moveTree - The move tree object
+     * @param {MoveTree} moveTree - The move tree object (built from the same PGN)
      * @param {Array} moves - Array of evaluated moves with classifications
-     * @param {string} pgn - PGN string of the game
      */
-    static applyClassificationsToMoveTree(moveTree, moves, pgn) {
-        const game = new Chess();
-        
-        game.loadPgn(pgn);
-        const history = game.history({ verbose: true });
-        game.reset();
-        
+    static applyClassificationsToMoveTree(moveTree, moves) {
         // Apply classifications to move tree nodes
         for (let i = 0; i < moves.length; i++) {
-            if (i < history.length) {
-                const move = history[i];
-                const moveId = `move_${Math.ceil((i+1)/2)}_${i % 2 === 0 ? 'w' : 'b'}_${move.san.replace('+', 'check').replace('#', 'mate')}`;
+            // mainline[0] is the root, so move i is mainline[i + 1] regardless of the starting move number
+            if (i + 1 < moveTree.mainline.length) {
+                const moveId = moveTree.mainline[i + 1].id;
                 moveTree.updateClassification(moveId, moves[i]);
                 
                 // Also store the evaluation score and type in the node
@@ -0,0 +1,38 @@
+import { Engine } from "./Engine.js";
+
+/**
+ * Registers the service worker (sw.js) that makes the app usable offline,
+ * and asks it to cache the selected engine's files ahead of time
+ */
+export class OfflineCache {
+    static registration = null;
+
+    /**
+     * Registers the service worker and precaches the selected engine once it's active
+     * @param {string} engineType - Engine type setting
+     * @returns {Promise<void>}
+     */
+    static async register(engineType) {
+        if (!('serviceWorker' in navigator)) return;
+
+        try {
+            this.registration = await navigator.serviceWorker.register('./sw.js');
+            await navigator.serviceWorker.ready;
+            this.precacheEngine(engineType);
+        } catch (error) {
+            console.warn('Service worker registration failed:', error);
+        }
+    }
+
+    /**
+     * Asks the service worker to cache an engine's files (already cached files are skipped)
+     * @param {string} engineType - Engine type setting
+     */
+    static precacheEngine(engineType) {
+        const worker = this.registration?.active;
+        if (!worker) return;
+
+        const urls = Engine.getEngineFiles(engineType).map(path => new URL(path, document.baseURI).href);
+        worker.postMessage({ type: 'precache-engine', urls });
+    }
+}
@@ -0,0 +1,57 @@
+/**
+ * Win/draw/loss statistics sent by Stockfish 16+ with UCI_ShowWDL.
+ * Lines carry them as wdl: { win, draw, loss } in per mille from white's point of view;
+ * lines without one (cloud, PGN evals, older engines) fall back to a logistic model of the score
+ */
+export class WinDrawLoss {
+    // Slope of the logistic that turns centipawns into an expected score
+    static logisticScale = 0.00368208;
+
+    /**
+     * Reads the WDL of a UCI info line
+     * @param {string} output - The "info depth ..." line
+     * @param {string} fen - The searched position (the engine reports for the side to move)
+     * @returns {Object|null} - { win, draw, loss } from white's point of view, or null if the line has none
+     */
+    static parse(output, fen) {
+        const match = output.match(/ wdl (\d+) (\d+) (\d+)/);
+        if (!match) return null;
+
+        const [win, draw, loss] = match.slice(1).map(Number);
+        return fen.includes(" b ") ? { win: loss, draw, loss: win } : { win, draw, loss };
+    }
+
+    /**
+     * Gets white's expected score for an engine line
+     * @param {Object} line - Engine line ({ score, type, wdl })
+     * @returns {number} - Expected score for white, 0-100
+     */
+    static getExpectedScore(line) {
+        if (line.wdl) return (line.wdl.win + line.wdl.draw / 2) / 10;
+
+        return 50 + 50 * (2 / (1 + Math.exp(-this.logisticScale * line.score)) - 1);
+    }
+
+    /**
+     * Turns an expected score back into centipawns with the logistic model,
+     * so a line's WDL can be compared like a score (a dead drawn +1.5 comes out at 0.00)
+     * @param {Object} line - Engine line ({ score, type, wdl })
+     * @returns {number} - The line's score, or its WDL's centipawn equivalent
+     */
+    static getEquivalentScore(line) {
+        if (!line.wdl) return line.score;
+
+        const expected = Math.min(Math.max(this.getExpectedScore(line) / 100, 0.001), 0.999);
+        return Math.round(Math.log(expected / (1 - expected)) / this.logisticScale);
+    }
+
+    /**
+     * Formats a WDL as percentages
+     * @param {Object} wdl - { win, draw, loss } in per mille
+     * @returns {string} - e.g. "W 12% · D 80% · L 8%"
+     */
+    static format(wdl) {
+        const percent = (value) => `${Math.round(value / 10)}%`;
+        return `W ${percent(wdl.win)} · D ${percent(wdl.draw)} · L ${percent(wdl.loss)}`;
+    }
+}
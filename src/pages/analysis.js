@@ -1,6 +1,7 @@
 import { GameLoader, Platform } from '../components/games/GameLoader.js';
 import { ChessUI } from '../components/ChessUI.js';
 import { GameGraph } from '../components/report/GameGraph.js';
+import { OfflineCache } from '../evaluation/OfflineCache.js';
 
 async function loadPlayerData(white, black) {
     if (!white || !black) return;
@@ -29,16 +30,23 @@ $(document).ready(async () => {
     
     // Make chessUI globally accessible for GameStats navigation
     window.chessUI = chessUI;
+
+    // Cache the app and the selected engine for offline use
+    OfflineCache.register(chessUI.settingsMenu.getSettingValue('engineType') || 'stockfish-17.1-lite');
     
     let game;
     
     // Check if there's a PGN parameter in the URL
     const urlParams = new URLSearchParams(window.location.search);
     const pgnParam = urlParams.get('pgn');
+    const fenParam = urlParams.get('fen');
     
     if (pgnParam) {
         // Load game from PGN parameter
         game = GameLoader.loadGameFromPGN(decodeURIComponent(pgnParam));
+    } else if (fenParam) {
+        // Load a position shared from the position editor
+        game = GameLoader.loadGameFromFEN(fenParam) || GameLoader.loadEmptyGame();
     } else {
         // Load game from URL (Chess.com or Lichess)
         game = await GameLoader.loadGameFromURL();
@@ -60,6 +68,7 @@ $(document).ready(async () => {
     // Listen for PGN game loading events
     window.addEventListener('loadPGNGame', async (event) => {
         const gameData = event.detail;
+        if (!chessUI.canLoadGame()) return;
 
         //GameLoader.matchGameURL()
 
@@ -90,6 +99,10 @@ $(document).ready(async () => {
         $('#' + tabName + '-tab').addClass('active');
 
         GameGraph.render();
+
+        if (tabName === 'settings') {
+            chessUI.settingsMenu.refreshActionStatuses();
+        }
         
         // On mobile, scroll down to show tab content
         if (window.matchMedia && window.matchMedia('(max-width: 768px)').matches) {
@@ -0,0 +1,171 @@
+/**
+ * Centichess service worker: precaches the app shell so analysis works offline,
+ * and keeps engine binaries cached instead of downloading them every visit. Other files are
+ * refreshed from the network, so deploys reach clients without a new VERSION.
+ * Bump VERSION when engine files change so clients drop the old caches.
+ */
+const VERSION = 'v1';
+
+const CORE_CACHE = `centichess-core-${VERSION}`;
+const ENGINE_CACHE = `centichess-engines-${VERSION}`;
+const RUNTIME_CACHE = `centichess-runtime-${VERSION}`;
+
+const CORE_ASSETS = [
+    './',
+    './manifest.json',
+    './assets/css/style.css',
+    './assets/css/fonts.css',
+    './assets/images/favicon.svg',
+    './assets/images/apple-icon.png',
+    './libs/jquery.3.7.1.min.js',
+    './libs/chess.js',
+    './src/pages/analysis.js',
+    './src/data/openings.js',
+    ...['best', 'blunder', 'brilliant', 'excellent', 'forced', 'good', 'great', 'inaccuracy', 'miss', 'mistake', 'theory']
+        .map(name => `./assets/classifications/${name}.svg`),
+    ...['wP', 'wN', 'wB', 'wR', 'wQ', 'wK', 'bP', 'bN', 'bB', 'bR', 'bQ', 'bK']
+        .map(piece => `./assets/pieces/cburnett/${piece}.svg`),
+    ...['move', 'capture', 'castle', 'check', 'promote']
+        .map(sound => `./assets/sounds/default/${sound}.mp3`),
+    ...['correct', 'wrong', 'completed', 'better']
+        .map(sound => `./assets/sounds/learning/${sound}.mp3`)
+];
+
+// Static files that change rarely: served from cache straight away and refreshed in the background
+const STALE_WHILE_REVALIDATE_PATHS = ['/src/data/', '/assets/', '/libs/'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CORE_CACHE)
+            .then(cache => cache.addAll(CORE_ASSETS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    const currentCaches = [CORE_CACHE, ENGINE_CACHE, RUNTIME_CACHE];
+
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('centichess-') && !currentCaches.includes(key))
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    // Lichess, Chess.com and CDN requests go straight to the network
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request, './'));
+    } else if (url.pathname.includes('/src/engines/')) {
+        // Engine binaries are large and only change along with VERSION
+        event.respondWith(cacheFirst(request, ENGINE_CACHE));
+    } else if (STALE_WHILE_REVALIDATE_PATHS.some(path => url.pathname.includes(path))) {
+        event.respondWith(staleWhileRevalidate(event));
+    } else {
+        event.respondWith(networkFirst(request));
+    }
+});
+
+// The page asks for the selected engine's files to be cached ahead of going offline
+self.addEventListener('message', (event) => {
+    const { type, urls } = event.data || {};
+    if (type !== 'precache-engine' || !Array.isArray(urls)) return;
+
+    event.waitUntil(precacheEngine(urls));
+});
+
+/**
+ * Serves a request from the cache, fetching and caching it when it's missing
+ * @param {Request} request - The request
+ * @param {string} cacheName - Cache to store the response in
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request, cacheName) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(cacheName);
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Fetches a request and refreshes the cached copy, using the cache only when the network fails
+ * @param {Request} request - The request
+ * @param {string} fallbackUrl - Cached URL to serve when neither the network nor the cache has the request
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request, fallbackUrl = null) {
+    try {
+        const response = await fetch(request);
+        // Redirected responses can't be replayed for navigations
+        if (response.ok && !response.redirected) {
+            updateCache(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request, { ignoreSearch: request.mode === 'navigate' })
+            || (fallbackUrl && await caches.match(fallbackUrl));
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Serves a request from the cache when it's there, fetching a fresh copy for next time either way
+ * @param {FetchEvent} event - The fetch event, kept alive until the cache is refreshed
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(event) {
+    const request = event.request;
+    const cached = await caches.match(request);
+
+    const refresh = fetch(request).then(async (response) => {
+        if (response.ok) await updateCache(request, response.clone());
+        return response;
+    });
+    event.waitUntil(refresh.catch(() => {}));
+
+    return cached || refresh;
+}
+
+/**
+ * Stores a fresh response, replacing the precached copy if there is one (caches.match finds it first)
+ * @param {Request} request - The request
+ * @param {Response} response - The response to store
+ * @returns {Promise<void>}
+ */
+async function updateCache(request, response) {
+    const coreCache = await caches.open(CORE_CACHE);
+    const cache = await coreCache.match(request) ? coreCache : await caches.open(RUNTIME_CACHE);
+    await cache.put(request, response);
+}
+
+/**
+ * Caches engine files that aren't cached yet; missing files (e.g. builds without a .wasm) are skipped
+ * @param {Array<string>} urls - Engine file URLs, relative to the page
+ * @returns {Promise<void>}
+ */
+async function precacheEngine(urls) {
+    const cache = await caches.open(ENGINE_CACHE);
+
+    await Promise.all(urls.map(async (url) => {
+        if (await caches.match(url)) return;
+
+        try {
+            const response = await fetch(url);
+            if (response.ok) await cache.put(url, response);
+        } catch (_) {}
+    }));
+}